@@ -1,9 +1,24 @@
-const { app, BrowserWindow } = require('electron');
+const { app, BrowserWindow, clipboard, dialog, ipcMain } = require('electron');
+const fs = require('fs/promises');
 const path = require('path');
 
 const isDev = process.env.NODE_ENV === 'development';
 const devServerURL = process.env.VITE_DEV_SERVER_URL || 'http://localhost:5173';
 
+const PROJECT_FILTERS = [
+  { name: 'CAD3D Project', extensions: ['cad3d'] },
+  { name: 'All Files', extensions: ['*'] }
+];
+
+const MESH_FILTERS = [
+  { name: 'Meshes', extensions: ['stl', 'obj'] },
+  { name: 'All Files', extensions: ['*'] }
+];
+
+// Windows whose project has unsaved changes, as reported by their renderer. The native edited
+// marker only exists on macOS, so the close prompt reads this instead.
+const editedWindows = new WeakSet();
+
 /**
  * Creates the main application window and loads the appropriate renderer source.
  */
@@ -17,6 +32,8 @@ function createWindow() {
     }
   });
 
+  confirmCloseWhenEdited(mainWindow);
+
   if (isDev) {
     mainWindow.loadURL(devServerURL);
     mainWindow.webContents.openDevTools({ mode: 'detach' });
@@ -25,7 +42,197 @@ function createWindow() {
   }
 }
 
-app.whenReady().then(createWindow);
+// How long a renderer gets to answer a save request. A Save As dialog counts against it, so it is
+// generous; running out only keeps the window open.
+const SAVE_BEFORE_CLOSE_TIMEOUT_MS = 2 * 60 * 1000;
+
+/**
+ * Asks the renderer to save its project and resolves to whether it was saved. Cancelling the save
+ * dialog, failing to write, a renderer that crashes or goes away and one that does not answer in
+ * time all count as not saved.
+ */
+function requestSave(window) {
+  const { webContents } = window;
+  return new Promise((resolve) => {
+    if (webContents.isDestroyed() || webContents.isCrashed()) {
+      resolve(false);
+      return;
+    }
+
+    const finish = (saved) => {
+      clearTimeout(timer);
+      ipcMain.removeListener('project:saved-before-close', handleSaved);
+      webContents.removeListener('render-process-gone', handleGone);
+      webContents.removeListener('destroyed', handleGone);
+      resolve(saved);
+    };
+    const handleSaved = (event, saved) => {
+      if (event.sender === webContents) finish(Boolean(saved));
+    };
+    const handleGone = () => finish(false);
+    const timer = setTimeout(handleGone, SAVE_BEFORE_CLOSE_TIMEOUT_MS);
+
+    ipcMain.on('project:saved-before-close', handleSaved);
+    webContents.on('render-process-gone', handleGone);
+    webContents.on('destroyed', handleGone);
+    webContents.send('project:save-before-close');
+  });
+}
+
+/**
+ * Asks whether to save an edited window's changes and resolves to whether it may close.
+ */
+async function promptToSave(window) {
+  const { response } = await dialog.showMessageBox(window, {
+    type: 'warning',
+    buttons: ['Save', "Don't Save", 'Cancel'],
+    defaultId: 0,
+    cancelId: 2,
+    message: 'Do you want to save the changes to this project?',
+    detail: "Your changes will be lost if you don't save them."
+  });
+  return response === 1 || (response === 0 && (await requestSave(window)));
+}
+
+/**
+ * Stops an edited window from closing until the user chooses to save the changes, discard them
+ * or keep the window open.
+ */
+function confirmCloseWhenEdited(window) {
+  let isPrompting = false;
+  // A crashed renderer has already lost its changes, so there is nothing left to save.
+  window.webContents.on('render-process-gone', () => editedWindows.delete(window));
+  window.on('close', async (event) => {
+    if (!editedWindows.has(window)) return;
+    event.preventDefault();
+    if (isPrompting) return;
+
+    isPrompting = true;
+    const canClose = await promptToSave(window).catch(() => false);
+    isPrompting = false;
+    if (!canClose || window.isDestroyed()) return;
+
+    editedWindows.delete(window);
+    window.close();
+  });
+}
+
+/**
+ * Asks the user where to write a project and returns the chosen path, or null when cancelled.
+ */
+async function promptProjectPath(window, defaultPath) {
+  const { canceled, filePath } = await dialog.showSaveDialog(window, {
+    title: 'Save Project',
+    defaultPath: defaultPath || 'Untitled.cad3d',
+    filters: PROJECT_FILTERS
+  });
+  return canceled || !filePath ? null : filePath;
+}
+
+/**
+ * Registers the IPC handlers backing `window.api` project commands. File contents are produced
+ * and validated by the renderer; the main process only owns dialogs and disk access.
+ */
+function registerProjectHandlers() {
+  ipcMain.handle('project:open', async (event) => {
+    const window = BrowserWindow.fromWebContents(event.sender);
+    const { canceled, filePaths } = await dialog.showOpenDialog(window, {
+      title: 'Open Project',
+      properties: ['openFile'],
+      filters: PROJECT_FILTERS
+    });
+    if (canceled || !filePaths.length) return null;
+
+    const [filePath] = filePaths;
+    const contents = await fs.readFile(filePath, 'utf8');
+    return { filePath, contents };
+  });
+
+  ipcMain.handle('project:save', async (event, { filePath, contents, saveAs }) => {
+    const window = BrowserWindow.fromWebContents(event.sender);
+    const targetPath = !filePath || saveAs ? await promptProjectPath(window, filePath) : filePath;
+    if (!targetPath) return null;
+
+    await fs.writeFile(targetPath, contents, 'utf8');
+    return { filePath: targetPath };
+  });
+
+  ipcMain.handle('mesh:import', async (event) => {
+    const window = BrowserWindow.fromWebContents(event.sender);
+    const { canceled, filePaths } = await dialog.showOpenDialog(window, {
+      title: 'Import Mesh',
+      properties: ['openFile'],
+      filters: MESH_FILTERS
+    });
+    if (canceled || !filePaths.length) return null;
+
+    const [filePath] = filePaths;
+    const data = await fs.readFile(filePath);
+    return { filePath, data };
+  });
+
+  ipcMain.on('project:set-dirty', (event, isDirty) => {
+    const window = BrowserWindow.fromWebContents(event.sender);
+    if (!window) return;
+    window.setDocumentEdited(Boolean(isDirty));
+    if (isDirty) {
+      editedWindows.add(window);
+    } else {
+      editedWindows.delete(window);
+    }
+  });
+}
+
+/**
+ * Registers the handler that writes exported models. The renderer encodes the file and names the
+ * format; the main process shows the native save dialog and writes the bytes.
+ */
+function registerExportHandlers() {
+  ipcMain.handle('export:save', async (event, { defaultPath, filterName, extension, data }) => {
+    const window = BrowserWindow.fromWebContents(event.sender);
+    const { canceled, filePath } = await dialog.showSaveDialog(window, {
+      title: 'Export Model',
+      defaultPath,
+      filters: [
+        { name: filterName, extensions: [extension] },
+        { name: 'All Files', extensions: ['*'] }
+      ]
+    });
+    if (canceled || !filePath) return null;
+
+    await fs.writeFile(filePath, data);
+    return { filePath };
+  });
+}
+
+/**
+ * Registers the clipboard handlers. Copied shapes travel as JSON text on the system clipboard, so
+ * they can be pasted into another window; the renderer builds and checks the payload.
+ */
+function registerClipboardHandlers() {
+  ipcMain.handle('clipboard:read', () => clipboard.readText());
+
+  ipcMain.on('clipboard:write', (event, text) => {
+    clipboard.writeText(text);
+  });
+}
+
+/**
+ * Registers the handler that opens another window with an empty project of its own.
+ */
+function registerWindowHandlers() {
+  ipcMain.on('window:new', () => {
+    createWindow();
+  });
+}
+
+app.whenReady().then(() => {
+  registerProjectHandlers();
+  registerExportHandlers();
+  registerClipboardHandlers();
+  registerWindowHandlers();
+  createWindow();
+});
 
 app.on('activate', () => {
   if (BrowserWindow.getAllWindows().length === 0) {
@@ -1,6 +1,20 @@
-const { contextBridge } = require('electron');
+const { contextBridge, ipcRenderer } = require('electron');
 
-// Expose an empty API surface that can be expanded later.
 contextBridge.exposeInMainWorld('api', {
-  ping: () => 'pong'
+  ping: () => 'pong',
+  openProject: () => ipcRenderer.invoke('project:open'),
+  saveProject: ({ filePath, contents, saveAs = false }) =>
+    ipcRenderer.invoke('project:save', { filePath, contents, saveAs }),
+  importMesh: () => ipcRenderer.invoke('mesh:import'),
+  setDocumentDirty: (isDirty) => ipcRenderer.send('project:set-dirty', isDirty),
+  onSaveBeforeClose: (save) => {
+    const listener = async () => ipcRenderer.send('project:saved-before-close', await save());
+    ipcRenderer.on('project:save-before-close', listener);
+    return () => ipcRenderer.removeListener('project:save-before-close', listener);
+  },
+  exportFile: ({ defaultPath, filterName, extension, data }) =>
+    ipcRenderer.invoke('export:save', { defaultPath, filterName, extension, data }),
+  readClipboard: () => ipcRenderer.invoke('clipboard:read'),
+  writeClipboard: (text) => ipcRenderer.send('clipboard:write', text),
+  openWindow: () => ipcRenderer.send('window:new')
 });
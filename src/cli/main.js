@@ -0,0 +1,141 @@
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { EXPORT_FORMATS, EXPORT_RESOLUTIONS } from '../renderer/exporters.js';
+import { buildCombinedGeometry } from '../renderer/geometry.js';
+import { analyzeGeometry, describeProblems } from '../renderer/meshAnalysis.js';
+import { modelErrors, resolveModel } from '../renderer/parameters.js';
+import { PRIMITIVE_TYPES } from '../renderer/primitiveTypes.js';
+import { parseProject } from '../renderer/project.js';
+
+/*
+ * Headless exporter for scripted builds. It evaluates a project the way the app does (variables,
+ * bindings, features, the CSG fold) and writes the solid with the app's own encoders, without
+ * Electron. Exit codes: 0 on success, 1 when the model or export fails, 2 for bad arguments.
+ */
+
+const USAGE = `Usage: cad3d export <project.cad3d> [options]
+
+Options:
+  --format <format>       stl (binary, default), stl-ascii, obj or 3mf
+  --out <file>            output path (default: the project path with the format's extension)
+  --resolution <level>    draft, standard (default) or fine
+  --set <name=value>      override a variable's expression; repeatable
+  --on-problems <policy>  warn (default) or block when the mesh is not printable
+  --help                  show this message`;
+
+// Shorthands accepted for `--format` on top of the export dialog's format keys.
+const FORMAT_ALIASES = { stl: 'stl-binary' };
+
+// The glTF exporter reads its output back through the browser's FileReader, which Node lacks.
+const BROWSER_ONLY_FORMATS = new Set(['glb']);
+
+const PROBLEM_POLICIES = ['warn', 'block'];
+
+const fail = (message, exitCode = 1) => {
+  console.error(`cad3d: ${message}`);
+  return exitCode;
+};
+
+/** Reads the command line into export options, throwing for anything unusable. */
+function parseCommand(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      format: { type: 'string', default: 'stl' },
+      out: { type: 'string' },
+      resolution: { type: 'string', default: 'standard' },
+      set: { type: 'string', multiple: true, default: [] },
+      'on-problems': { type: 'string', default: 'warn' },
+      help: { type: 'boolean', default: false },
+    },
+  });
+  if (values.help) return { help: true };
+
+  const [command, projectPath, ...extra] = positionals;
+  if (command !== 'export') throw new Error(command ? `Unknown command "${command}".` : 'No command given.');
+  if (!projectPath) throw new Error('No project file given.');
+  if (extra.length) throw new Error(`Unexpected argument "${extra[0]}".`);
+
+  const format = FORMAT_ALIASES[values.format] ?? values.format;
+  if (!Object.hasOwn(EXPORT_FORMATS, format)) throw new Error(`Unknown format "${values.format}".`);
+  if (BROWSER_ONLY_FORMATS.has(format)) {
+    throw new Error(`${EXPORT_FORMATS[format].label} can only be exported from the app.`);
+  }
+  if (!Object.hasOwn(EXPORT_RESOLUTIONS, values.resolution)) {
+    throw new Error(`Unknown resolution "${values.resolution}".`);
+  }
+  if (!PROBLEM_POLICIES.includes(values['on-problems'])) {
+    throw new Error(`Unknown problem policy "${values['on-problems']}".`);
+  }
+
+  const overrides = values.set.map((assignment) => {
+    const separator = assignment.indexOf('=');
+    const name = assignment.slice(0, separator).trim();
+    const expression = assignment.slice(separator + 1).trim();
+    if (separator < 0 || !name || !expression) throw new Error(`Expected name=value, got "${assignment}".`);
+    return { name, expression };
+  });
+
+  const { dir, name } = path.parse(projectPath);
+  return {
+    projectPath,
+    format,
+    outPath: values.out ?? path.join(dir, `${name}.${EXPORT_FORMATS[format].extension}`),
+    segments: EXPORT_RESOLUTIONS[values.resolution].segments,
+    overrides,
+    problemPolicy: values['on-problems'],
+  };
+}
+
+/** Replaces the expressions of existing variables; naming one the project lacks is an error. */
+function applyOverrides(variables, overrides) {
+  return overrides.reduce((current, { name, expression }) => {
+    if (!current.some((variable) => variable.name === name)) {
+      throw new Error(`The project has no variable named "${name}".`);
+    }
+    return current.map((variable) => (variable.name === name ? { ...variable, expression } : variable));
+  }, variables);
+}
+
+async function exportProject({ projectPath, format, outPath, segments, overrides, problemPolicy }) {
+  const project = parseProject(await readFile(projectPath, 'utf8'), { types: PRIMITIVE_TYPES });
+  const model = { ...project, variables: applyOverrides(project.variables, overrides) };
+  const errors = modelErrors(model);
+  if (errors.length) throw new Error(`The model has errors:\n  ${errors.join('\n  ')}`);
+
+  const { primitives, features, unit } = resolveModel(model);
+  const geometry = buildCombinedGeometry(primitives, null, { segments, features });
+  if (!geometry) throw new Error('The model has no solid to export.');
+
+  const report = analyzeGeometry(geometry);
+  const problems = describeProblems(report).join(', ');
+  if (problems && problemPolicy === 'block') throw new Error(`The mesh has ${problems}.`);
+  if (problems) console.warn(`cad3d: warning: the mesh has ${problems}.`);
+
+  await writeFile(outPath, await EXPORT_FORMATS[format].encode(geometry, { unit }));
+  geometry.dispose();
+  console.log(`Wrote ${outPath} (${report.triangleCount} triangles).`);
+}
+
+/** Runs the command line and resolves to the process exit code. */
+export async function main(args) {
+  let options;
+  try {
+    options = parseCommand(args);
+  } catch (error) {
+    return fail(`${error.message}\n\n${USAGE}`, 2);
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  try {
+    await exportProject(options);
+    return 0;
+  } catch (error) {
+    return fail(error.message);
+  }
+}
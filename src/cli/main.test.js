@@ -0,0 +1,59 @@
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { PRIMITIVE_TYPES } from '../renderer/primitiveTypes.js';
+import { serializeProject } from '../renderer/project.js';
+import { main } from './main.js';
+
+const box = {
+  id: 'box-1',
+  name: 'Plate',
+  type: 'box',
+  operation: 'add',
+  position: { x: 0, y: 0, z: 0 },
+  rotation: { x: 0, y: 0, z: 0 },
+  dimensions: { ...PRIMITIVE_TYPES.box.dimensions },
+  bindings: { 'dimensions.width': 'w' },
+};
+
+describe('main', () => {
+  let dir;
+  let projectPath;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'cad3d-'));
+    projectPath = path.join(dir, 'plate.cad3d');
+    const variables = [{ name: 'w', expression: '4' }];
+    const project = serializeProject({ primitives: [box], features: [], unit: 'mm', variables, viewport: {} });
+    await writeFile(projectPath, project);
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('writes the solid next to the project and exits with 0', async () => {
+    expect(await main(['export', projectPath, '--format', 'stl-ascii', '--set', 'w=10'])).toBe(0);
+    const stl = await readFile(path.join(dir, 'plate.stl'), 'utf8');
+    expect(stl).toMatch(/^solid /);
+    expect(stl).toContain('vertex 5 ');
+  });
+
+  it('exits with 1 when the model cannot be exported', async () => {
+    expect(await main(['export', projectPath, '--set', 'depth=3'])).toBe(1);
+    expect(console.error).toHaveBeenCalledWith('cad3d: The project has no variable named "depth".');
+    expect(await main(['export', path.join(dir, 'missing.cad3d')])).toBe(1);
+  });
+
+  it('exits with 2 for arguments it cannot use', async () => {
+    expect(await main(['render', projectPath])).toBe(2);
+    expect(await main(['export', projectPath, '--format', 'glb'])).toBe(2);
+    expect(await main(['export'])).toBe(2);
+    expect(await main(['--help'])).toBe(0);
+  });
+});
@@ -1,9 +1,88 @@
-import { Canvas } from '@react-three/fiber';
-import { GizmoHelper, GizmoViewport, Grid, Html, Line, OrbitControls, TransformControls } from '@react-three/drei';
-import { STLExporter } from 'three/examples/jsm/exporters/STLExporter.js';
-import { CSG } from 'three-csg-ts';
+import { Canvas, useFrame, useThree } from '@react-three/fiber';
+import { GizmoHelper, GizmoViewcube, Grid, Line, OrbitControls, TransformControls } from '@react-three/drei';
 import * as THREE from 'three';
-import { forwardRef, useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { forwardRef, useCallback, useEffect, useImperativeHandle, useMemo, useRef, useState } from 'react';
+import { DimensionIndicators, DistanceFromOriginIndicators, OriginIndicator } from './DimensionIndicators.jsx';
+import { ExportDialog } from './ExportDialog.jsx';
+import { EXPORT_FORMATS, EXPORT_RESOLUTIONS } from './exporters.js';
+import { ExpressionInput, fieldLabel, isEditableElement, rejectVariables } from './ExpressionInput.jsx';
+import {
+  positionFromWorld,
+  positionToWorld,
+  primitiveBounds,
+  rotationFromWorld,
+  rotationToWorld,
+  sectionPlane,
+} from './geometry.js';
+import { expressionNames } from './expressions.js';
+import {
+  FEATURE_SCOPES,
+  FEATURE_TYPE_KEYS,
+  FEATURE_TYPES,
+  getFeatureType,
+  isZeroVector,
+  scaleFeatures,
+} from './features.js';
+import { useHistory } from './history.js';
+import { DEFAULT_PRINT_SETTINGS, FILAMENT_DIAMETERS } from './massProperties.js';
+import { MEASURE_MODES } from './measurements.js';
+import { MeasurementAnnotations, MeasureTools } from './MeasureTools.jsx';
+import { describeProblems } from './meshAnalysis.js';
+import { importMeshFile, meshReport } from './meshes.js';
+import { countLabel, parseNumber, roundValue, snapValue } from './numbers.js';
+import { getOperation, OPERATIONS } from './operations.js';
+import {
+  bindField,
+  convertModelUnit,
+  detachEditedBindings,
+  evaluateVariables,
+  renameVariable,
+  resolveModel,
+  unlinkBindings,
+  validateVariableName,
+  variableResolver,
+} from './parameters.js';
+import {
+  clampField,
+  CREATABLE_TYPE_KEYS,
+  getPrimitiveType,
+  isLengthField,
+  PRIMITIVE_TYPES,
+  restingHeight,
+} from './primitiveTypes.js';
+import { fileNameFromPath, parseClipboard, parseProject, serializeClipboard, serializeProject } from './project.js';
+import { CenterOfMassMarker, PropertiesPanel } from './PropertiesPanel.jsx';
+import { SketchEditor } from './SketchEditor.jsx';
+import { SKETCH_PLANES } from './sketches.js';
+import {
+  cloneNode,
+  findNode,
+  flattenPrimitives,
+  GROUP_TYPE,
+  insertNode,
+  isGroup,
+  locateNode,
+  moveNode,
+  offsetNode,
+  removeNode,
+  selectionRoots,
+  updateChildren,
+  updateNode,
+} from './tree.js';
+import {
+  clampDimensions,
+  convertLength,
+  defaultDimensions,
+  DEFAULT_UNIT,
+  fieldInUnit,
+  formatLength,
+  millimeterIn,
+  roundLength,
+  scaleLengths,
+  UNIT_KEYS,
+  UNITS,
+} from './units.js';
+import { buildGeometryInWorker, useCombinedGeometry } from './useCombinedGeometry.js';
 
 const DEFAULT_PRIMITIVES = [
   {
@@ -12,7 +91,8 @@ const DEFAULT_PRIMITIVES = [
     type: 'box',
     operation: 'add',
     position: { x: 0, y: 0, z: 0.5 },
-    dimensions: { width: 6, height: 1, depth: 6 },
+    rotation: { x: 0, y: 0, z: 0 },
+    dimensions: { width: 6, height: 1, depth: 6, fillet: 0, chamfer: 0 },
   },
   {
     id: 'prim-2',
@@ -20,7 +100,8 @@ const DEFAULT_PRIMITIVES = [
     type: 'cylinder',
     operation: 'add',
     position: { x: 0, y: 0, z: 2.5 },
-    dimensions: { radius: 1.2, height: 4 },
+    rotation: { x: 0, y: 0, z: 0 },
+    dimensions: { radius: 1.2, height: 4, fillet: 0, chamfer: 0 },
   },
   {
     id: 'prim-3',
@@ -28,187 +109,1035 @@ const DEFAULT_PRIMITIVES = [
     type: 'sphere',
     operation: 'subtract',
     position: { x: 2.5, y: 2.5, z: 1.5 },
+    rotation: { x: 0, y: 0, z: 0 },
     dimensions: { radius: 1.4 },
   },
 ];
 
-const TYPE_PRESETS = {
-  box: {
-    label: 'Box',
-    dimensions: { width: 2, height: 2, depth: 2 },
-  },
-  sphere: {
-    label: 'Sphere',
-    dimensions: { radius: 1.5 },
-  },
-  cylinder: {
-    label: 'Cylinder',
-    dimensions: { radius: 1.1, height: 3 },
-  },
-};
-
-const randomId = () => `prim-${Math.random().toString(36).slice(2, 9)}`;
-
-const parseNumber = (value, fallback = 0) => {
-  const parsed = Number.parseFloat(value);
-  return Number.isFinite(parsed) ? parsed : fallback;
+// The undoable document: the primitive tree, the unit its lengths are measured in and the
+// variable table that field bindings refer to.
+const DEFAULT_MODEL = {
+  unit: DEFAULT_UNIT,
+  variables: [],
+  primitives: DEFAULT_PRIMITIVES,
+  features: [],
 };
 
-const roundValue = (value, precision = 2) => {
-  const multiplier = 10 ** precision;
-  return Math.round(value * multiplier) / multiplier;
-};
+const randomId = (prefix = 'prim') => `${prefix}-${Math.random().toString(36).slice(2, 9)}`;
 
 const HANDLE_MODES = {
   move: 'move',
   resize: 'resize',
+  rotate: 'rotate',
+};
+
+const TRANSFORM_MODES = {
+  [HANDLE_MODES.move]: 'translate',
+  [HANDLE_MODES.resize]: 'scale',
+  [HANDLE_MODES.rotate]: 'rotate',
 };
 
+// Lengths here are in millimetres and converted to the document unit where they are used.
 const KEY_STEP = 0.25;
 
-const positionToWorld = ({ x, y, z }) => ({
-  x,
-  y: z,
-  z: y,
+const DEFAULT_SNAPPING = {
+  enabled: true,
+  translation: 0.25,
+  dimension: 0.25,
+  angle: 15,
+};
+
+// Snapping increments are stored in the document unit, so they are rescaled along with the model.
+const scaleSnapping = (snapping, factor) => ({
+  ...snapping,
+  translation: roundValue(snapping.translation * factor, 6),
+  dimension: roundValue(snapping.dimension * factor, 6),
 });
 
-const positionFromWorld = ({ x, y, z }) => ({
-  x,
-  y: z,
-  z: y,
+const PROJECTIONS = { perspective: 'Perspective', orthographic: 'Orthographic' };
+
+// Directions the camera looks from, in three.js axes, so Front faces the model's +Y side like the
+// view cube. Keys follow the numeric keypad; Ctrl looks from the opposite side.
+const STANDARD_VIEWS = {
+  front: { label: 'Front', key: '1', direction: [0, 0, 1] },
+  back: { label: 'Back', key: 'Ctrl+1', direction: [0, 0, -1] },
+  right: { label: 'Right', key: '3', direction: [1, 0, 0] },
+  left: { label: 'Left', key: 'Ctrl+3', direction: [-1, 0, 0] },
+  top: { label: 'Top', key: '7', direction: [0, 1, 0] },
+  bottom: { label: 'Bottom', key: 'Ctrl+7', direction: [0, -1, 0] },
+  iso: { label: 'Isometric', key: '0', direction: [1, 1, 1] },
+};
+
+const VIEW_CUBE_FACES = ['Right +X', 'Left -X', 'Top +Z', 'Bottom -Z', 'Front +Y', 'Back -Y'];
+
+const DEFAULT_VIEWPORT = {
+  handleMode: HANDLE_MODES.move,
+  projection: 'perspective',
+  showOrigin: true,
+  ghostOpacity: 0.8,
+  snapping: DEFAULT_SNAPPING,
+  print: DEFAULT_PRINT_SETTINGS,
+};
+
+// Holding this key while dragging or nudging temporarily ignores the snapping settings.
+const SNAP_BYPASS_KEY = 'Alt';
+
+const positiveOr = (value, fallback) => (Number.isFinite(value) && value > 0 ? value : fallback);
+
+/**
+ * Fills in and clamps viewport settings read from a project file, falling back to defaults for
+ * anything missing or out of range. Default snapping increments are converted to `unit`.
+ */
+const normalizeViewport = (viewport, unit) => {
+  const snapping = viewport.snapping ?? {};
+  const print = viewport.print ?? {};
+  const defaultSnapping = scaleSnapping(DEFAULT_SNAPPING, millimeterIn(unit));
+  return {
+    handleMode: Object.values(HANDLE_MODES).includes(viewport.handleMode)
+      ? viewport.handleMode
+      : DEFAULT_VIEWPORT.handleMode,
+    projection: Object.hasOwn(PROJECTIONS, viewport.projection) ? viewport.projection : DEFAULT_VIEWPORT.projection,
+    showOrigin: typeof viewport.showOrigin === 'boolean' ? viewport.showOrigin : DEFAULT_VIEWPORT.showOrigin,
+    ghostOpacity: Number.isFinite(viewport.ghostOpacity)
+      ? Math.min(0.8, Math.max(0.05, viewport.ghostOpacity))
+      : DEFAULT_VIEWPORT.ghostOpacity,
+    snapping: {
+      enabled: typeof snapping.enabled === 'boolean' ? snapping.enabled : defaultSnapping.enabled,
+      translation: positiveOr(snapping.translation, defaultSnapping.translation),
+      dimension: positiveOr(snapping.dimension, defaultSnapping.dimension),
+      angle: positiveOr(snapping.angle, defaultSnapping.angle),
+    },
+    print: {
+      density: positiveOr(print.density, DEFAULT_PRINT_SETTINGS.density),
+      infill: Number.isFinite(print.infill)
+        ? Math.min(100, Math.max(0, print.infill))
+        : DEFAULT_PRINT_SETTINGS.infill,
+      filamentDiameter: FILAMENT_DIAMETERS.includes(print.filamentDiameter)
+        ? print.filamentDiameter
+        : DEFAULT_PRINT_SETTINGS.filamentDiameter,
+    },
+  };
+};
+
+// Viewport settings hold numbers, strings and flat objects of them, so one level of comparison is enough.
+const isSameViewport = (a, b) =>
+  Object.keys(a).every((key) => {
+    if (a[key] === b[key]) return true;
+    if (typeof a[key] !== 'object' || typeof b[key] !== 'object') return false;
+    return Object.keys(a[key]).every((field) => a[key][field] === b[key][field]);
+  });
+
+/**
+ * Snaps the length dimensions of a primitive to the dimension increment, never going below a
+ * field's minimum in `unit`.
+ */
+const snapDimensions = (type, dimensions, increment, unit) => {
+  const next = { ...dimensions };
+  getPrimitiveType(type).fields.forEach((field) => {
+    if (!isLengthField(field) || !(field.key in next)) return;
+    next[field.key] = Math.max(fieldInUnit(field, unit).min ?? 0, snapValue(next[field.key], increment));
+  });
+  return next;
+};
+
+// Releasing a handle without moving it reports the values the primitive already has.
+const isUnchangedTransform = (primitive, payload) =>
+  !payload.expressions &&
+  ['position', 'rotation', 'dimensions'].every(
+    (key) => !payload[key] || Object.entries(payload[key]).every(([field, value]) => primitive[key][field] === value)
+  );
+
+// Shift, Ctrl or Cmd while clicking adds to or removes from the selection instead of replacing it.
+const isAdditiveSelection = (event) => event.shiftKey || event.ctrlKey || event.metaKey;
+
+const averagePosition = (items) => {
+  const total = items.reduce(
+    (sum, { position }) => ({ x: sum.x + position.x, y: sum.y + position.y, z: sum.z + position.z }),
+    { x: 0, y: 0, z: 0 }
+  );
+  const count = Math.max(items.length, 1);
+  return { x: total.x / count, y: total.y / count, z: total.z / count };
+};
+
+const DEFAULT_EXPORT_SETTINGS = { format: 'stl-binary', resolution: 'standard', problemPolicy: 'warn' };
+
+const exportFileName = (filePath, extension) => {
+  const projectName = filePath ? fileNameFromPath(filePath).replace(/\.[^.]*$/, '') : 'cad3d-object';
+  return `${projectName}.${extension}`;
+};
+
+// Outside Electron there is no save dialog, so exports fall back to a browser download.
+const downloadFile = (data, fileName, mimeType) => {
+  const url = URL.createObjectURL(new Blob([data], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  requestAnimationFrame(() => {
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  });
+};
+
+// Duplicated shapes, and shapes pasted next to their originals, move this far (in millimetres) so
+// both stay visible.
+const COPY_OFFSET = { x: 1, y: 1, z: 0 };
+
+const copyOffset = (unit) => {
+  const scale = millimeterIn(unit);
+  return { x: COPY_OFFSET.x * scale, y: COPY_OFFSET.y * scale, z: COPY_OFFSET.z * scale };
+};
+
+const collectNames = (nodes) =>
+  nodes.flatMap((node) => [node.name, ...(isGroup(node) ? collectNames(node.children) : [])]);
+
+// Numbers a name already in `taken`, so a second "Bracket" becomes "Bracket 2", and reserves it.
+const uniqueName = (name, taken) => {
+  const base = name.replace(/ \d+$/, '');
+  let candidate = name;
+  for (let number = 2; taken.has(candidate); number += 1) candidate = `${base} ${number}`;
+  taken.add(candidate);
+  return candidate;
+};
+
+const renameUniquely = (node, taken) => ({
+  ...node,
+  name: uniqueName(node.name, taken),
+  ...(isGroup(node) ? { children: node.children.map((child) => renameUniquely(child, taken)) } : {}),
 });
 
 export default function App() {
-  const [primitives, setPrimitives] = useState(DEFAULT_PRIMITIVES);
-  const [selectedId, setSelectedId] = useState(DEFAULT_PRIMITIVES[0]?.id ?? null);
-  const [handleMode, setHandleMode] = useState(HANDLE_MODES.move);
-  const [showOrigin, setShowOrigin] = useState(true);
-  const [ghostOpacity, setGhostOpacity] = useState(0.8);
-
-  const selectedPrimitive = primitives.find((primitive) => primitive.id === selectedId) ?? null;
-
-  const patchPrimitive = useCallback((id, updater) => {
-    setPrimitives((items) =>
-      items.map((item) => {
-        if (item.id !== id) return item;
-        return typeof updater === 'function' ? updater(item) : { ...item, ...updater };
-      })
+  const {
+    present: model,
+    commit: commitModel,
+    undo,
+    redo,
+    endStep,
+    reset: resetModel,
+    canUndo,
+    canRedo,
+  } = useHistory(DEFAULT_MODEL);
+  const { primitives, unit, variables, features } = model;
+  const [selectedIds, setSelectedIds] = useState(() => DEFAULT_PRIMITIVES.slice(0, 1).map((primitive) => primitive.id));
+  const [handleMode, setHandleMode] = useState(DEFAULT_VIEWPORT.handleMode);
+  const [projection, setProjection] = useState(DEFAULT_VIEWPORT.projection);
+  const viewRef = useRef(null);
+  const [showOrigin, setShowOrigin] = useState(DEFAULT_VIEWPORT.showOrigin);
+  const [ghostOpacity, setGhostOpacity] = useState(DEFAULT_VIEWPORT.ghostOpacity);
+  const [snapping, setSnapping] = useState(DEFAULT_VIEWPORT.snapping);
+  const [printSettings, setPrintSettings] = useState(DEFAULT_VIEWPORT.print);
+  const [isSnapBypassed, setSnapBypassed] = useState(false);
+  const [filePath, setFilePath] = useState(null);
+  const [isExportOpen, setExportOpen] = useState(false);
+  const [exportSettings, setExportSettings] = useState(DEFAULT_EXPORT_SETTINGS);
+  // `{ primitiveId }` while the sketch editor is open; a null id starts a new sketch.
+  const [sketchSession, setSketchSession] = useState(null);
+  // The model and viewport settings as last saved or opened.
+  const [saved, setSaved] = useState({ model: DEFAULT_MODEL, viewport: DEFAULT_VIEWPORT });
+
+  // The most recently selected node is the primary one: new shapes land in it when it is a group.
+  const primaryId = selectedIds[selectedIds.length - 1] ?? null;
+  const selectedNode = selectedIds.length === 1 ? findNode(primitives, primaryId) : null;
+  const selectedPrimitive = selectedNode && !isGroup(selectedNode) ? selectedNode : null;
+  const selectedNodes = useMemo(
+    () => selectedIds.map((id) => findNode(primitives, id)).filter(Boolean),
+    [primitives, selectedIds]
+  );
+  const selectedRootIds = useMemo(
+    () => selectionRoots(primitives, selectedIds).map((node) => node.id),
+    [primitives, selectedIds]
+  );
+  const transformTargets = useMemo(
+    () => flattenPrimitives(selectionRoots(primitives, selectedIds)),
+    [primitives, selectedIds]
+  );
+  const leafPrimitives = useMemo(() => flattenPrimitives(primitives), [primitives]);
+  const canPersist = Boolean(window.api?.saveProject);
+  const canImportMesh = Boolean(window.api?.importMesh);
+  const canUseClipboard = Boolean(window.api?.readClipboard);
+
+  const activeSnap = snapping.enabled && !isSnapBypassed ? snapping : null;
+
+  const viewport = useMemo(
+    () => ({ handleMode, projection, showOrigin, ghostOpacity, snapping, print: printSettings }),
+    [handleMode, projection, showOrigin, ghostOpacity, snapping, printSettings]
+  );
+  // Undoing back to the saved model returns the very same object, so a reference check is enough.
+  const isDirty = model !== saved.model || !isSameViewport(viewport, saved.viewport);
+
+  const {
+    geometry: solidGeometry,
+    report: solidReport,
+    isRebuilding,
+    error: solidError,
+  } = useCombinedGeometry(primitives, features);
+  const [showProblems, setShowProblems] = useState(true);
+  const [showCenterOfMass, setShowCenterOfMass] = useState(true);
+  const [measureMode, setMeasureMode] = useState(null);
+  const [measurements, setMeasurements] = useState([]);
+  const [measurePicks, setMeasurePicks] = useState([]);
+  const [showMeasurements, setShowMeasurements] = useState(true);
+  const [section, setSection] = useState(NO_SECTION);
+
+  const showView = useCallback((key) => viewRef.current?.lookFrom(STANDARD_VIEWS[key].direction), []);
+
+  const toggleProjection = useCallback(
+    () => setProjection((current) => (current === 'perspective' ? 'orthographic' : 'perspective')),
+    []
+  );
+
+  // Frames the selection, or the whole solid when nothing is selected or `everything` is asked for.
+  const fitView = useCallback(
+    (everything = false) => {
+      if (!everything && transformTargets.length) {
+        viewRef.current?.fit(primitiveBounds(transformTargets));
+        return;
+      }
+      if (solidGeometry) {
+        solidGeometry.computeBoundingBox();
+        if (!solidGeometry.boundingBox.isEmpty()) {
+          viewRef.current?.fit(solidGeometry.boundingBox.clone());
+          return;
+        }
+      }
+      if (leafPrimitives.length) viewRef.current?.fit(primitiveBounds(leafPrimitives));
+    },
+    [transformTargets, solidGeometry, leafPrimitives]
+  );
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.altKey || event.metaKey || isEditableElement(document.activeElement)) return;
+      const shortcut = event.ctrlKey ? `Ctrl+${event.key}` : event.key;
+      const view = Object.keys(STANDARD_VIEWS).find((key) => STANDARD_VIEWS[key].key === shortcut);
+      if (view) {
+        event.preventDefault();
+        showView(view);
+      } else if (shortcut === '5') {
+        toggleProjection();
+      } else if (shortcut.toLowerCase() === 'f') {
+        fitView(event.shiftKey);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [showView, toggleProjection, fitView]);
+
+  const changeMeasureMode = useCallback((mode) => {
+    setMeasureMode(mode);
+    setMeasurePicks([]);
+    if (mode) setShowMeasurements(true);
+  }, []);
+
+  // A measurement is finished, and kept as an annotation, once its mode has all the picks it needs.
+  const addMeasurePick = useCallback(
+    (pick) => {
+      const picks = [...measurePicks, pick];
+      if (picks.length < MEASURE_MODES[measureMode].picks) {
+        setMeasurePicks(picks);
+        return;
+      }
+      setMeasurements((current) => [...current, { id: randomId('measure'), mode: measureMode, picks }]);
+      setMeasurePicks([]);
+    },
+    [measureMode, measurePicks]
+  );
+
+  const removeMeasurement = useCallback(
+    (id) => setMeasurements((current) => current.filter((measurement) => measurement.id !== id)),
+    []
+  );
+
+  useEffect(() => {
+    if (!measureMode) return undefined;
+    const handleKeyDown = (event) => {
+      if (event.key !== 'Escape' || isEditableElement(document.activeElement)) return;
+      if (measurePicks.length) {
+        setMeasurePicks([]);
+      } else {
+        setMeasureMode(null);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [measureMode, measurePicks.length]);
+
+  // The unit that snapping, the section and measurements are in. They follow every unit switch,
+  // undo and redo included; opening a project sets this to the project's unit with its increments.
+  const viewUnitRef = useRef(unit);
+  useEffect(() => {
+    if (viewUnitRef.current === unit) return;
+    const factor = convertLength(1, viewUnitRef.current, unit);
+    viewUnitRef.current = unit;
+    const scalePicks = (picks) => picks.map((pick) => ({ ...pick, point: pick.point.map((value) => value * factor) }));
+    setSnapping((current) => scaleSnapping(current, factor));
+    setSection((current) => ({ ...current, offset: current.offset * factor }));
+    setMeasurements((current) =>
+      current.map((measurement) => ({ ...measurement, picks: scalePicks(measurement.picks) }))
     );
+    setMeasurePicks(scalePicks);
+  }, [unit]);
+
+  useEffect(() => {
+    const remaining = selectedIds.filter((id) => findNode(primitives, id));
+    if (remaining.length === selectedIds.length) return;
+    const fallbackId = primitives[primitives.length - 1]?.id;
+    setSelectedIds(remaining.length || !fallbackId ? remaining : [fallbackId]);
+  }, [primitives, selectedIds]);
+
+  const variableEvaluation = useMemo(() => evaluateVariables(variables, { unit }), [variables, unit]);
+  const resolveName = useMemo(() => variableResolver(variableEvaluation), [variableEvaluation]);
+
+  // Most edits only touch the tree; unit and variable changes go through `commitModel` so they undo
+  // with it. Editing a bound field directly detaches it from its expression.
+  const commitPrimitives = useCallback(
+    (updater, options) =>
+      commitModel((current) => {
+        const primitives = updater(current.primitives);
+        if (primitives === current.primitives) return current;
+        return resolveModel({ ...current, primitives: detachEditedBindings(current.primitives, primitives) });
+      }, options),
+    [commitModel]
+  );
+
+  // Switching units keeps the model's physical size by converting every stored length.
+  const changeUnit = useCallback(
+    (nextUnit) => {
+      commitModel((current) =>
+        current.unit === nextUnit ? current : resolveModel(convertModelUnit(current, nextUnit))
+      );
+    },
+    [commitModel]
+  );
+
+  const addVariable = useCallback(() => {
+    commitModel((current) => {
+      let index = current.variables.length + 1;
+      while (current.variables.some((variable) => variable.name === `var${index}`)) index += 1;
+      return { ...current, variables: [...current.variables, { name: `var${index}`, expression: '0' }] };
+    });
+  }, [commitModel]);
+
+  const updateVariable = useCallback(
+    (name, expression) => {
+      commitModel(
+        (current) => {
+          if (current.variables.every((variable) => variable.name !== name || variable.expression === expression)) {
+            return current;
+          }
+          return resolveModel({
+            ...current,
+            variables: current.variables.map((variable) =>
+              variable.name === name ? { ...variable, expression } : variable
+            ),
+          });
+        },
+        { mergeKey: `variable:${name}` }
+      );
+    },
+    [commitModel]
+  );
+
+  const renameVariableTo = useCallback(
+    (name, nextName) => {
+      commitModel((current) => (name === nextName ? current : resolveModel(renameVariable(current, name, nextName))));
+    },
+    [commitModel]
+  );
+
+  // Bindings that used a removed variable keep their last value and report the unknown name.
+  const removeVariable = useCallback(
+    (name) => {
+      commitModel((current) =>
+        current.variables.some((variable) => variable.name === name)
+          ? { ...current, variables: current.variables.filter((variable) => variable.name !== name) }
+          : current
+      );
+    },
+    [commitModel]
+  );
+
+  const commitFeatures = useCallback(
+    (updater, options) =>
+      commitModel((current) => {
+        const features = updater(current.features);
+        return features === current.features ? current : { ...current, features };
+      }, options),
+    [commitModel]
+  );
+
+  // A new feature repeats the current selection, or the whole model when nothing is selected. Its
+  // copies only appear when the solid is folded.
+  const addFeature = useCallback(
+    (type) => {
+      const { label, parameters } = FEATURE_TYPES[type];
+      const [defaults] = scaleFeatures([{ type, ...parameters }], millimeterIn(unit));
+      commitFeatures((items) => [
+        ...items,
+        {
+          id: randomId('feature'),
+          name: `${label} ${items.length + 1}`,
+          scope: selectedRootIds.length ? 'selection' : 'model',
+          sourceIds: selectedRootIds,
+          ...defaults,
+        },
+      ]);
+    },
+    [commitFeatures, selectedRootIds, unit]
+  );
+
+  const updateFeature = useCallback(
+    (id, patch, key) => {
+      commitFeatures(
+        (items) => items.map((feature) => (feature.id === id ? { ...feature, ...patch } : feature)),
+        key ? { mergeKey: `feature.${key}:${id}` } : undefined
+      );
+    },
+    [commitFeatures]
+  );
+
+  const removeFeature = useCallback(
+    (id) => commitFeatures((items) => items.filter((feature) => feature.id !== id)),
+    [commitFeatures]
+  );
+
+  const selectNode = useCallback((id, additive = false) => {
+    setSelectedIds((current) => {
+      if (!id) return additive ? current : [];
+      if (!additive) return [id];
+      return current.includes(id) ? current.filter((selected) => selected !== id) : [...current, id];
+    });
+  }, []);
+
+  const addToSelection = useCallback((ids) => {
+    setSelectedIds((current) => [...current, ...ids.filter((id) => !current.includes(id))]);
   }, []);
 
+  const patchPrimitive = useCallback(
+    (id, updater, options) => {
+      commitPrimitives(
+        (items) =>
+          updateNode(items, id, (item) => (typeof updater === 'function' ? updater(item) : { ...item, ...updater })),
+        options
+      );
+    },
+    [commitPrimitives]
+  );
+
+  // New shapes land inside the selected group, or at the end of the top level otherwise.
+  const insertPrimitive = useCallback(
+    (newPrimitive) => {
+      commitPrimitives((items) => {
+        const target = findNode(items, primaryId);
+        return insertNode(items, newPrimitive, isGroup(target) ? target.id : null);
+      });
+      setSelectedIds([newPrimitive.id]);
+    },
+    [commitPrimitives, primaryId]
+  );
+
   const addPrimitive = useCallback((type) => {
-    const preset = TYPE_PRESETS[type];
+    const preset = PRIMITIVE_TYPES[type];
+    const dimensions = defaultDimensions(type, unit);
     const newPrimitive = {
       id: randomId(),
       name: `${preset.label} ${Math.floor(Math.random() * 90 + 10)}`,
       type,
-      operation: type === 'sphere' ? 'subtract' : 'add',
+      operation: preset.defaultOperation ?? 'add',
       position: {
         x: 0,
         y: 0,
-        z: preset.dimensions.height ? preset.dimensions.height / 2 : preset.dimensions.radius,
+        z: restingHeight(type, dimensions),
       },
-      dimensions: { ...preset.dimensions },
+      rotation: { x: 0, y: 0, z: 0 },
+      dimensions,
     };
+    insertPrimitive(newPrimitive);
+  }, [insertPrimitive, unit]);
+
+  // Mesh files are read as millimetres, the convention for STL and OBJ.
+  const importMesh = useCallback(async () => {
+    if (!canImportMesh) return;
+    try {
+      const result = await window.api.importMesh();
+      if (!result) return;
+
+      const fileName = fileNameFromPath(result.filePath);
+      const { source, size } = importMeshFile(fileName, result.data);
+      const dimensions = { size: roundValue(convertLength(size, 'mm', unit), 6) };
+      insertPrimitive({
+        id: randomId(),
+        name: fileName.replace(/\.[^.]*$/, ''),
+        type: 'mesh',
+        operation: 'add',
+        position: { x: 0, y: 0, z: restingHeight('mesh', dimensions, { mesh: source }) },
+        rotation: { x: 0, y: 0, z: 0 },
+        dimensions,
+        mesh: source,
+      });
 
-    setPrimitives((items) => [...items, newPrimitive]);
-    setSelectedId(newPrimitive.id);
-  }, []);
+      const report = meshReport(source);
+      if (!report.isWatertight) {
+        const defects = describeProblems(report).join(', ');
+        window.alert(`"${fileName}" is not watertight (${defects}). Booleans with it may fail.`);
+      }
+    } catch (error) {
+      window.alert(`Could not import mesh: ${error.message}`);
+    }
+  }, [canImportMesh, insertPrimitive, unit]);
+
+  // New sketches are placed on their plane at `offset` along its normal; edits keep the placement.
+  const applySketch = useCallback(
+    ({ primitiveId, sketch, type, dimensions, offset }) => {
+      if (primitiveId) {
+        patchPrimitive(primitiveId, (current) => ({ ...current, type, dimensions, sketch }));
+        return;
+      }
+      const { normal, rotation } = SKETCH_PLANES[sketch.plane];
+      insertPrimitive({
+        id: randomId(),
+        name: `${PRIMITIVE_TYPES[type].label} ${Math.floor(Math.random() * 90 + 10)}`,
+        type,
+        operation: 'add',
+        position: { x: 0, y: 0, z: 0, [normal]: offset },
+        rotation: { ...rotation },
+        dimensions,
+        sketch,
+      });
+    },
+    [insertPrimitive, patchPrimitive]
+  );
+
+  const addGroup = useCallback(() => {
+    const group = { id: randomId('group'), name: 'Group', type: GROUP_TYPE, operation: 'add', children: [] };
+    commitPrimitives((items) => insertNode(items, group));
+    setSelectedIds([group.id]);
+  }, [commitPrimitives]);
+
+  const groupNode = useCallback(
+    (id) => {
+      const groupId = randomId('group');
+      commitPrimitives((items) => {
+        const node = findNode(items, id);
+        if (!node) return items;
+        return updateNode(items, id, () => ({
+          id: groupId,
+          name: `${node.name} Group`,
+          type: GROUP_TYPE,
+          operation: node.operation,
+          children: [{ ...node, operation: 'add' }],
+        }));
+      });
+      setSelectedIds([groupId]);
+    },
+    [commitPrimitives]
+  );
+
+  const ungroupNode = useCallback(
+    (id) => {
+      commitPrimitives((items) => {
+        const location = locateNode(items, id);
+        const group = location?.siblings[location.index];
+        if (!isGroup(group)) return items;
+        return updateChildren(items, location.parentId, (siblings) => [
+          ...siblings.slice(0, location.index),
+          ...group.children,
+          ...siblings.slice(location.index + 1),
+        ]);
+      });
+    },
+    [commitPrimitives]
+  );
 
+  // `payload.expressions` maps field paths to the text typed on a viewport label, so labels can bind
+  // fields to variables the same way the inspector does.
   const handleTransformPrimitive = useCallback(
-    (id, payload) => {
-      patchPrimitive(id, (current) => ({
-        ...current,
-        ...(payload.position ? { position: { ...payload.position } } : {}),
-        ...(payload.dimensions ? { dimensions: { ...payload.dimensions } } : {}),
-      }));
+    (id, payload, options) => {
+      patchPrimitive(
+        id,
+        (current) => {
+          if (isUnchangedTransform(current, payload)) return current;
+          return Object.entries(payload.expressions ?? {}).reduce(
+            (next, [path, expression]) => bindField(next, path, expression),
+            {
+              ...current,
+              ...(payload.position ? { position: { ...payload.position } } : {}),
+              ...(payload.rotation ? { rotation: { ...payload.rotation } } : {}),
+              ...(payload.dimensions ? { dimensions: { ...payload.dimensions } } : {}),
+            }
+          );
+        },
+        options
+      );
     },
     [patchPrimitive]
   );
 
-  const removePrimitive = useCallback((id) => {
-    setPrimitives((items) => {
-      const filtered = items.filter((item) => item.id !== id);
-      setSelectedId((current) => {
-        if (!filtered.length) return null;
-        if (current === id || !filtered.some((item) => item.id === current)) {
-          return filtered[filtered.length - 1].id;
-        }
-        return current;
-      });
-      return filtered;
+  // Applies `{ id, position, rotation }` updates to several primitives as one undo step.
+  const transformPrimitives = useCallback(
+    (updates, options) => {
+      commitPrimitives(
+        (items) =>
+          updates.reduce(
+            (next, { id, ...payload }) => updateNode(next, id, (current) => ({ ...current, ...payload })),
+            items
+          ),
+        options
+      );
+    },
+    [commitPrimitives]
+  );
+
+  // The selection effect above moves the selection to the last remaining top-level node.
+  const removePrimitive = useCallback(
+    (id) => {
+      commitPrimitives((items) => removeNode(items, id));
+    },
+    [commitPrimitives]
+  );
+
+  const removeSelection = useCallback(() => {
+    if (!selectedIds.length) return;
+    commitPrimitives((items) =>
+      selectionRoots(items, selectedIds).reduce((next, node) => removeNode(next, node.id), items)
+    );
+  }, [commitPrimitives, selectedIds]);
+
+  const setSelectionOperation = useCallback(
+    (operation) => {
+      commitPrimitives((items) =>
+        selectedIds.reduce((next, id) => updateNode(next, id, (node) => ({ ...node, operation })), items)
+      );
+    },
+    [commitPrimitives, selectedIds]
+  );
+
+  // Copies land directly after their originals, slightly offset and numbered like pasted shapes,
+  // and become the new selection.
+  const duplicateSelection = useCallback(() => {
+    const roots = selectionRoots(primitives, selectedIds);
+    if (!roots.length) return;
+    const taken = new Set(collectNames(primitives));
+    const copies = roots.map((node) => renameUniquely(offsetNode(cloneNode(node, randomId), copyOffset(unit)), taken));
+    commitPrimitives((items) =>
+      roots.reduce((next, node, index) => {
+        const location = locateNode(next, node.id);
+        return location ? insertNode(next, copies[index], location.parentId, location.index + 1) : next;
+      }, items)
+    );
+    setSelectedIds(copies.map((copy) => copy.id));
+  }, [commitPrimitives, primitives, selectedIds, unit]);
+
+  // The clipboard holds JSON text, so shapes can be pasted into another window or project.
+  const copySelection = useCallback(() => {
+    const roots = selectionRoots(primitives, selectedIds);
+    if (!canUseClipboard || !roots.length) return;
+    window.api.writeClipboard(serializeClipboard({ nodes: roots, unit }));
+  }, [canUseClipboard, primitives, selectedIds, unit]);
+
+  // Pasted shapes get fresh ids and free names, convert to the document unit and keep their
+  // position, unless their originals are in this document, where they are offset like duplicates.
+  // Bindings stay linked only when every variable they name exists here and the unit matches, since
+  // bare numbers in an expression would be read in the new unit.
+  const pasteClipboard = useCallback(async () => {
+    if (!canUseClipboard) return;
+    let payload;
+    try {
+      payload = parseClipboard(await window.api.readClipboard(), { types: PRIMITIVE_TYPES });
+    } catch (error) {
+      window.alert(`Could not paste: ${error.message}`);
+      return;
+    }
+    if (!payload?.primitives.length) return;
+
+    const factor = convertLength(1, payload.unit, unit);
+    const scaled = factor === 1 ? payload.primitives : scaleLengths(payload.primitives, factor);
+    const names = new Set(variables.map((variable) => variable.name));
+    const { primitives: nodes, unlinked } = unlinkBindings(
+      scaled,
+      (expression) => payload.unit === unit && expressionNames(expression).every((name) => names.has(name))
+    );
+    const isBesideOriginals = nodes.some((node) => findNode(primitives, node.id));
+    const taken = new Set(collectNames(primitives));
+    const copies = nodes.map((node) => {
+      const copy = renameUniquely(cloneNode(node, randomId), taken);
+      return isBesideOriginals ? offsetNode(copy, copyOffset(unit)) : copy;
     });
-  }, []);
+    commitPrimitives((items) => {
+      const target = findNode(items, primaryId);
+      return copies.reduce((next, copy) => insertNode(next, copy, isGroup(target) ? target.id : null), items);
+    });
+    setSelectedIds(copies.map((copy) => copy.id));
+    if (unlinked) {
+      const reason =
+        payload.unit === unit ? 'name variables this project lacks' : `were copied from a ${payload.unit} project`;
+      window.alert(
+        `Unlinked ${countLabel(unlinked, 'pasted field')} from variables because the shapes ${reason}. ` +
+          'The fields keep their values.'
+      );
+    }
+  }, [canUseClipboard, commitPrimitives, primaryId, primitives, unit, variables]);
 
   const reorderPrimitive = useCallback((id, direction) => {
-    setPrimitives((items) => {
-      const index = items.findIndex((primitive) => primitive.id === id);
-      if (index === -1) return items;
+    commitPrimitives((items) => {
+      const location = locateNode(items, id);
+      if (!location) return items;
+      const { parentId, index } = location;
       const targetIndex = index + direction;
-      if (targetIndex < 0 || targetIndex >= items.length) return items;
+      if (targetIndex < 0 || targetIndex >= location.siblings.length) return items;
 
-      const nextItems = [...items];
-      const [moved] = nextItems.splice(index, 1);
-      nextItems.splice(targetIndex, 0, moved);
-      return nextItems;
+      return updateChildren(items, parentId, (siblings) => {
+        const nextItems = [...siblings];
+        const [moved] = nextItems.splice(index, 1);
+        nextItems.splice(targetIndex, 0, moved);
+        return nextItems;
+      });
     });
-  }, []);
+  }, [commitPrimitives]);
+
+  const dropNode = useCallback(
+    (id, targetId, placement) => {
+      if (id === targetId) return;
+      commitPrimitives((items) => {
+        if (placement === 'inside') return moveNode(items, id, targetId, Infinity);
+        const location = locateNode(items, targetId);
+        if (!location) return items;
+        return moveNode(items, id, location.parentId, location.index + (placement === 'after' ? 1 : 0));
+      });
+    },
+    [commitPrimitives]
+  );
 
-  const exportToSTL = useCallback(() => {
-    const mesh = buildCombinedMesh(primitives);
-    if (!mesh) return;
-
-    const exporter = new STLExporter();
-    const stl = exporter.parse(mesh);
-    const blob = new Blob([stl], { type: 'model/stl' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `cad3d-object-${Date.now()}.stl`;
-    document.body.appendChild(link);
-    link.click();
-    requestAnimationFrame(() => {
-      document.body.removeChild(link);
-      URL.revokeObjectURL(url);
-    });
-  }, [primitives]);
+  // Exports rebuild the solid off the main thread at the chosen resolution rather than reusing the
+  // viewport's. Resolves to false when the user cancels the save dialog.
+  const exportModel = useCallback(
+    async ({ format, resolution, problemPolicy }) => {
+      const { extension, filterName, mimeType, encode } = EXPORT_FORMATS[format];
+      const build = await buildGeometryInWorker(primitives, {
+        segments: EXPORT_RESOLUTIONS[resolution].segments,
+        features,
+      });
+      if (!build) throw new Error('The model has no solid to export.');
+
+      // The exported mesh is checked rather than the viewport's, since resolution changes the result.
+      let data;
+      try {
+        const problems = describeProblems(build.report).join(', ');
+        if (problems && problemPolicy === 'block') {
+          throw new Error(`The mesh has ${problems}. Fix the model or let export warn instead.`);
+        }
+        if (problems && !window.confirm(`The exported mesh has ${problems}. Export it anyway?`)) return false;
+        data = await encode(build.geometry, { unit });
+      } finally {
+        build.geometry.dispose();
+      }
+
+      const fileName = exportFileName(filePath, extension);
+      if (!window.api?.exportFile) {
+        downloadFile(data, fileName, mimeType);
+        return true;
+      }
+      return Boolean(await window.api.exportFile({ defaultPath: fileName, filterName, extension, data }));
+    },
+    [primitives, features, unit, filePath]
+  );
+
+  // Resolves to whether the project was written, so closing the window can wait for it.
+  const saveProject = useCallback(
+    async (saveAs = false) => {
+      if (!canPersist) return false;
+      try {
+        const contents = serializeProject({ ...model, viewport });
+        const result = await window.api.saveProject({ filePath, contents, saveAs });
+        if (!result) return false;
+        setFilePath(result.filePath);
+        setSaved({ model, viewport });
+        return true;
+      } catch (error) {
+        window.alert(`Could not save project: ${error.message}`);
+        return false;
+      }
+    },
+    [canPersist, filePath, model, viewport]
+  );
+
+  // Closing a window with unsaved changes asks first; choosing Save there lands here.
+  useEffect(() => window.api?.onSaveBeforeClose?.(() => saveProject()), [saveProject]);
+
+  const openProject = useCallback(async () => {
+    if (!canPersist) return;
+    if (isDirty && !window.confirm('Discard unsaved changes to the current project?')) return;
+
+    try {
+      const result = await window.api.openProject();
+      if (!result) return;
+
+      const project = parseProject(result.contents, { types: PRIMITIVE_TYPES });
+      const projectViewport = normalizeViewport(project.viewport, project.unit);
+      const projectModel = {
+        unit: project.unit,
+        variables: project.variables,
+        primitives: project.primitives,
+        features: project.features,
+      };
+
+      resetModel(projectModel);
+      setSelectedIds(project.primitives.slice(0, 1).map((node) => node.id));
+      setHandleMode(projectViewport.handleMode);
+      setProjection(projectViewport.projection);
+      setShowOrigin(projectViewport.showOrigin);
+      setGhostOpacity(projectViewport.ghostOpacity);
+      setSnapping(projectViewport.snapping);
+      setPrintSettings(projectViewport.print);
+      setMeasurements([]);
+      setMeasurePicks([]);
+      viewUnitRef.current = project.unit;
+      setFilePath(result.filePath);
+      setSaved({ model: projectModel, viewport: projectViewport });
+    } catch (error) {
+      window.alert(`Could not open project: ${error.message}`);
+    }
+  }, [canPersist, isDirty, resetModel]);
+
+  useEffect(() => {
+    document.title = `${fileNameFromPath(filePath)}${isDirty ? ' *' : ''} - CAD3D`;
+    window.api?.setDocumentDirty?.(isDirty);
+  }, [filePath, isDirty]);
+
+  // A drag, a run of arrow-key nudges or the edits in one field make a single undo step, which
+  // ends when the pointer or key is released or the field loses focus. Keys released while typing
+  // leave the step open so a whole word undoes at once.
+  useEffect(() => {
+    const endKeyStep = () => {
+      if (!isEditableElement(document.activeElement)) endStep();
+    };
+    window.addEventListener('pointerup', endStep);
+    window.addEventListener('focusout', endStep);
+    window.addEventListener('blur', endStep);
+    window.addEventListener('keyup', endKeyStep);
+    return () => {
+      window.removeEventListener('pointerup', endStep);
+      window.removeEventListener('focusout', endStep);
+      window.removeEventListener('blur', endStep);
+      window.removeEventListener('keyup', endKeyStep);
+    };
+  }, [endStep]);
 
   useEffect(() => {
     const handleKeyDown = (event) => {
-      if (!selectedId) return;
-      if (document.activeElement) {
-        const tag = document.activeElement.tagName;
-        if (['INPUT', 'TEXTAREA', 'SELECT'].includes(tag) || document.activeElement.isContentEditable) {
-          return;
+      if (!(event.ctrlKey || event.metaKey)) return;
+      const key = event.key.toLowerCase();
+      // Text fields keep their own undo, copy and paste.
+      const isTyping = isEditableElement(document.activeElement);
+      if (key === 'z' && !isTyping) {
+        event.preventDefault();
+        if (event.shiftKey) {
+          redo();
+        } else {
+          undo();
         }
+      } else if (key === 'y' && !isTyping) {
+        event.preventDefault();
+        redo();
+      } else if (key === 's') {
+        event.preventDefault();
+        saveProject(event.shiftKey);
+      } else if (key === 'o') {
+        event.preventDefault();
+        openProject();
+      } else if (key === 'n' && event.shiftKey) {
+        event.preventDefault();
+        window.api?.openWindow?.();
+      } else if (key === 'e') {
+        event.preventDefault();
+        if (leafPrimitives.length) setExportOpen(true);
+      } else if (['c', 'v', 'd'].includes(key) && !isTyping) {
+        event.preventDefault();
+        if (key === 'c') copySelection();
+        if (key === 'v') pasteClipboard();
+        if (key === 'd') duplicateSelection();
       }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [saveProject, openProject, undo, redo, leafPrimitives.length, copySelection, pasteClipboard, duplicateSelection]);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!transformTargets.length) return;
+      if (isEditableElement(document.activeElement)) return;
 
       const arrowKeys = ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'];
       if (!arrowKeys.includes(event.key)) return;
 
       event.preventDefault();
 
-      const step = event.shiftKey ? KEY_STEP * 2 : KEY_STEP;
+      // With snapping on, nudges move by the translation increment and land on the snap grid.
+      const snap = snapping.enabled && !event.altKey ? snapping.translation : null;
+      const baseStep = snap ?? KEY_STEP * millimeterIn(unit);
+      const step = event.shiftKey ? baseStep * 2 : baseStep;
       const deltas = { x: 0, y: 0, z: 0 };
       if (event.key === 'ArrowUp') deltas.z = step;
       if (event.key === 'ArrowDown') deltas.z = -step;
       if (event.key === 'ArrowLeft') deltas.x = -step;
       if (event.key === 'ArrowRight') deltas.x = step;
 
-      patchPrimitive(selectedId, (current) => ({
-        ...current,
-        position: {
-          ...current.position,
-          x: roundValue(current.position.x + deltas.x),
-          y: roundValue(current.position.y + deltas.y),
-          z: roundValue(current.position.z + deltas.z),
-        },
-      }));
+      // The whole selection moves by the same offset; with snapping, its shared pivot lands on the grid.
+      const pivot = averagePosition(transformTargets);
+      const offsetFor = (axis) => {
+        if (!deltas[axis]) return 0;
+        return snap ? snapValue(pivot[axis] + deltas[axis], snap) - pivot[axis] : deltas[axis];
+      };
+      const offset = { x: offsetFor('x'), y: offsetFor('y'), z: offsetFor('z') };
+
+      transformPrimitives(
+        transformTargets.map(({ id, position }) => ({
+          id,
+          position: {
+            x: roundValue(position.x + offset.x, 6),
+            y: roundValue(position.y + offset.y, 6),
+            z: roundValue(position.z + offset.z, 6),
+          },
+        })),
+        { mergeKey: `nudge:${transformTargets.map(({ id }) => id).join(',')}` }
+      );
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [transformTargets, transformPrimitives, snapping, unit]);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key !== 'Delete' && event.key !== 'Backspace') return;
+      if (!selectedIds.length || isEditableElement(document.activeElement)) return;
+      event.preventDefault();
+      removeSelection();
     };
 
     window.addEventListener('keydown', handleKeyDown);
     return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [selectedId, patchPrimitive]);
+  }, [selectedIds, removeSelection]);
+
+  useEffect(() => {
+    const updateBypass = (event) => {
+      if (event.key === SNAP_BYPASS_KEY) setSnapBypassed(event.type === 'keydown');
+    };
+    const clearBypass = () => setSnapBypassed(false);
+
+    window.addEventListener('keydown', updateBypass);
+    window.addEventListener('keyup', updateBypass);
+    window.addEventListener('blur', clearBypass);
+    return () => {
+      window.removeEventListener('keydown', updateBypass);
+      window.removeEventListener('keyup', updateBypass);
+      window.removeEventListener('blur', clearBypass);
+    };
+  }, []);
 
   return (
     <div className="workspace">
@@ -219,19 +1148,65 @@ export default function App() {
         </div>
         <div className="header__actions">
           <div className="header__actions-group">
-            {Object.keys(TYPE_PRESETS).map((type) => (
+            <button
+              type="button"
+              className="btn btn--ghost"
+              onClick={() => window.api.openWindow()}
+              disabled={!canPersist}
+              title="New Window (Ctrl+Shift+N)"
+            >
+              New Window
+            </button>
+            <button type="button" className="btn btn--ghost" onClick={openProject} disabled={!canPersist}>
+              Open
+            </button>
+            <button type="button" className="btn btn--ghost" onClick={() => saveProject()} disabled={!canPersist}>
+              Save
+            </button>
+            <button type="button" className="btn btn--ghost" onClick={() => saveProject(true)} disabled={!canPersist}>
+              Save As
+            </button>
+          </div>
+          <div className="header__actions-group">
+            <button type="button" className="btn btn--ghost" onClick={undo} disabled={!canUndo} title="Undo (Ctrl+Z)">
+              Undo
+            </button>
+            <button
+              type="button"
+              className="btn btn--ghost"
+              onClick={redo}
+              disabled={!canRedo}
+              title="Redo (Ctrl+Shift+Z)"
+            >
+              Redo
+            </button>
+          </div>
+          <div className="header__actions-group">
+            {CREATABLE_TYPE_KEYS.map((type) => (
               <button
                 key={type}
                 type="button"
                 className="btn btn--ghost"
                 onClick={() => addPrimitive(type)}
               >
-                Add {TYPE_PRESETS[type].label}
+                Add {PRIMITIVE_TYPES[type].label}
               </button>
             ))}
+            <button type="button" className="btn btn--ghost" onClick={() => setSketchSession({ primitiveId: null })}>
+              New Sketch…
+            </button>
+            <button type="button" className="btn btn--ghost" onClick={importMesh} disabled={!canImportMesh}>
+              Import Mesh…
+            </button>
           </div>
-          <button type="button" className="btn btn--primary" onClick={exportToSTL} disabled={!primitives.length}>
-            Export STL
+          <button
+            type="button"
+            className="btn btn--primary"
+            onClick={() => setExportOpen(true)}
+            disabled={!leafPrimitives.length}
+            title="Export (Ctrl+E)"
+          >
+            Export…
           </button>
         </div>
       </header>
@@ -241,52 +1216,59 @@ export default function App() {
           <div className="panel__title">
             <div>
               <h2>Primitives</h2>
-              <p>Shapes combine from top to bottom. Z axis controls height; subtract shapes carve material.</p>
+              <p>
+                Shapes combine from top to bottom; a group is combined on its own first, then applied with its
+                operation. Z axis controls height. Drag rows to reorder them or drop them onto a group.
+              </p>
             </div>
+            <button type="button" className="btn btn--ghost btn--tiny" onClick={addGroup}>
+              New Group
+            </button>
           </div>
 
-          <ul className="primitive-list">
-            {primitives.map((primitive, index) => (
-              <li key={primitive.id}>
-                <button
-                  type="button"
-                  className={`primitive ${primitive.id === selectedId ? 'primitive--active' : ''}`}
-                  onClick={() => setSelectedId(primitive.id)}
-                >
-                  <span className={`primitive__operation primitive__operation--${primitive.operation}`}>
-                    {primitive.operation === 'subtract' ? '-' : '+'}
-                  </span>
-                  <div className="primitive__detail">
-                    <strong>{primitive.name}</strong>
-                    <small>
-                      {TYPE_PRESETS[primitive.type].label} / {primitive.operation === 'subtract' ? 'Subtract' : 'Add'}
-                    </small>
-                  </div>
-                  <span className="primitive__index">#{index + 1}</span>
-                </button>
-                <div className="primitive__controls">
-                  <button type="button" onClick={() => reorderPrimitive(primitive.id, -1)} disabled={index === 0}>
-                    Up
-                  </button>
-                  <button type="button" onClick={() => reorderPrimitive(primitive.id, 1)} disabled={index === primitives.length - 1}>
-                    Dn
-                  </button>
-                  <button type="button" onClick={() => removePrimitive(primitive.id)}>
-                    Del
-                  </button>
-                </div>
-              </li>
-            ))}
-          </ul>
+          <PrimitiveTree
+            nodes={primitives}
+            selectedIds={selectedIds}
+            onSelect={selectNode}
+            onReorder={reorderPrimitive}
+            onRemove={removePrimitive}
+            onGroup={groupNode}
+            onUngroup={ungroupNode}
+            onDrop={dropNode}
+          />
+
+          <VariablesPanel
+            variables={variables}
+            evaluation={variableEvaluation}
+            unit={unit}
+            onAdd={addVariable}
+            onChange={updateVariable}
+            onRename={renameVariableTo}
+            onRemove={removeVariable}
+          />
+
+          <FeaturesPanel
+            features={features}
+            primitives={primitives}
+            unit={unit}
+            canAdd={primitives.length > 0}
+            canUseSelection={selectedRootIds.length > 0}
+            onAdd={addFeature}
+            onChange={updateFeature}
+            onUseSelection={(id) => updateFeature(id, { scope: 'selection', sourceIds: selectedRootIds })}
+            onSelectSources={(feature) => setSelectedIds(feature.sourceIds.filter((id) => findNode(primitives, id)))}
+            onRemove={removeFeature}
+          />
         </aside>
 
-        <div className="viewport">
+        <div className={`viewport ${measureMode ? 'viewport--measuring' : ''}`}>
           <div className="viewport__toolbar">
             <div className="viewport__toggles">
               <div className="handle-toggle">
                 {[
                   { label: 'Move', value: HANDLE_MODES.move },
                   { label: 'Resize', value: HANDLE_MODES.resize },
+                  { label: 'Rotate', value: HANDLE_MODES.rotate },
                 ].map((mode) => (
                   <button
                     key={mode.value}
@@ -305,6 +1287,33 @@ export default function App() {
               >
                 {showOrigin ? 'Hide' : 'Show'} Origin
               </button>
+              <SnapSettings snapping={snapping} unit={unit} isBypassed={isSnapBypassed} onChange={setSnapping} />
+              <MeasureTools
+                mode={measureMode}
+                count={measurements.length}
+                isVisible={showMeasurements}
+                onModeChange={changeMeasureMode}
+                onToggleVisible={() => setShowMeasurements((value) => !value)}
+                onClear={() => setMeasurements([])}
+              />
+              <SectionTools section={section} bounds={solidReport?.bounds ?? null} unit={unit} onChange={setSection} />
+              <ViewTools
+                projection={projection}
+                hasSelection={transformTargets.length > 0}
+                onView={showView}
+                onToggleProjection={toggleProjection}
+                onFit={fitView}
+              />
+              <label className="unit-select" title="Changing the unit converts every length in the model">
+                <span>Units</span>
+                <select value={unit} onChange={(event) => changeUnit(event.target.value)}>
+                  {UNIT_KEYS.map((key) => (
+                    <option key={key} value={key}>
+                      {key}
+                    </option>
+                  ))}
+                </select>
+              </label>
               <label className="opacity-slider">
                 <span>Ghost Opacity</span>
                 <input
@@ -319,96 +1328,1231 @@ export default function App() {
             </div>
           </div>
           <ModelingViewport
-            primitives={primitives}
-            selectedId={selectedId}
-            onSelectPrimitive={setSelectedId}
+            primitives={leafPrimitives}
+            solidGeometry={solidGeometry}
+            problems={showProblems ? solidReport?.problems : null}
+            centerOfMass={showCenterOfMass ? solidReport?.centerOfMass ?? null : null}
+            selectedPrimitiveId={selectedPrimitive?.id ?? null}
+            pivotPrimitives={selectedPrimitive ? [] : transformTargets}
+            onSelect={selectNode}
+            onBoxSelect={addToSelection}
             handleMode={handleMode}
             onTransformPrimitive={handleTransformPrimitive}
+            onTransformPrimitives={transformPrimitives}
+            snap={activeSnap}
+            unit={unit}
+            resolveName={resolveName}
             showOrigin={showOrigin}
             ghostOpacity={ghostOpacity}
+            section={section}
+            projection={projection}
+            viewRef={viewRef}
+            measureMode={measureMode}
+            measurements={showMeasurements ? measurements : []}
+            measurePicks={measurePicks}
+            onMeasurePick={addMeasurePick}
+            onRemoveMeasurement={removeMeasurement}
+          />
+          {measureMode && (
+            <div className="viewport__hint">
+              {MEASURE_MODES[measureMode].label}: {MEASURE_MODES[measureMode].hint} ({measurePicks.length} of{' '}
+              {MEASURE_MODES[measureMode].picks}). Esc cancels.
+            </div>
+          )}
+          {(isRebuilding || solidError) && (
+            <div className={`viewport__status ${solidError && !isRebuilding ? 'viewport__status--error' : ''}`}>
+              {isRebuilding ? 'Rebuilding solid...' : `Solid could not be rebuilt: ${solidError}`}
+            </div>
+          )}
+          {!primitives.length && (
+            <div className="viewport__empty">
+              <p>No primitives yet</p>
+              <span>Add a primitive from the toolbar to get started.</span>
+            </div>
+          )}
+        </div>
+
+        <aside className="panel panel--details">
+          <h2>Inspector</h2>
+          {selectedPrimitive && (
+            <PrimitiveInspector
+              primitive={selectedPrimitive}
+              onChange={patchPrimitive}
+              onEditSketch={() => setSketchSession({ primitiveId: selectedPrimitive.id })}
+              snap={activeSnap}
+              unit={unit}
+              resolveName={resolveName}
+            />
+          )}
+          {isGroup(selectedNode) && <GroupInspector group={selectedNode} onChange={patchPrimitive} />}
+          {selectedNodes.length > 1 && (
+            <SelectionInspector
+              nodes={selectedNodes}
+              primitiveCount={transformTargets.length}
+              onOperationChange={setSelectionOperation}
+            />
+          )}
+          {selectedNodes.length > 0 && (
+            <div className="inspector__actions">
+              <button
+                type="button"
+                className="btn btn--ghost btn--tiny"
+                onClick={duplicateSelection}
+                title="Duplicate (Ctrl+D)"
+              >
+                Duplicate
+              </button>
+              <button type="button" className="btn btn--ghost btn--tiny" onClick={removeSelection}>
+                Delete
+              </button>
+            </div>
+          )}
+          {!selectedNodes.length && (
+            <div className="inspector__empty">
+              <p>
+                Select a primitive to edit its dimensions, operation, and placement. Shift or Ctrl-click, or
+                Shift-drag in the viewport, to select several.
+              </p>
+            </div>
+          )}
+          {solidReport?.bounds && (
+            <AnalysisPanel
+              report={solidReport}
+              isStale={isRebuilding}
+              showProblems={showProblems}
+              onToggleProblems={() => setShowProblems((value) => !value)}
+            />
+          )}
+          {solidReport?.bounds && (
+            <PropertiesPanel
+              report={solidReport}
+              unit={unit}
+              settings={printSettings}
+              isStale={isRebuilding}
+              showCenterOfMass={showCenterOfMass}
+              onChange={setPrintSettings}
+              onToggleCenterOfMass={() => setShowCenterOfMass((value) => !value)}
+            />
+          )}
+        </aside>
+      </section>
+
+      {isExportOpen && (
+        <ExportDialog
+          settings={exportSettings}
+          unit={unit}
+          report={solidReport}
+          onChange={setExportSettings}
+          onExport={exportModel}
+          onClose={() => setExportOpen(false)}
+        />
+      )}
+      {sketchSession && (
+        <SketchEditor
+          primitive={sketchSession.primitiveId ? findNode(primitives, sketchSession.primitiveId) : null}
+          unit={unit}
+          onApply={(result) => applySketch({ ...result, primitiveId: sketchSession.primitiveId })}
+          onClose={() => setSketchSession(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+// Steps of the length increments are in millimetres.
+const SNAP_FIELDS = [
+  { key: 'translation', label: 'Move', step: 0.05, length: true },
+  { key: 'dimension', label: 'Size', step: 0.05, length: true },
+  { key: 'angle', label: 'Angle', step: 1 },
+];
+
+function SnapSettings({ snapping, unit, isBypassed, onChange }) {
+  return (
+    <div className={`snap-settings ${snapping.enabled && !isBypassed ? '' : 'snap-settings--off'}`}>
+      <button
+        type="button"
+        className={`btn btn--ghost btn--tiny ${snapping.enabled ? 'is-active' : ''}`}
+        onClick={() => onChange((current) => ({ ...current, enabled: !current.enabled }))}
+        title={`Hold ${SNAP_BYPASS_KEY} to ignore snapping temporarily`}
+      >
+        Snap {snapping.enabled ? 'On' : 'Off'}
+      </button>
+      {SNAP_FIELDS.map((field) => {
+        const step = field.length ? roundValue(field.step * millimeterIn(unit), 6) : field.step;
+        return (
+          <label key={field.key}>
+            <span>{field.label}</span>
+            <input
+              type="number"
+              min={step}
+              step={step}
+              value={snapping[field.key]}
+              disabled={!snapping.enabled}
+              onChange={(event) => {
+                const value = parseNumber(event.target.value, snapping[field.key]);
+                if (value > 0) onChange((current) => ({ ...current, [field.key]: value }));
+              }}
+            />
+          </label>
+        );
+      })}
+    </div>
+  );
+}
+
+function ViewTools({ projection, hasSelection, onView, onToggleProjection, onFit }) {
+  return (
+    <div className="snap-settings">
+      <label>
+        <span>View</span>
+        <select value="" onChange={(event) => event.target.value && onView(event.target.value)}>
+          <option value="">Choose…</option>
+          {Object.entries(STANDARD_VIEWS).map(([key, view]) => (
+            <option key={key} value={key}>
+              {view.label} ({view.key})
+            </option>
+          ))}
+        </select>
+      </label>
+      <button
+        type="button"
+        className="btn btn--ghost btn--tiny"
+        onClick={onToggleProjection}
+        title="Switch projection (5)"
+      >
+        {PROJECTIONS[projection]}
+      </button>
+      <button
+        type="button"
+        className="btn btn--ghost btn--tiny"
+        onClick={() => onFit(false)}
+        title={hasSelection ? 'Zoom to the selection (F)' : 'Zoom to the whole model (F)'}
+      >
+        Fit {hasSelection ? 'Selection' : 'All'}
+      </button>
+      {hasSelection && (
+        <button
+          type="button"
+          className="btn btn--ghost btn--tiny"
+          onClick={() => onFit(true)}
+          title="Zoom to the whole model (Shift+F)"
+        >
+          Fit All
+        </button>
+      )}
+    </div>
+  );
+}
+
+const NO_SECTION = { axis: null, offset: 0, flipped: false };
+
+const SECTION_STEPS = 200;
+
+// The slider spans the solid along the section axis; a new section starts through its middle.
+function SectionTools({ section, bounds, unit, onChange }) {
+  const range = (axis) => [positionFromWorld(bounds.min)[axis], positionFromWorld(bounds.max)[axis]];
+  const changeAxis = (axis) => {
+    if (!axis) {
+      onChange(NO_SECTION);
+      return;
+    }
+    const [min, max] = range(axis);
+    onChange((current) => ({ ...current, axis, offset: roundValue((min + max) / 2, 6) }));
+  };
+  const [min, max] = section.axis && bounds ? range(section.axis) : [0, 0];
+
+  return (
+    <div className="snap-settings">
+      <label>
+        <span>Section</span>
+        <select value={section.axis ?? ''} disabled={!bounds} onChange={(event) => changeAxis(event.target.value)}>
+          <option value="">Off</option>
+          {['x', 'y', 'z'].map((axis) => (
+            <option key={axis} value={axis}>
+              {axis.toUpperCase()}
+            </option>
+          ))}
+        </select>
+      </label>
+      {section.axis && bounds && (
+        <>
+          <label className="opacity-slider">
+            <input
+              type="range"
+              min={min}
+              max={max}
+              step={(max - min) / SECTION_STEPS || 1}
+              value={section.offset}
+              onChange={(event) => {
+                const offset = parseNumber(event.target.value, section.offset);
+                onChange((current) => ({ ...current, offset }));
+              }}
+            />
+            <span>{formatLength(roundValue(section.offset, UNITS[unit].precision), unit)}</span>
+          </label>
+          <button
+            type="button"
+            className={`btn btn--ghost btn--tiny ${section.flipped ? 'is-active' : ''}`}
+            onClick={() => onChange((current) => ({ ...current, flipped: !current.flipped }))}
+            title="Show the other side of the cut"
+          >
+            Flip
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
+
+function VariablesPanel({ variables, evaluation, unit, onAdd, onChange, onRename, onRemove }) {
+  return (
+    <section className="variables">
+      <div className="panel__title">
+        <h3>Variables</h3>
+        <button type="button" className="btn btn--ghost btn--tiny" onClick={onAdd}>
+          Add
+        </button>
+      </div>
+      {variables.length ? (
+        <ul className="variables__list">
+          {variables.map((variable) => (
+            <VariableRow
+              key={variable.name}
+              variable={variable}
+              variables={variables}
+              value={evaluation.values.get(variable.name)}
+              error={evaluation.errors.get(variable.name)}
+              unit={unit}
+              onChange={onChange}
+              onRename={onRename}
+              onRemove={onRemove}
+            />
+          ))}
+        </ul>
+      ) : (
+        <p>
+          Name a value once, such as <code>wall = 2</code>, then type <code>h/2 + wall</code> into any length field.
+        </p>
+      )}
+    </section>
+  );
+}
+
+function VariableRow({ variable, variables, value, error, unit, onChange, onRename, onRemove }) {
+  const [nameDraft, setNameDraft] = useState(null);
+  const [nameError, setNameError] = useState(null);
+  const [expressionDraft, setExpressionDraft] = useState(null);
+
+  const commitName = () => {
+    if (nameDraft === null) return;
+    const nextName = nameDraft.trim();
+    const problem = nextName === variable.name ? null : validateVariableName(nextName, variables, variable.name);
+    if (problem) {
+      setNameError(problem);
+      return;
+    }
+    setNameDraft(null);
+    setNameError(null);
+    if (nextName !== variable.name) onRename(variable.name, nextName);
+  };
+
+  const commitExpression = () => {
+    if (expressionDraft === null) return;
+    setExpressionDraft(null);
+    if (expressionDraft.trim() !== variable.expression) onChange(variable.name, expressionDraft.trim());
+  };
+
+  const handleKeyDown = (commit, cancel) => (event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      commit();
+    } else if (event.key === 'Escape') {
+      cancel();
+    }
+  };
+
+  const message = nameError ?? error;
+
+  return (
+    <li className="variable">
+      <div className="variable__fields">
+        <input
+          type="text"
+          aria-label="Variable name"
+          className={`variable__name ${nameError ? 'is-invalid' : ''}`}
+          value={nameDraft ?? variable.name}
+          onChange={(event) => setNameDraft(event.target.value)}
+          onBlur={commitName}
+          onKeyDown={handleKeyDown(commitName, () => {
+            setNameDraft(null);
+            setNameError(null);
+          })}
+        />
+        <span>=</span>
+        <input
+          type="text"
+          aria-label={`Value of ${variable.name}`}
+          className={`variable__expression ${error ? 'is-invalid' : ''}`}
+          value={expressionDraft ?? variable.expression}
+          onChange={(event) => setExpressionDraft(event.target.value)}
+          onBlur={commitExpression}
+          onKeyDown={handleKeyDown(commitExpression, () => setExpressionDraft(null))}
+        />
+        <button type="button" onClick={() => onRemove(variable.name)}>
+          Del
+        </button>
+      </div>
+      <small className={message ? 'variable__error' : 'variable__value'}>
+        {message ?? `= ${formatLength(value, unit)}`}
+      </small>
+    </li>
+  );
+}
+
+function FeaturesPanel({
+  features,
+  primitives,
+  unit,
+  canAdd,
+  canUseSelection,
+  onAdd,
+  onChange,
+  onUseSelection,
+  onSelectSources,
+  onRemove,
+}) {
+  return (
+    <section className="variables">
+      <div className="panel__title">
+        <h3>Features</h3>
+        <div className="features__add">
+          {FEATURE_TYPE_KEYS.map((type) => (
+            <button
+              key={type}
+              type="button"
+              className="btn btn--ghost btn--tiny"
+              onClick={() => onAdd(type)}
+              disabled={!canAdd}
+              title="Repeat the selected shapes, or the whole model when nothing is selected"
+            >
+              {FEATURE_TYPES[type].label}
+            </button>
+          ))}
+        </div>
+      </div>
+      {features.length ? (
+        <ul className="variables__list features__list">
+          {features.map((feature) => (
+            <FeatureRow
+              key={feature.id}
+              feature={feature}
+              primitives={primitives}
+              unit={unit}
+              canUseSelection={canUseSelection}
+              onChange={onChange}
+              onUseSelection={onUseSelection}
+              onSelectSources={onSelectSources}
+              onRemove={onRemove}
+            />
+          ))}
+        </ul>
+      ) : (
+        <p>
+          Select shapes, such as a bolt hole, then add a pattern or mirror to repeat them without copying them. With
+          nothing selected, the feature repeats the whole model.
+        </p>
+      )}
+    </section>
+  );
+}
+
+function FeatureRow({
+  feature,
+  primitives,
+  unit,
+  canUseSelection,
+  onChange,
+  onUseSelection,
+  onSelectSources,
+  onRemove,
+}) {
+  const { label, fields } = getFeatureType(feature.type);
+  const sources = feature.sourceIds.map((id) => findNode(primitives, id)).filter(Boolean);
+  const missingCount = feature.sourceIds.length - sources.length;
+  const zeroField = fields.find((field) => field.vector && !field.length && isZeroVector(feature[field.key]));
+
+  const commitField = (field, value, axis) => {
+    const next = axis ? { ...feature[field.key], [axis]: roundValue(value, 6) } : clampField(field, value);
+    onChange(feature.id, { [field.key]: next }, axis ? `${field.key}.${axis}` : field.key);
+  };
+
+  const inputFor = (field, axis) => (
+    <ExpressionInput
+      value={axis ? feature[field.key][axis] : feature[field.key]}
+      unit={field.length ? unit : null}
+      step={field.length ? (field.step ?? 1) * millimeterIn(unit) : (field.step ?? 0.1)}
+      onCommit={(value) => commitField(field, value, axis)}
+    />
+  );
+
+  return (
+    <li className="feature">
+      <div className="variable__fields">
+        <input
+          type="text"
+          aria-label="Feature name"
+          className="variable__expression"
+          value={feature.name}
+          onChange={(event) => onChange(feature.id, { name: event.target.value }, 'name')}
+        />
+        <button type="button" onClick={() => onRemove(feature.id)}>
+          Remove
+        </button>
+      </div>
+      <label className="feature__scope">
+        {label} of
+        <select
+          value={feature.scope}
+          onChange={(event) => onChange(feature.id, { scope: event.target.value })}
+        >
+          {Object.entries(FEATURE_SCOPES).map(([key, scopeLabel]) => (
+            <option key={key} value={key}>
+              {scopeLabel}
+            </option>
+          ))}
+        </select>
+      </label>
+      {feature.scope === 'selection' && (
+        <p className="feature__sources">
+          <button type="button" className="feature__link" onClick={() => onSelectSources(feature)}>
+            {sources.length ? sources.map((node) => node.name).join(', ') : 'nothing'}
+          </button>
+          {missingCount > 0 && ` (${countLabel(missingCount, 'deleted shape')} skipped)`}
+        </p>
+      )}
+      <div className="feature__fields">
+        {fields.map((field) =>
+          field.options ? (
+            <label key={field.key}>
+              {field.label}
+              <select
+                value={feature[field.key]}
+                onChange={(event) => onChange(feature.id, { [field.key]: event.target.value })}
+              >
+                {Object.entries(field.options).map(([key, optionLabel]) => (
+                  <option key={key} value={key}>
+                    {optionLabel}
+                  </option>
+                ))}
+              </select>
+            </label>
+          ) : field.vector ? (
+            <fieldset key={field.key}>
+              <legend>{field.length ? `${field.label} (${unit})` : field.label}</legend>
+              <div className="vector-inputs">
+                {['x', 'y', 'z'].map((axis) => (
+                  <label key={axis}>
+                    {axis.toUpperCase()}
+                    {inputFor(field, axis)}
+                  </label>
+                ))}
+              </div>
+            </fieldset>
+          ) : (
+            <label key={field.key}>
+              {field.length ? `${field.label} (${unit})` : fieldLabel(field, unit)}
+              {inputFor(field)}
+            </label>
+          )
+        )}
+      </div>
+      {zeroField && <small className="variable__error">The {zeroField.label.toLowerCase()} cannot be zero.</small>}
+      <button
+        type="button"
+        className="btn btn--ghost btn--tiny"
+        onClick={() => onUseSelection(feature.id)}
+        disabled={!canUseSelection}
+      >
+        Repeat Selection Instead
+      </button>
+    </li>
+  );
+}
+
+const DROP_PLACEMENTS = ['before', 'inside', 'after'];
+
+function PrimitiveTree({ nodes, selectedIds, onSelect, onReorder, onRemove, onGroup, onUngroup, onDrop }) {
+  const [collapsedIds, setCollapsedIds] = useState(() => new Set());
+  const [dragId, setDragId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+
+  const toggleCollapsed = (id) => {
+    setCollapsedIds((current) => {
+      const next = new Set(current);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  };
+
+  const handleDragOver = (event, node) => {
+    if (!dragId || dragId === node.id) return;
+    event.preventDefault();
+    event.stopPropagation();
+    const rect = event.currentTarget.getBoundingClientRect();
+    const ratio = (event.clientY - rect.top) / rect.height;
+    let placement = ratio < 0.5 ? 'before' : 'after';
+    if (isGroup(node) && ratio > 0.25 && ratio < 0.75) placement = 'inside';
+    if (dropTarget?.id !== node.id || dropTarget.placement !== placement) {
+      setDropTarget({ id: node.id, placement });
+    }
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    if (dragId && dropTarget && DROP_PLACEMENTS.includes(dropTarget.placement)) {
+      onDrop(dragId, dropTarget.id, dropTarget.placement);
+    }
+    setDragId(null);
+    setDropTarget(null);
+  };
+
+  const renderNodes = (items) =>
+    items.map((node, index) => {
+      const group = isGroup(node);
+      const isCollapsed = collapsedIds.has(node.id);
+      const dropClass = dropTarget?.id === node.id ? `primitive-row--drop-${dropTarget.placement}` : '';
+
+      return (
+        <li
+          key={node.id}
+          draggable
+          onDragStart={(event) => {
+            event.stopPropagation();
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', node.id);
+            setDragId(node.id);
+          }}
+          onDragEnd={() => {
+            setDragId(null);
+            setDropTarget(null);
+          }}
+        >
+          <div
+            className={`primitive-row ${dropClass}`}
+            onDragOver={(event) => handleDragOver(event, node)}
+            onDragLeave={() => setDropTarget((current) => (current?.id === node.id ? null : current))}
+            onDrop={handleDrop}
+          >
+            <button
+              type="button"
+              className={`primitive ${selectedIds.includes(node.id) ? 'primitive--active' : ''}`}
+              onClick={(event) => onSelect(node.id, isAdditiveSelection(event))}
+            >
+              <span className={`primitive__operation primitive__operation--${node.operation}`}>
+                {getOperation(node.operation).badge}
+              </span>
+              <div className="primitive__detail">
+                <strong>{node.name}</strong>
+                <small>
+                  {group
+                    ? `Group (${node.children.length}) / ${getOperation(node.operation).shortLabel}`
+                    : `${getPrimitiveType(node.type).label} / ${getOperation(node.operation).shortLabel}`}
+                </small>
+              </div>
+              <span className="primitive__index">#{index + 1}</span>
+            </button>
+            <div className="primitive__controls">
+              {group && (
+                <button type="button" onClick={() => toggleCollapsed(node.id)}>
+                  {isCollapsed ? 'Show' : 'Hide'}
+                </button>
+              )}
+              <button type="button" onClick={() => onReorder(node.id, -1)} disabled={index === 0}>
+                Up
+              </button>
+              <button type="button" onClick={() => onReorder(node.id, 1)} disabled={index === items.length - 1}>
+                Dn
+              </button>
+              {group ? (
+                <button type="button" onClick={() => onUngroup(node.id)}>
+                  Ungroup
+                </button>
+              ) : (
+                <button type="button" onClick={() => onGroup(node.id)}>
+                  Group
+                </button>
+              )}
+              <button type="button" onClick={() => onRemove(node.id)}>
+                Del
+              </button>
+            </div>
+          </div>
+          {group && !isCollapsed && (
+            <ul className="primitive-list primitive-list--nested">
+              {node.children.length ? (
+                renderNodes(node.children)
+              ) : (
+                <li className="primitive-list__empty">Drop shapes here</li>
+              )}
+            </ul>
+          )}
+        </li>
+      );
+    });
+
+  return <ul className="primitive-list">{renderNodes(nodes)}</ul>;
+}
+
+function GroupInspector({ group, onChange }) {
+  const { id, name, operation, children } = group;
+
+  return (
+    <form className="inspector">
+      <label>
+        Label
+        <input
+          type="text"
+          value={name}
+          onChange={(event) =>
+            onChange(id, (current) => ({ ...current, name: event.target.value }), { mergeKey: `name:${id}` })
+          }
+        />
+      </label>
+
+      <label>
+        Operation
+        <select
+          value={operation}
+          onChange={(event) => onChange(id, (current) => ({ ...current, operation: event.target.value }))}
+        >
+          {Object.entries(OPERATIONS).map(([key, entry]) => (
+            <option key={key} value={key}>
+              {entry.label}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <p className="inspector__note">
+        {children.length
+          ? `Combines ${children.length} item${children.length === 1 ? '' : 's'} top to bottom, then applies the ` +
+            'result to the shapes above it.'
+          : 'Empty groups do not contribute to the solid. Drag shapes onto this group to fill it.'}
+      </p>
+    </form>
+  );
+}
+
+function SelectionInspector({ nodes, primitiveCount, onOperationChange }) {
+  const operations = new Set(nodes.map((node) => node.operation));
+  const operation = operations.size === 1 ? nodes[0].operation : '';
+
+  return (
+    <form className="inspector">
+      <p className="inspector__note">
+        {nodes.length} items selected ({primitiveCount} shape{primitiveCount === 1 ? '' : 's'}). The viewport handle
+        moves and rotates them together around their shared centre; resizing works on one shape at a time.
+      </p>
+
+      <label>
+        Operation
+        <select value={operation} onChange={(event) => onOperationChange(event.target.value)}>
+          {!operation && (
+            <option value="" disabled>
+              Mixed
+            </option>
+          )}
+          {Object.entries(OPERATIONS).map(([key, entry]) => (
+            <option key={key} value={key}>
+              {entry.label}
+            </option>
+          ))}
+        </select>
+      </label>
+    </form>
+  );
+}
+
+function ModelingViewport({
+  primitives,
+  solidGeometry,
+  problems,
+  centerOfMass,
+  selectedPrimitiveId,
+  pivotPrimitives,
+  onSelect,
+  onBoxSelect,
+  handleMode,
+  onTransformPrimitive,
+  onTransformPrimitives,
+  snap,
+  unit,
+  resolveName,
+  showOrigin,
+  ghostOpacity,
+  section,
+  projection,
+  viewRef,
+  measureMode,
+  measurements,
+  measurePicks,
+  onMeasurePick,
+  onRemoveMeasurement,
+}) {
+  const orbitControlsRef = useRef(null);
+  const [selectionRect, setSelectionRect] = useState(null);
+  // Lengths are drawn as numbers in the document unit, so handles and grid lines are sized in
+  // millimetres of it and keep their size on screen across a unit switch.
+  const millimeter = millimeterIn(unit);
+  const handleDeselect = useCallback(
+    (event) => {
+      if (!measureMode && !isAdditiveSelection(event)) onSelect(null);
+    },
+    [measureMode, onSelect]
+  );
+
+  // One plane object clips everything; moving the section only updates it in place.
+  const clippingPlane = useMemo(() => new THREE.Plane(), []);
+  const clippingPlanes = useMemo(() => (section.axis ? [clippingPlane] : null), [section.axis, clippingPlane]);
+  if (section.axis) clippingPlane.copy(sectionPlane(section));
+
+  const lookFromCube = (event) => {
+    event.stopPropagation();
+    const { position } = event.object;
+    viewRef.current?.lookFrom((position.lengthSq() > 0 ? position : event.face.normal).toArray());
+  };
+
+  // While measuring, clicks land on the solid instead of selecting, so the handles step aside.
+  const editablePrimitives = measureMode ? [] : primitives;
+  const pivotIds = new Set(pivotPrimitives.map((primitive) => primitive.id));
+
+  return (
+    <>
+      <Canvas
+        shadows
+        camera={{ position: [10, 8, 10], fov: PERSPECTIVE_FOV }}
+        onCreated={({ gl }) => {
+          gl.localClippingEnabled = true;
+        }}
+        onPointerMissed={handleDeselect}
+      >
+        <color attach="background" args={['#05070d']} />
+        <ambientLight intensity={0.3} />
+        <directionalLight
+          position={[5, 10, 3]}
+          intensity={0.9}
+          castShadow
+          shadow-mapSize={[2048, 2048]}
+        />
+        <pointLight position={[-8, 6, -6]} intensity={0.35} color="#82cfff" />
+        <CameraRig ref={viewRef} projection={projection} unit={unit} />
+        <group>
+          <CombinedSolid
+            geometry={solidGeometry}
+            ghostOpacity={ghostOpacity}
+            clippingPlanes={clippingPlanes}
+            onPick={measureMode ? onMeasurePick : null}
+          />
+          {problems && <ProblemMarkers problems={problems} />}
+          {centerOfMass && <CenterOfMassMarker point={centerOfMass} unit={unit} />}
+          <MeasurementAnnotations
+            measurements={measurements}
+            picks={measurePicks}
+            unit={unit}
+            onRemove={onRemoveMeasurement}
+          />
+          <group>
+            {editablePrimitives
+              .filter((primitive) => !pivotIds.has(primitive.id))
+              .map((primitive) => (
+                <EditablePrimitive
+                  key={primitive.id}
+                  primitive={primitive}
+                  isSelected={primitive.id === selectedPrimitiveId}
+                  handleMode={handleMode}
+                  onSelect={onSelect}
+                  onTransform={onTransformPrimitive}
+                  snap={snap}
+                  unit={unit}
+                  resolveName={resolveName}
+                  orbitControlsRef={orbitControlsRef}
+                  ghostOpacity={ghostOpacity}
+                  clippingPlanes={clippingPlanes}
+                />
+              ))}
+            {!measureMode && pivotPrimitives.length > 0 && (
+              <SelectionPivot
+                primitives={pivotPrimitives}
+                handleMode={handleMode}
+                onSelect={onSelect}
+                onTransform={onTransformPrimitives}
+                snap={snap}
+                orbitControlsRef={orbitControlsRef}
+                ghostOpacity={ghostOpacity}
+                clippingPlanes={clippingPlanes}
+              />
+            )}
+          </group>
+        </group>
+        <Grid
+          cellSize={snap?.translation ?? 0.5 * millimeter}
+          sectionSize={millimeter}
+          infiniteGrid
+          sectionThickness={1.25}
+          sectionColor="#172338"
+          fadeDistance={50 * millimeter}
+        />
+        <OrbitControls
+          ref={orbitControlsRef}
+          makeDefault
+          enableDamping
+          dampingFactor={0.1}
+        />
+        <GizmoHelper alignment="bottom-right" margin={[80, 80]}>
+          <GizmoViewcube
+            faces={VIEW_CUBE_FACES}
+            font="16px Inter var, Arial, sans-serif"
+            color="#172338"
+            hoverColor="#48c0b5"
+            textColor="#e3f2fd"
+            strokeColor="#82aaff"
+            onClick={lookFromCube}
+          />
+        </GizmoHelper>
+        {showOrigin && <OriginIndicator unit={unit} />}
+        <BoxSelection
+          primitives={primitives}
+          orbitControlsRef={orbitControlsRef}
+          onSelect={onBoxSelect}
+          onRectChange={setSelectionRect}
+        />
+      </Canvas>
+      {selectionRect && (
+        <div
+          className="selection-box"
+          style={{
+            left: selectionRect.left,
+            top: selectionRect.top,
+            width: selectionRect.width,
+            height: selectionRect.height,
+          }}
+        />
+      )}
+    </>
+  );
+}
+
+const PERSPECTIVE_FOV = 45;
+
+// Room left around a zoomed-to-fit box, as a factor of its bounding sphere.
+const FIT_MARGIN = 1.15;
+
+const toRadians = THREE.MathUtils.degToRad;
+
+// Height visible at `distance` in front of a camera, which switching projection keeps the same.
+const visibleHeight = (camera, distance) =>
+  camera.isOrthographicCamera
+    ? (camera.top - camera.bottom) / camera.zoom
+    : 2 * distance * Math.tan(toRadians(camera.fov / 2));
+
+/**
+ * Owns the default camera. It swaps between perspective and orthographic without moving the view
+ * and exposes `lookFrom(direction)` and `fit(box)` through its ref, both pivoting on the orbit
+ * target. Directions and boxes are in three.js axes.
+ */
+const CameraRig = forwardRef(function CameraRig({ projection, unit }, ref) {
+  const camera = useThree((state) => state.camera);
+  const controls = useThree((state) => state.controls);
+  const size = useThree((state) => state.size);
+  const set = useThree((state) => state.set);
+  // New orbit controls are created for a new camera, so the target is carried over by hand.
+  const carriedTarget = useRef(null);
+
+  useEffect(() => {
+    const isOrthographic = projection === 'orthographic';
+    if (Boolean(camera.isOrthographicCamera) === isOrthographic) return;
+
+    const target = controls?.target.clone() ?? new THREE.Vector3();
+    const height = visibleHeight(camera, camera.position.distanceTo(target));
+    const { width, height: pixels } = size;
+    const next = isOrthographic
+      ? new THREE.OrthographicCamera(-width / 2, width / 2, pixels / 2, -pixels / 2, camera.near, camera.far)
+      : new THREE.PerspectiveCamera(PERSPECTIVE_FOV, width / pixels, camera.near, camera.far);
+    const direction = camera.position.clone().sub(target).normalize();
+    const distance = isOrthographic
+      ? camera.position.distanceTo(target)
+      : height / 2 / Math.tan(toRadians(PERSPECTIVE_FOV / 2));
+    if (isOrthographic) next.zoom = pixels / height;
+    next.up.copy(camera.up);
+    next.position.copy(target).addScaledVector(direction, distance);
+    next.lookAt(target);
+    next.updateProjectionMatrix();
+    carriedTarget.current = target;
+    set({ camera: next });
+  }, [projection, camera, controls, size, set]);
+
+  useEffect(() => {
+    if (!controls || !carriedTarget.current) return;
+    controls.target.copy(carriedTarget.current);
+    controls.update();
+    carriedTarget.current = null;
+  }, [controls]);
+
+  // A unit switch rescales every stored length, so the view scales about the origin with it.
+  const viewUnit = useRef(DEFAULT_UNIT);
+  useEffect(() => {
+    if (viewUnit.current === unit) return;
+    const factor = convertLength(1, viewUnit.current, unit);
+    viewUnit.current = unit;
+    camera.position.multiplyScalar(factor);
+    camera.near *= factor;
+    camera.far *= factor;
+    if (camera.isOrthographicCamera) camera.zoom /= factor;
+    camera.updateProjectionMatrix();
+    if (controls) {
+      controls.target.multiplyScalar(factor);
+      controls.update();
+    }
+  }, [unit, camera, controls]);
+
+  useImperativeHandle(
+    ref,
+    () => {
+      const pivot = () => controls?.target.clone() ?? new THREE.Vector3();
+      const place = (center, direction, distance) => {
+        camera.position.copy(center).addScaledVector(direction, distance);
+        camera.far = Math.max(camera.far, distance * 4);
+        camera.lookAt(center);
+        camera.updateProjectionMatrix();
+        if (controls) {
+          controls.target.copy(center);
+          controls.update();
+        }
+      };
+
+      return {
+        lookFrom: (direction) => {
+          const center = pivot();
+          const towards = new THREE.Vector3().fromArray(direction).normalize();
+          // Looking straight up or down leaves the orbit without a heading, so lean toward the front.
+          if (Math.abs(towards.y) > 0.999) towards.set(0, Math.sign(towards.y), 1e-3).normalize();
+          place(center, towards, camera.position.distanceTo(center));
+        },
+        fit: (box) => {
+          if (box.isEmpty()) return;
+          const sphere = box.getBoundingSphere(new THREE.Sphere());
+          const radius = Math.max(sphere.radius, 1e-3) * FIT_MARGIN;
+          const direction = camera.position.clone().sub(pivot()).normalize();
+          if (camera.isOrthographicCamera) {
+            camera.zoom = Math.min(size.width, size.height) / (2 * radius);
+            place(sphere.center, direction, Math.max(camera.position.distanceTo(pivot()), radius * 2));
+            return;
+          }
+          const halfFov = toRadians(camera.fov / 2);
+          const narrowest = Math.min(halfFov, Math.atan(Math.tan(halfFov) * camera.aspect));
+          place(sphere.center, direction, radius / Math.sin(narrowest));
+        },
+      };
+    },
+    [camera, controls, size]
+  );
+
+  return null;
+});
+
+const BOX_SELECT_THRESHOLD = 4;
+
+const rectBetween = (start, end) => ({
+  left: Math.min(start.x, end.x),
+  top: Math.min(start.y, end.y),
+  width: Math.abs(end.x - start.x),
+  height: Math.abs(end.y - start.y),
+});
+
+/**
+ * Shift-dragging on the canvas draws a selection box and adds every primitive whose centre falls
+ * inside it. Orbiting is suspended for the duration of the drag.
+ */
+function BoxSelection({ primitives, orbitControlsRef, onSelect, onRectChange }) {
+  const camera = useThree((state) => state.camera);
+  const element = useThree((state) => state.gl.domElement);
+
+  useEffect(() => {
+    let start = null;
+
+    const pointFromEvent = (event) => {
+      const bounds = element.getBoundingClientRect();
+      return { x: event.clientX - bounds.left, y: event.clientY - bounds.top, bounds };
+    };
+
+    const setOrbitEnabled = (enabled) => {
+      if (orbitControlsRef.current) orbitControlsRef.current.enabled = enabled;
+    };
+
+    // Registered in the capture phase so orbiting is switched off before OrbitControls sees the press.
+    const handlePointerDown = (event) => {
+      if (!event.shiftKey || event.button !== 0) return;
+      start = pointFromEvent(event);
+      setOrbitEnabled(false);
+    };
+
+    const handlePointerMove = (event) => {
+      if (start) onRectChange(rectBetween(start, pointFromEvent(event)));
+    };
+
+    const handlePointerUp = (event) => {
+      if (!start) return;
+      const end = pointFromEvent(event);
+      const rect = rectBetween(start, end);
+      start = null;
+      setOrbitEnabled(true);
+      onRectChange(null);
+      if (rect.width < BOX_SELECT_THRESHOLD && rect.height < BOX_SELECT_THRESHOLD) return;
+
+      const { width, height } = end.bounds;
+      const projected = new THREE.Vector3();
+      const ids = primitives
+        .filter(({ position }) => {
+          const world = positionToWorld(position);
+          projected.set(world.x, world.y, world.z).project(camera);
+          if (projected.z > 1) return false;
+          const x = ((projected.x + 1) / 2) * width;
+          const y = ((1 - projected.y) / 2) * height;
+          return x >= rect.left && x <= rect.left + rect.width && y >= rect.top && y <= rect.top + rect.height;
+        })
+        .map(({ id }) => id);
+      if (ids.length) onSelect(ids);
+    };
+
+    element.addEventListener('pointerdown', handlePointerDown, { capture: true });
+    window.addEventListener('pointermove', handlePointerMove);
+    window.addEventListener('pointerup', handlePointerUp);
+    return () => {
+      element.removeEventListener('pointerdown', handlePointerDown, { capture: true });
+      window.removeEventListener('pointermove', handlePointerMove);
+      window.removeEventListener('pointerup', handlePointerUp);
+      setOrbitEnabled(true);
+    };
+  }, [camera, element, primitives, orbitControlsRef, onSelect, onRectChange]);
+
+  return null;
+}
+
+/**
+ * One transform handle for a multi-selection, placed at the selection's average position. The
+ * selected ghosts ride along inside the pivot while dragging; on release every primitive is moved
+ * (and, in rotate mode, turned) by the pivot's transform.
+ */
+function SelectionPivot({
+  primitives,
+  handleMode,
+  onSelect,
+  onTransform,
+  snap,
+  orbitControlsRef,
+  ghostOpacity,
+  clippingPlanes,
+}) {
+  const pivotRef = useRef(null);
+  const controlsRef = useRef(null);
+  const center = positionToWorld(averagePosition(primitives));
+  const mode = handleMode === HANDLE_MODES.rotate ? 'rotate' : 'translate';
+  const hasHandle = handleMode !== HANDLE_MODES.resize;
+
+  useEffect(() => {
+    if (!controlsRef.current || !orbitControlsRef?.current) return undefined;
+    const controls = controlsRef.current;
+    const orbit = orbitControlsRef.current;
+    const toggleOrbit = (event) => {
+      orbit.enabled = !event.value;
+    };
+    controls.addEventListener('dragging-changed', toggleOrbit);
+    return () => {
+      controls.removeEventListener('dragging-changed', toggleOrbit);
+    };
+  }, [orbitControlsRef, hasHandle]);
+
+  useEffect(() => {
+    if (!controlsRef.current || !pivotRef.current) return undefined;
+    controlsRef.current.attach(pivotRef.current);
+    return () => {
+      controlsRef.current?.detach();
+    };
+  }, [primitives, hasHandle]);
+
+  const finalizeTransform = () => {
+    const pivot = pivotRef.current;
+    if (!pivot) return;
+    const start = new THREE.Vector3(center.x, center.y, center.z);
+    const moved = pivot.position.clone();
+    if (snap && mode === 'translate') {
+      const step = snap.translation;
+      moved.set(snapValue(moved.x, step), snapValue(moved.y, step), snapValue(moved.z, step));
+    }
+    const turn = pivot.quaternion.clone();
+    pivot.position.copy(start);
+    pivot.quaternion.identity();
+    if (moved.equals(start) && turn.equals(new THREE.Quaternion())) return;
+
+    onTransform(
+      primitives.map((primitive) => {
+        const world = positionToWorld(primitive.position);
+        const next = new THREE.Vector3(world.x, world.y, world.z).sub(start).applyQuaternion(turn).add(moved);
+        const update = {
+          id: primitive.id,
+          position: positionFromWorld({ x: roundValue(next.x, 6), y: roundValue(next.y, 6), z: roundValue(next.z, 6) }),
+        };
+        if (mode === 'rotate') {
+          const own = new THREE.Quaternion().setFromEuler(rotationToWorld(primitive.rotation));
+          const orientation = turn.clone().multiply(own);
+          const { x, y, z } = rotationFromWorld(orientation);
+          update.rotation = { x: roundValue(x), y: roundValue(y), z: roundValue(z) };
+        }
+        return update;
+      })
+    );
+  };
+
+  const ghosts = (
+    <group ref={pivotRef} position={[center.x, center.y, center.z]}>
+      <group position={[-center.x, -center.y, -center.z]}>
+        {primitives.map((primitive) => (
+          <PrimitiveGhost
+            key={primitive.id}
+            primitive={primitive}
+            isSelected
+            ghostOpacity={ghostOpacity}
+            clippingPlanes={clippingPlanes}
+            onPointerDown={(event) => {
+              event.stopPropagation();
+              onSelect(primitive.id, isAdditiveSelection(event));
+            }}
           />
-          {!primitives.length && (
-            <div className="viewport__empty">
-              <p>No primitives yet</p>
-              <span>Add a box, sphere, or cylinder to get started.</span>
-            </div>
-          )}
-        </div>
-
-        <aside className="panel panel--details">
-          <h2>Inspector</h2>
-          {selectedPrimitive ? (
-            <PrimitiveInspector primitive={selectedPrimitive} onChange={patchPrimitive} />
-          ) : (
-            <div className="inspector__empty">
-              <p>Select a primitive to edit its dimensions, operation, and placement.</p>
-            </div>
-          )}
-        </aside>
-      </section>
-    </div>
+        ))}
+      </group>
+    </group>
   );
-}
 
-function ModelingViewport({
-  primitives,
-  selectedId,
-  onSelectPrimitive,
-  handleMode,
-  onTransformPrimitive,
-  showOrigin,
-  ghostOpacity,
-}) {
-  const orbitControlsRef = useRef(null);
-  const handleDeselect = useCallback(() => {
-    onSelectPrimitive(null);
-  }, [onSelectPrimitive]);
+  if (!hasHandle) return ghosts;
 
   return (
-    <Canvas shadows camera={{ position: [10, 8, 10], fov: 45 }} onPointerMissed={handleDeselect}>
-      <color attach="background" args={['#05070d']} />
-      <ambientLight intensity={0.3} />
-      <directionalLight
-        position={[5, 10, 3]}
-        intensity={0.9}
-        castShadow
-        shadow-mapSize={[2048, 2048]}
-      />
-      <pointLight position={[-8, 6, -6]} intensity={0.35} color="#82cfff" />
-      <group>
-          <CombinedSolid primitives={primitives} ghostOpacity={ghostOpacity} />
-        <group>
-          {primitives.map((primitive) => (
-            <EditablePrimitive
-              key={primitive.id}
-              primitive={primitive}
-              isSelected={primitive.id === selectedId}
-              handleMode={handleMode}
-              onSelect={onSelectPrimitive}
-              onTransform={onTransformPrimitive}
-              orbitControlsRef={orbitControlsRef}
-              ghostOpacity={ghostOpacity}
-            />
-          ))}
-        </group>
-      </group>
-      <Grid cellSize={0.5} infiniteGrid sectionThickness={1.25} sectionColor="#172338" fadeDistance={50} />
-      <OrbitControls
-        ref={orbitControlsRef}
-        makeDefault
-        enableDamping
-        dampingFactor={0.1}
-        maxPolarAngle={Math.PI / 2.1}
-      />
-      <GizmoHelper alignment="bottom-right" margin={[80, 80]}>
-        <GizmoViewport
-          axisColors={['#ff5370', '#48c0b5', '#82aaff']}
-          labelColor="#e3f2fd"
-          labels={['X', 'Z', 'Y']}
-        />
-      </GizmoHelper>
-      {showOrigin && <OriginIndicator />}
-    </Canvas>
+    <TransformControls
+      ref={controlsRef}
+      mode={mode}
+      showX
+      showY
+      showZ
+      translationSnap={snap ? snap.translation : null}
+      rotationSnap={snap ? THREE.MathUtils.degToRad(snap.angle) : null}
+      onMouseUp={finalizeTransform}
+    >
+      {ghosts}
+    </TransformControls>
   );
 }
 
@@ -418,8 +2562,12 @@ function EditablePrimitive({
   handleMode,
   onSelect,
   onTransform,
+  snap,
+  unit,
+  resolveName,
   orbitControlsRef,
   ghostOpacity,
+  clippingPlanes,
 }) {
   const meshRef = useRef(null);
   const controlsRef = useRef(null);
@@ -448,7 +2596,7 @@ function EditablePrimitive({
 
   const handlePointerDown = (event) => {
     event.stopPropagation();
-    onSelect(primitive.id);
+    onSelect(primitive.id, isAdditiveSelection(event));
   };
 
   const baseMesh = (
@@ -458,6 +2606,7 @@ function EditablePrimitive({
       onPointerDown={handlePointerDown}
       isSelected={isSelected}
       ghostOpacity={ghostOpacity}
+      clippingPlanes={clippingPlanes}
     />
   );
 
@@ -465,12 +2614,17 @@ function EditablePrimitive({
     return baseMesh;
   }
 
-  const mode = handleMode === HANDLE_MODES.resize ? 'scale' : 'translate';
+  const mode = TRANSFORM_MODES[handleMode];
 
   const finalizeResize = () => {
     if (mode !== 'scale' || !meshRef.current || !sessionRef.current) return;
-    const nextDimensions = computeScaledDimensions(primitive.type, sessionRef.current.startDimensions, meshRef.current.scale);
-    if (nextDimensions) {
+    const scaledDimensions = getPrimitiveType(primitive.type).scaleDimensions(
+      sessionRef.current.startDimensions,
+      meshRef.current.scale
+    );
+    if (scaledDimensions) {
+      const clamped = clampDimensions(primitive.type, scaledDimensions, unit);
+      const nextDimensions = snap ? snapDimensions(primitive.type, clamped, snap.dimension, unit) : clamped;
       onTransform(primitive.id, { dimensions: nextDimensions });
     }
     meshRef.current.scale.set(1, 1, 1);
@@ -479,14 +2633,22 @@ function EditablePrimitive({
   const finalizeTranslate = () => {
     if (mode !== 'translate' || !meshRef.current) return;
     const { x, y, z } = meshRef.current.position;
+    const place = (value) => (snap ? snapValue(value, snap.translation) : roundLength(value, unit));
     const userPosition = positionFromWorld({
-      x: roundValue(x),
-      y: roundValue(y),
-      z: roundValue(z),
+      x: place(x),
+      y: place(y),
+      z: place(z),
     });
     onTransform(primitive.id, { position: userPosition });
   };
 
+  const finalizeRotate = () => {
+    if (mode !== 'rotate' || !meshRef.current) return;
+    const { x, y, z } = rotationFromWorld(meshRef.current.quaternion);
+    const turn = (value) => (snap ? snapValue(value, snap.angle) : roundValue(value));
+    onTransform(primitive.id, { rotation: { x: turn(x), y: turn(y), z: turn(z) } });
+  };
+
   return (
     <>
       <TransformControls
@@ -496,6 +2658,8 @@ function EditablePrimitive({
         showY
         showZ
         size={handleMode === HANDLE_MODES.move ? 1 : 0.9}
+        translationSnap={snap ? snap.translation : null}
+        rotationSnap={snap ? THREE.MathUtils.degToRad(snap.angle) : null}
         onMouseDown={() => {
           if (mode === 'scale') {
             sessionRef.current = { startDimensions: { ...primitive.dimensions } };
@@ -504,32 +2668,46 @@ function EditablePrimitive({
         onMouseUp={() => {
           finalizeResize();
           finalizeTranslate();
+          finalizeRotate();
           sessionRef.current = null;
         }}
       >
         {baseMesh}
       </TransformControls>
-      {handleMode === HANDLE_MODES.resize ? (
-        <DimensionIndicators primitive={primitive} onChange={onTransform} />
-      ) : (
-        <DistanceFromOriginIndicators primitive={primitive} onChange={onTransform} />
+      {handleMode === HANDLE_MODES.resize && (
+        <DimensionIndicators primitive={primitive} unit={unit} resolveName={resolveName} onChange={onTransform} />
+      )}
+      {handleMode === HANDLE_MODES.move && (
+        <DistanceFromOriginIndicators
+          primitive={primitive}
+          unit={unit}
+          resolveName={resolveName}
+          onChange={onTransform}
+        />
       )}
     </>
   );
 }
 
-function PrimitiveInspector({ primitive, onChange }) {
-  const { id, name, type, operation, position, dimensions } = primitive;
+function PrimitiveInspector({ primitive, onChange, onEditSketch, snap, unit, resolveName }) {
+  const { id, name, type, operation, position, rotation, dimensions, bindings = {} } = primitive;
+  // Imported and sketched shapes depend on data the other types cannot use, so their type is fixed.
+  const isFixedType = Boolean(getPrimitiveType(type).imported || getPrimitiveType(type).sketched);
 
-  const setValue = (mutator) => {
-    onChange(id, (current) => mutator(current));
+  const setValue = (mutator, mergeKey) => {
+    onChange(id, (current) => mutator(current), mergeKey ? { mergeKey: `${mergeKey}:${id}` } : undefined);
   };
 
-  const handleDimensionsChange = (dimensionKey, value) => {
-    setValue((current) => ({
-      ...current,
-      dimensions: { ...current.dimensions, [dimensionKey]: value },
-    }));
+  const handleDimensionsChange = (dimensionKey, value, text) => {
+    setValue(
+      (current) =>
+        bindField(
+          { ...current, dimensions: { ...current.dimensions, [dimensionKey]: value } },
+          `dimensions.${dimensionKey}`,
+          text
+        ),
+      `dimensions.${dimensionKey}`
+    );
   };
 
   return (
@@ -539,7 +2717,7 @@ function PrimitiveInspector({ primitive, onChange }) {
         <input
           type="text"
           value={name}
-          onChange={(event) => setValue((current) => ({ ...current, name: event.target.value }))}
+          onChange={(event) => setValue((current) => ({ ...current, name: event.target.value }), 'name')}
         />
       </label>
 
@@ -547,23 +2725,27 @@ function PrimitiveInspector({ primitive, onChange }) {
         Type
         <select
           value={type}
+          disabled={isFixedType}
           onChange={(event) => {
             const nextType = event.target.value;
             setValue((current) => ({
               ...current,
               type: nextType,
-              dimensions: { ...TYPE_PRESETS[nextType].dimensions },
+              dimensions: defaultDimensions(nextType, unit),
             }));
           }}
         >
-          {Object.entries(TYPE_PRESETS).map(([key, preset]) => (
+          {(isFixedType ? [type] : CREATABLE_TYPE_KEYS).map((key) => (
             <option key={key} value={key}>
-              {preset.label}
+              {PRIMITIVE_TYPES[key].label}
             </option>
           ))}
         </select>
       </label>
 
+      {primitive.mesh && <MeshSourceNote source={primitive.mesh} />}
+      {primitive.sketch && <SketchNote sketch={primitive.sketch} onEdit={onEditSketch} />}
+
       <label>
         Operation
         <select
@@ -575,29 +2757,36 @@ function PrimitiveInspector({ primitive, onChange }) {
             }))
           }
         >
-          <option value="add">Add (Union)</option>
-          <option value="subtract">Subtract (Cut)</option>
+          {Object.entries(OPERATIONS).map(([key, entry]) => (
+            <option key={key} value={key}>
+              {entry.label}
+            </option>
+          ))}
         </select>
       </label>
 
       <fieldset>
-        <legend>Position</legend>
+        <legend>Position ({unit})</legend>
         <div className="vector-inputs">
           {['x', 'y', 'z'].map((axis) => (
             <label key={axis}>
               {axis === 'z' ? 'Z (Up)' : axis.toUpperCase()}
-              <input
-                type="number"
+              <ExpressionInput
                 value={position[axis]}
-                step="0.25"
-                onChange={(event) =>
-                  setValue((current) => ({
-                    ...current,
-                    position: {
-                      ...current.position,
-                      [axis]: parseNumber(event.target.value, current.position[axis]),
-                    },
-                  }))
+                expression={bindings[`position.${axis}`]}
+                unit={unit}
+                resolveName={resolveName}
+                step={snap?.translation ?? KEY_STEP * millimeterIn(unit)}
+                onCommit={(value, text) =>
+                  setValue(
+                    (current) =>
+                      bindField(
+                        { ...current, position: { ...current.position, [axis]: value } },
+                        `position.${axis}`,
+                        text
+                      ),
+                    `position.${axis}`
+                  )
                 }
               />
             </label>
@@ -606,611 +2795,359 @@ function PrimitiveInspector({ primitive, onChange }) {
       </fieldset>
 
       <fieldset>
-        <legend>Dimensions</legend>
+        <legend>Rotation (deg)</legend>
         <div className="vector-inputs">
-          {type === 'box' && (
-            <>
-              <label>
-                Width
-                <input
-                  type="number"
-                  step="0.25"
-                  value={dimensions.width}
-                  onChange={(event) => handleDimensionsChange('width', parseNumber(event.target.value, dimensions.width))}
-                />
-              </label>
-              <label>
-                Height
-                <input
-                  type="number"
-                  step="0.25"
-                  value={dimensions.height}
-                  onChange={(event) =>
-                    handleDimensionsChange('height', parseNumber(event.target.value, dimensions.height))
-                  }
-                />
-              </label>
-              <label>
-                Depth
-                <input
-                  type="number"
-                  step="0.25"
-                  value={dimensions.depth}
-                  onChange={(event) => handleDimensionsChange('depth', parseNumber(event.target.value, dimensions.depth))}
-                />
-              </label>
-            </>
-          )}
-
-          {type === 'sphere' && (
-            <label>
-              Radius
-              <input
-                type="number"
-                step="0.1"
-                value={dimensions.radius}
-                onChange={(event) =>
-                  handleDimensionsChange('radius', Math.max(0.1, parseNumber(event.target.value, dimensions.radius)))
+          {['x', 'y', 'z'].map((axis) => (
+            <label key={axis}>
+              {axis.toUpperCase()}
+              <ExpressionInput
+                value={rotation[axis]}
+                step={snap?.angle ?? 15}
+                onCommit={(value) =>
+                  setValue(
+                    (current) => ({
+                      ...current,
+                      rotation: { ...current.rotation, [axis]: value },
+                    }),
+                    `rotation.${axis}`
+                  )
                 }
               />
             </label>
-          )}
+          ))}
+        </div>
+      </fieldset>
 
-          {type === 'cylinder' && (
-            <>
-              <label>
-                Radius
-                <input
-                  type="number"
-                  step="0.1"
-                  value={dimensions.radius}
-                  onChange={(event) =>
-                    handleDimensionsChange('radius', Math.max(0.1, parseNumber(event.target.value, dimensions.radius)))
-                  }
-                />
-              </label>
-              <label>
-                Height
-                <input
-                  type="number"
-                  step="0.1"
-                  value={dimensions.height}
-                  onChange={(event) =>
-                    handleDimensionsChange('height', Math.max(0.1, parseNumber(event.target.value, dimensions.height)))
-                  }
-                />
-              </label>
-            </>
-          )}
+      <fieldset>
+        <legend>Dimensions</legend>
+        <div className="vector-inputs">
+          {getPrimitiveType(type).fields.map((field) => (
+            <label key={field.key}>
+              {fieldLabel(field, unit)}
+              <ExpressionInput
+                value={dimensions[field.key]}
+                expression={bindings[`dimensions.${field.key}`]}
+                unit={isLengthField(field) ? unit : null}
+                resolveName={isLengthField(field) ? resolveName : rejectVariables}
+                step={isLengthField(field) && snap ? snap.dimension : fieldInUnit(field, unit).step}
+                onCommit={(value, text) =>
+                  handleDimensionsChange(field.key, clampField(fieldInUnit(field, unit), value, dimensions), text)
+                }
+              />
+            </label>
+          ))}
         </div>
+        {getPrimitiveType(type)
+          .dimensionWarnings?.(dimensions)
+          .map((warning) => (
+            <p key={warning} className="inspector__warning">
+              {warning}
+            </p>
+          ))}
       </fieldset>
     </form>
   );
 }
 
-function CombinedSolid({ primitives, ghostOpacity }) {
-  const mesh = useMemo(() => buildCombinedMesh(primitives), [primitives]);
-  if (!mesh) return null;
-
-  const solidOpacity = Math.min(1, Math.max(ghostOpacity + 0.25, 0.25));
-  if (mesh.material) {
-    mesh.material.opacity = solidOpacity;
-    mesh.material.transparent = solidOpacity < 0.99;
-    mesh.material.needsUpdate = true;
-  }
-
-  return <primitive object={mesh} />;
-}
-
-function buildCombinedMesh(primitives) {
-  if (!primitives.length) return null;
-
-  let merged = CSG.fromMesh(primitiveToMesh(primitives[0]));
-
-  for (let i = 1; i < primitives.length; i += 1) {
-    const primitive = primitives[i];
-    const mesh = primitiveToMesh(primitive);
-    const next = CSG.fromMesh(mesh);
-    merged = primitive.operation === 'subtract' ? merged.subtract(next) : merged.union(next);
-  }
-
-  const material = new THREE.MeshStandardMaterial({
-    color: '#ffb347',
-    roughness: 0.55,
-    metalness: 0.15,
-  });
-
-  const mesh = CSG.toMesh(merged, new THREE.Matrix4(), material);
-  mesh.castShadow = true;
-  mesh.receiveShadow = true;
-  return mesh;
-}
-
-function primitiveToMesh(primitive) {
-  const { type, position, dimensions } = primitive;
-  let geometry;
-
-  if (type === 'box') {
-    geometry = new THREE.BoxGeometry(dimensions.width, dimensions.height, dimensions.depth);
-  } else if (type === 'sphere') {
-    geometry = new THREE.SphereGeometry(dimensions.radius, 48, 32);
-  } else {
-    geometry = new THREE.CylinderGeometry(dimensions.radius, dimensions.radius, dimensions.height, 48);
-  }
-
-  const mesh = new THREE.Mesh(geometry);
-  const worldPosition = positionToWorld(position);
-  mesh.position.set(worldPosition.x, worldPosition.y, worldPosition.z);
-  mesh.updateMatrix();
-  return mesh;
-}
-
-const clampDimension = (value, fallback = 0.1) => Math.max(fallback, Number.isFinite(value) ? value : fallback);
-
-function computeScaledDimensions(type, baseDimensions, scale) {
-  if (!scale) return null;
-  if (type === 'box') {
-    return {
-      width: roundValue(clampDimension(baseDimensions.width * Math.abs(scale.x))),
-      height: roundValue(clampDimension(baseDimensions.height * Math.abs(scale.y))),
-      depth: roundValue(clampDimension(baseDimensions.depth * Math.abs(scale.z))),
-    };
-  }
-
-  if (type === 'sphere') {
-    const uniformScale = (Math.abs(scale.x) + Math.abs(scale.y) + Math.abs(scale.z)) / 3;
-    return {
-      radius: roundValue(clampDimension(baseDimensions.radius * uniformScale)),
-    };
-  }
-
-  const radialScale = (Math.abs(scale.x) + Math.abs(scale.z)) / 2;
-  return {
-    radius: roundValue(clampDimension(baseDimensions.radius * radialScale)),
-    height: roundValue(clampDimension(baseDimensions.height * Math.abs(scale.y))),
-  };
-}
-
-const PrimitiveGhost = forwardRef(function PrimitiveGhost({ primitive, onPointerDown, isSelected, ghostOpacity }, ref) {
-  const { type, position, dimensions, operation } = primitive;
-  const isSubtract = operation === 'subtract';
-  const worldPosition = positionToWorld(position);
-  const sharedProps = {
-    position: [worldPosition.x, worldPosition.y, worldPosition.z],
-    onPointerDown,
-  };
-
-  const color = isSubtract ? '#ff4d6d' : '#26d07c';
-  const opacity = isSelected ? Math.min(ghostOpacity + 0.1, 1) : 0;
-  const wireframe = !isSelected;
+const toSegmentPoints = (array) => {
+  const points = [];
+  for (let i = 0; i < array.length; i += 3) points.push([array[i], array[i + 1], array[i + 2]]);
+  return points;
+};
 
-  if (type === 'box') {
-    return (
-      <mesh {...sharedProps} ref={ref}>
-        <boxGeometry args={[dimensions.width, dimensions.height, dimensions.depth]} />
-        <meshStandardMaterial color={color} transparent opacity={opacity} wireframe={wireframe} />
-      </mesh>
-    );
-  }
+// Drawn over the solid so defects inside cavities or behind faces still show.
+function ProblemMarkers({ problems }) {
+  const edgePoints = useMemo(() => toSegmentPoints(problems.edges), [problems]);
+  const pointGeometry = useMemo(() => {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(problems.points, 3));
+    return geometry;
+  }, [problems]);
 
-  if (type === 'sphere') {
-    return (
-      <mesh {...sharedProps} ref={ref}>
-        <sphereGeometry args={[dimensions.radius, 32, 16]} />
-        <meshStandardMaterial color={color} transparent opacity={opacity} wireframe={wireframe} />
-      </mesh>
-    );
-  }
+  useEffect(() => () => pointGeometry.dispose(), [pointGeometry]);
 
   return (
-    <mesh {...sharedProps} ref={ref}>
-      <cylinderGeometry args={[dimensions.radius, dimensions.radius, dimensions.height, 32]} />
-      <meshStandardMaterial color={color} transparent opacity={opacity} wireframe={wireframe} />
-    </mesh>
+    <group renderOrder={10}>
+      {edgePoints.length > 0 && (
+        <Line points={edgePoints} segments color="#ff4d6d" lineWidth={3} depthTest={false} transparent />
+      )}
+      {problems.points.length > 0 && (
+        <points geometry={pointGeometry}>
+          <pointsMaterial color="#ffb347" size={9} sizeAttenuation={false} depthTest={false} transparent />
+        </points>
+      )}
+    </group>
   );
-});
-
-function DimensionIndicators({ primitive, onChange }) {
-  const { type, dimensions, position } = primitive;
-  const worldPosition = positionToWorld(position);
-  const arrows = [];
-
-  const updateDimensions = (nextDimensions) => {
-    onChange(primitive.id, {
-      dimensions: {
-        ...primitive.dimensions,
-        ...nextDimensions,
-      },
-    });
-  };
-
-  const clampSize = (value, min = 0.1) => roundValue(Math.max(min, parseNumber(value, 0)));
-
-  if (type === 'box') {
-    const halfWidth = dimensions.width / 2;
-    const halfDepth = dimensions.depth / 2;
-    const halfHeight = dimensions.height / 2;
-    const topY = worldPosition.y + halfHeight;
-    const bottomY = worldPosition.y - halfHeight;
-
-    const widthOffsetZ = worldPosition.z + halfDepth + 0.6;
-    const depthOffsetX = worldPosition.x + halfWidth + 0.6;
-    const heightOffsetX = worldPosition.x - halfWidth - 0.6;
-    const heightOffsetZ = worldPosition.z - halfDepth - 0.4;
-
-    arrows.push(
-      <DimensionArrow
-        key="box-width"
-        label="Width (X)"
-        value={roundValue(dimensions.width)}
-        start={[worldPosition.x - halfWidth, topY + 0.2, widthOffsetZ]}
-        end={[worldPosition.x + halfWidth, topY + 0.2, widthOffsetZ]}
-        onCommit={(value) => updateDimensions({ width: clampSize(value) })}
-      />
-    );
-
-    arrows.push(
-      <DimensionArrow
-        key="box-depth"
-        label="Depth (Y)"
-        value={roundValue(dimensions.depth)}
-        start={[depthOffsetX, topY + 0.2, worldPosition.z - halfDepth]}
-        end={[depthOffsetX, topY + 0.2, worldPosition.z + halfDepth]}
-        onCommit={(value) => updateDimensions({ depth: clampSize(value) })}
-      />
-    );
-
-    arrows.push(
-      <DimensionArrow
-        key="box-height"
-        label="Height (Z)"
-        value={roundValue(dimensions.height)}
-        start={[heightOffsetX, bottomY, heightOffsetZ]}
-        end={[heightOffsetX, topY, heightOffsetZ]}
-        onCommit={(value) => updateDimensions({ height: clampSize(value) })}
-      />
-    );
-  }
-
-  if (type === 'sphere') {
-    const radius = dimensions.radius;
-    const diameter = roundValue(radius * 2);
-    const offsetX = worldPosition.x + radius + 0.8;
-    arrows.push(
-      <DimensionArrow
-        key="sphere-diameter"
-        label="Diameter"
-        value={diameter}
-        start={[offsetX, worldPosition.y - radius, worldPosition.z]}
-        end={[offsetX, worldPosition.y + radius, worldPosition.z]}
-        onCommit={(value) => updateDimensions({ radius: clampSize(value, 0.2) / 2 })}
-      />
-    );
-  }
-
-  if (type === 'cylinder') {
-    const halfHeight = dimensions.height / 2;
-    const radius = dimensions.radius;
-    const diameter = roundValue(radius * 2);
-    const topY = worldPosition.y + halfHeight;
-    const bottomY = worldPosition.y - halfHeight;
-
-    const diameterOffsetY = topY + 0.3;
-
-    arrows.push(
-      <DimensionArrow
-        key="cylinder-height"
-        label="Height (Z)"
-        value={roundValue(dimensions.height)}
-        start={[worldPosition.x + radius + 0.7, bottomY, worldPosition.z]}
-        end={[worldPosition.x + radius + 0.7, topY, worldPosition.z]}
-        onCommit={(value) => updateDimensions({ height: clampSize(value) })}
-      />
-    );
-
-    arrows.push(
-      <DimensionArrow
-        key="cylinder-diameter"
-        label="Diameter"
-        value={diameter}
-        start={[worldPosition.x - radius, diameterOffsetY, worldPosition.z]}
-        end={[worldPosition.x + radius, diameterOffsetY, worldPosition.z]}
-        onCommit={(value) => updateDimensions({ radius: clampSize(value, 0.2) / 2 })}
-      />
-    );
-  }
-
-  return <group>{arrows}</group>;
 }
 
-function DistanceFromOriginIndicators({ primitive, onChange }) {
-  const worldPosition = positionToWorld(primitive.position);
-  const axes = [
-    {
-      key: 'dist-x',
-      label: 'X',
-      color: '#ff5370',
-      start: [0, 0.02, 0],
-      end: [worldPosition.x, 0.02, 0],
-      value: roundValue(primitive.position.x),
-      unit: [1, 0, 0],
-      axisKey: 'x',
-    },
+function AnalysisPanel({ report, isStale, showProblems, onToggleProblems }) {
+  const problems = describeProblems(report);
+  const facts = [
     {
-      key: 'dist-y',
-      label: 'Y',
-      color: '#82aaff',
-      start: [0, 0.02, 0],
-      end: [0, 0.02, worldPosition.z],
-      value: roundValue(primitive.position.y),
-      unit: [0, 0, 1],
-      axisKey: 'y',
-    },
-    {
-      key: 'dist-z',
-      label: 'Z',
-      color: '#48c0b5',
-      start: [0, 0, 0],
-      end: [0, worldPosition.y, 0],
-      value: roundValue(primitive.position.z),
-      unit: [0, 1, 0],
-      axisKey: 'z',
+      label: 'Watertight',
+      value: report.isWatertight ? 'Yes' : 'No',
+      isProblem: !report.isWatertight,
     },
+    { label: 'Open edges', value: report.openEdges, isProblem: report.openEdges > 0 },
+    { label: 'Non-manifold edges', value: report.nonManifoldEdges, isProblem: report.nonManifoldEdges > 0 },
+    { label: 'Degenerate triangles', value: report.degenerateTriangles, isProblem: report.degenerateTriangles > 0 },
+    { label: 'Shells', value: report.shellCount, isProblem: report.shellCount > 1 },
+    { label: 'Triangles', value: report.triangleCount },
   ];
 
-  const updatePosition = useCallback(
-    (axisKey, nextValue) => {
-      onChange(primitive.id, {
-        position: {
-          ...primitive.position,
-          [axisKey]: roundValue(nextValue),
-        },
-      });
-    },
-    [primitive, onChange]
-  );
-
   return (
-    <group>
-      {axes.map((axis) => (
-        <DistanceAxisIndicator
-          key={axis.key}
-          axis={axis}
-          onCommit={(value) => updatePosition(axis.axisKey, value)}
-        />
-      ))}
-    </group>
+    <section className="analysis">
+      <div className="panel__title">
+        <h3>Printability</h3>
+        <button
+          type="button"
+          className={`btn btn--ghost btn--tiny ${showProblems ? 'is-active' : ''}`}
+          onClick={onToggleProblems}
+          disabled={!problems.length}
+          title="Mark open and non-manifold edges and degenerate triangles in the viewport"
+        >
+          Highlight
+        </button>
+      </div>
+      <p className={`analysis__status ${problems.length ? 'analysis__status--problem' : ''}`}>
+        {isStale && 'Updating… '}
+        {problems.length ? `Found ${problems.join(', ')}.` : 'No problems found.'}
+      </p>
+      <dl className="analysis__facts">
+        {facts.map((fact) => (
+          <div key={fact.label} className={fact.isProblem ? 'is-problem' : ''}>
+            <dt>{fact.label}</dt>
+            <dd>{fact.value}</dd>
+          </div>
+        ))}
+      </dl>
+    </section>
   );
 }
 
-function DistanceAxisIndicator({ axis, onCommit }) {
-  const startVec = new THREE.Vector3(...axis.start);
-  const endVec = new THREE.Vector3(...axis.end);
-  const delta = endVec.clone().sub(startVec);
-  const hasMagnitude = delta.length() > 0.001;
-  const actualEndVector = hasMagnitude
-    ? endVec
-    : startVec.clone().add(new THREE.Vector3(...axis.unit).multiplyScalar(0.001));
-  const actualEnd = actualEndVector.toArray();
-  const direction = actualEndVector.clone().sub(startVec).normalize();
-  const midpoint = startVec.clone().add(actualEndVector).multiplyScalar(0.5).toArray();
-
+function SketchNote({ sketch, onEdit }) {
   return (
-    <group>
-      <Line
-        points={[axis.start, actualEnd]}
-        color={axis.color}
-        lineWidth={1}
-        dashed
-        depthTest={false}
-        renderOrder={11}
-      />
-      <ArrowHead position={actualEnd} direction={direction} alwaysOnTop color={axis.color} />
-      <DistanceValueLabel label={axis.label} value={axis.value} onCommit={onCommit} position={midpoint} />
-    </group>
+    <div className="inspector__note">
+      <p className="inspector__hint">
+        Sketched on {SKETCH_PLANES[sketch.plane].label}, {countLabel(sketch.entities.length, 'element')}
+      </p>
+      <button type="button" className="btn btn--ghost btn--tiny" onClick={onEdit}>
+        Edit Sketch…
+      </button>
+    </div>
   );
 }
 
-function DistanceValueLabel({ label, value, onCommit, position }) {
-  const [draft, setDraft] = useState(String(value));
-  const [isEditing, setEditing] = useState(false);
-  const inputRef = useRef(null);
-
-  useEffect(() => {
-    setDraft(String(value));
-  }, [value]);
-
-  useEffect(() => {
-    if (isEditing && inputRef.current) {
-      inputRef.current.focus();
-      inputRef.current.select();
-    }
-  }, [isEditing]);
-
-  const handleChange = (event) => {
-    const nextValue = event.target.value;
-    setDraft(nextValue);
-    onCommit(parseNumber(nextValue, value));
-  };
-
-  const handleBlur = () => {
-    setEditing(false);
-  };
-
+function MeshSourceNote({ source }) {
+  const report = meshReport(source);
   return (
-    <Html
-      position={position}
-      center
-      className={`dimension-label distance-label ${isEditing ? 'dimension-label--editing' : ''}`}
-      distanceFactor={14}
-    >
-      <span className="distance-label__axis">{label}</span>
-      {isEditing ? (
-        <input
-          ref={inputRef}
-          type="number"
-          step="0.1"
-          value={draft}
-          onChange={handleChange}
-          onBlur={handleBlur}
-          onKeyDown={(event) => {
-            if (event.key === 'Enter') {
-              event.currentTarget.blur();
-            } else if (event.key === 'Escape') {
-              setDraft(String(value));
-              setEditing(false);
-            }
-          }}
-          onPointerDown={(event) => event.stopPropagation()}
-        />
-      ) : (
-        <button
-          type="button"
-          onClick={() => setEditing(true)}
-          onPointerDown={(event) => event.stopPropagation()}
-        >
-          {value}
-        </button>
+    <div className="inspector__note">
+      <p className="inspector__hint">
+        {source.name}, {countLabel(report.triangleCount, 'triangle')}
+      </p>
+      {!report.isWatertight && (
+        <p className="inspector__warning">
+          Not watertight ({describeProblems(report).join(', ')}). Booleans with this mesh may leave holes or fail.
+        </p>
       )}
-    </Html>
+    </div>
   );
 }
 
-function DimensionArrow({ start, end, label, value, onCommit }) {
-  const [draft, setDraft] = useState(String(value));
-  const [isEditing, setEditing] = useState(false);
-  const inputRef = useRef(null);
-
-  useEffect(() => {
-    setDraft(String(value));
-  }, [value]);
-
-  useEffect(() => {
-    if (isEditing && inputRef.current) {
-      inputRef.current.focus();
-      inputRef.current.select();
-    }
-  }, [isEditing]);
-
-  const startVec = useMemo(() => new THREE.Vector3(...start), [start]);
-  const endVec = useMemo(() => new THREE.Vector3(...end), [end]);
-  const direction = useMemo(() => endVec.clone().sub(startVec).normalize(), [startVec, endVec]);
-  const midpoint = useMemo(() => startVec.clone().add(endVec).multiplyScalar(0.5).toArray(), [startVec, endVec]);
+// Pointer travel, in pixels, beyond which a click on the solid was really an orbit drag.
+const PICK_TOLERANCE = 4;
+
+function CombinedSolid({ geometry, ghostOpacity, clippingPlanes, onPick }) {
+  const material = useMemo(
+    () =>
+      new THREE.MeshStandardMaterial({
+        color: '#ffb347',
+        roughness: 0.55,
+        metalness: 0.15,
+      }),
+    []
+  );
 
-  const commitValue = () => {
-    onCommit(parseNumber(draft, value));
-  };
+  useEffect(() => () => material.dispose(), [material]);
 
-  const handleBlur = () => {
-    commitValue();
-    setEditing(false);
-  };
+  if (!geometry) return null;
 
-  const handleChange = (event) => {
-    const nextValue = event.target.value;
-    setDraft(nextValue);
-    onCommit(parseNumber(nextValue, value));
+  const solidOpacity = Math.min(1, Math.max(ghostOpacity + 0.25, 0.25));
+  material.opacity = solidOpacity;
+  material.transparent = solidOpacity < 0.99;
+  material.clippingPlanes = clippingPlanes;
+  material.needsUpdate = true;
+
+  // Rays ignore clipping, so a pick skips the hits that the section has cut away.
+  const handleClick = (event) => {
+    if (event.delta > PICK_TOLERANCE) return;
+    event.stopPropagation();
+    const hit = event.intersections.find(
+      ({ object, point }) =>
+        object === event.object && (!clippingPlanes || clippingPlanes[0].distanceToPoint(point) >= 0)
+    );
+    if (hit) onPick({ point: hit.point.toArray(), normal: hit.face.normal.toArray() });
   };
 
   return (
-    <group>
-      <Line points={[start, end]} color="#f9c76b" lineWidth={1} dashed dashSize={0.2} gapSize={0.1} />
-      <ArrowHead position={start} direction={direction} invert />
-      <ArrowHead position={end} direction={direction} />
-      <Html
-        position={midpoint}
-        center
-        className={`dimension-label ${isEditing ? 'dimension-label--editing' : ''}`}
-        distanceFactor={14}
-      >
-        {isEditing ? (
-          <input
-            ref={inputRef}
-            type="number"
-            step="0.1"
-            value={draft}
-            onChange={handleChange}
-            onBlur={handleBlur}
-            onKeyDown={(event) => {
-              if (event.key === 'Enter') {
-                commitValue();
-              } else if (event.key === 'Escape') {
-                setDraft(String(value));
-                setEditing(false);
-              }
-            }}
-            onPointerDown={(event) => event.stopPropagation()}
-          />
-        ) : (
-          <button
-            type="button"
-            onClick={() => setEditing(true)}
-            onPointerDown={(event) => event.stopPropagation()}
-          >
-            {value}
-          </button>
-        )}
-      </Html>
-    </group>
+    <>
+      <mesh
+        geometry={geometry}
+        material={material}
+        castShadow
+        receiveShadow
+        onClick={onPick ? handleClick : undefined}
+      />
+      {clippingPlanes && <SectionCap geometry={geometry} plane={clippingPlanes[0]} />}
+    </>
   );
 }
 
-function ArrowHead({ position, direction, invert = false, alwaysOnTop = false, color = '#f9c76b' }) {
-  const quaternion = useMemo(() => {
-    const target = direction.clone().multiplyScalar(invert ? -1 : 1).normalize();
-    const quat = new THREE.Quaternion();
-    quat.setFromUnitVectors(new THREE.Vector3(0, 1, 0), target);
-    return quat;
-  }, [direction, invert]);
+const HATCH_COLOR = '#8c2f39';
+const HATCH_LINE_COLOR = '#ff8fa3';
+// Hatch lines across the cap, relative to the size of the solid.
+const HATCH_LINES_PER_DIAGONAL = 40;
+
+const createHatchTexture = () => {
+  const canvas = document.createElement('canvas');
+  canvas.width = 32;
+  canvas.height = 32;
+  const context = canvas.getContext('2d');
+  context.fillStyle = HATCH_COLOR;
+  context.fillRect(0, 0, 32, 32);
+  context.strokeStyle = HATCH_LINE_COLOR;
+  context.lineWidth = 4;
+  // The corner strokes finish the diagonal where the tile wraps around.
+  [
+    [0, 32, 32, 0],
+    [-8, 8, 8, -8],
+    [24, 40, 40, 24],
+  ].forEach(([fromX, fromY, toX, toY]) => {
+    context.beginPath();
+    context.moveTo(fromX, fromY);
+    context.lineTo(toX, toY);
+    context.stroke();
+  });
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.wrapS = THREE.RepeatWrapping;
+  texture.wrapT = THREE.RepeatWrapping;
+  texture.colorSpace = THREE.SRGBColorSpace;
+  return texture;
+};
 
-  return (
-    <mesh position={position} quaternion={quaternion} renderOrder={alwaysOnTop ? 10 : 0}>
-      <coneGeometry args={[0.07, 0.25, 16]} />
-      <meshStandardMaterial color={color} depthTest={!alwaysOnTop} depthWrite={!alwaysOnTop} />
-    </mesh>
+const stencilMaterial = (side, operation, plane) =>
+  new THREE.MeshBasicMaterial({
+    side,
+    clippingPlanes: [plane],
+    depthWrite: false,
+    depthTest: false,
+    colorWrite: false,
+    stencilWrite: true,
+    stencilFunc: THREE.AlwaysStencilFunc,
+    stencilFail: operation,
+    stencilZFail: operation,
+    stencilZPass: operation,
+  });
+
+/**
+ * Fills the cut face of a sectioned solid. Back faces left by the clip count up in the stencil
+ * buffer and front faces count down, so along any view ray the count is non-zero only inside the
+ * solid; the hatched cap plane is drawn just there.
+ */
+function SectionCap({ geometry, plane }) {
+  const capRef = useRef(null);
+  const { size, center } = useMemo(() => {
+    if (!geometry.boundingBox) geometry.computeBoundingBox();
+    const box = geometry.boundingBox;
+    return { size: box.getSize(new THREE.Vector3()).length() * 2, center: box.getCenter(new THREE.Vector3()) };
+  }, [geometry]);
+
+  const materials = useMemo(() => {
+    const texture = createHatchTexture();
+    texture.repeat.setScalar(HATCH_LINES_PER_DIAGONAL * 2);
+    return {
+      back: stencilMaterial(THREE.BackSide, THREE.IncrementWrapStencilOp, plane),
+      front: stencilMaterial(THREE.FrontSide, THREE.DecrementWrapStencilOp, plane),
+      cap: new THREE.MeshStandardMaterial({
+        map: texture,
+        side: THREE.DoubleSide,
+        roughness: 0.8,
+        stencilWrite: true,
+        stencilRef: 0,
+        stencilFunc: THREE.NotEqualStencilFunc,
+        stencilFail: THREE.ReplaceStencilOp,
+        stencilZFail: THREE.ReplaceStencilOp,
+        stencilZPass: THREE.ReplaceStencilOp,
+      }),
+    };
+  }, [plane]);
+
+  useEffect(
+    () => () => {
+      materials.cap.map.dispose();
+      Object.values(materials).forEach((material) => material.dispose());
+    },
+    [materials]
   );
-}
 
-function OriginIndicator() {
-  const axisLength = 2.5;
-  const axes = [
-    { label: 'X', color: '#ff5370', dir: [axisLength, 0, 0] },
-    { label: 'Z', color: '#48c0b5', dir: [0, axisLength, 0] },
-    { label: 'Y', color: '#82aaff', dir: [0, 0, axisLength] },
-  ];
+  // The plane moves in place with the section slider, so the cap follows it every frame.
+  useFrame(() => {
+    const cap = capRef.current;
+    if (!cap) return;
+    plane.projectPoint(center, cap.position);
+    cap.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), plane.normal);
+  });
 
   return (
-    <group>
-      {axes.map((axis) => (
-        <AxisArrow key={axis.label} axis={axis} />
-      ))}
-      <mesh>
-        <sphereGeometry args={[0.08, 24, 24]} />
-        <meshStandardMaterial color="#ffffff" />
+    <>
+      <mesh geometry={geometry} material={materials.back} renderOrder={1} />
+      <mesh geometry={geometry} material={materials.front} renderOrder={1} />
+      <mesh
+        ref={capRef}
+        material={materials.cap}
+        renderOrder={2}
+        onAfterRender={(renderer) => renderer.clearStencil()}
+      >
+        <planeGeometry args={[size, size]} />
       </mesh>
-    </group>
+    </>
   );
 }
 
-function AxisArrow({ axis }) {
-  const tip = axis.dir;
-  const points = useMemo(
-    () => [
-      [0, 0, 0],
-      tip,
-    ],
-    [tip]
+const GHOST_SEGMENTS = 32;
+
+const PrimitiveGhost = forwardRef(function PrimitiveGhost(
+  { primitive, onPointerDown, isSelected, ghostOpacity, clippingPlanes },
+  ref
+) {
+  const { type, position, rotation, dimensions, operation, mesh, sketch } = primitive;
+  const worldPosition = positionToWorld(position);
+  const geometry = useMemo(
+    () => getPrimitiveType(type).createGeometry(dimensions, { segments: GHOST_SEGMENTS, mesh, sketch }),
+    [type, dimensions, mesh, sketch]
   );
 
-  const direction = useMemo(() => new THREE.Vector3(...tip).normalize(), [tip]);
+  useEffect(() => () => geometry.dispose(), [geometry]);
+
+  const { color } = getOperation(operation);
+  const opacity = isSelected ? Math.min(ghostOpacity + 0.1, 1) : 0;
+  const wireframe = !isSelected;
 
   return (
-    <group>
-      <Line points={points} color={axis.color} lineWidth={2} depthTest={false} renderOrder={10} />
-      <ArrowHead position={tip} direction={direction} alwaysOnTop color={axis.color} />
-      <Html position={tip} center className="dimension-label dimension-label--static" distanceFactor={18}>
-        {axis.label}
-      </Html>
-    </group>
+    <mesh
+      ref={ref}
+      geometry={geometry}
+      position={[worldPosition.x, worldPosition.y, worldPosition.z]}
+      rotation={rotationToWorld(rotation)}
+      onPointerDown={onPointerDown}
+    >
+      <meshStandardMaterial
+        color={color}
+        transparent
+        opacity={opacity}
+        wireframe={wireframe}
+        clippingPlanes={clippingPlanes}
+      />
+    </mesh>
   );
-}
+});
@@ -0,0 +1,334 @@
+import { Html, Line } from '@react-three/drei';
+import * as THREE from 'three';
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { evaluateExpression } from './expressions.js';
+import { positionToWorld, rotationToWorld } from './geometry.js';
+import { getPrimitiveType } from './primitiveTypes.js';
+import { clampDimensions, formatLength, millimeterIn, roundLength } from './units.js';
+
+export function DimensionIndicators({ primitive, unit, resolveName, onChange }) {
+  const { type, dimensions, position, rotation, sketch } = primitive;
+  const placement = positionToWorld(position);
+  const arrows = getPrimitiveType(type).dimensionArrows(dimensions, { sketch, millimeter: millimeterIn(unit) });
+
+  const updateDimensions = (nextDimensions, nextExpressions) => {
+    onChange(
+      primitive.id,
+      {
+        dimensions: {
+          ...primitive.dimensions,
+          ...nextDimensions,
+        },
+        expressions: Object.fromEntries(
+          Object.entries(nextExpressions).map(([key, expression]) => [`dimensions.${key}`, expression])
+        ),
+      },
+      { mergeKey: `dimensions.${Object.keys(nextDimensions).join(',')}:${primitive.id}` }
+    );
+  };
+
+  // Arrows are laid out around the primitive's local origin; the group places and rotates them.
+  return (
+    <group position={[placement.x, placement.y, placement.z]} rotation={rotationToWorld(rotation)}>
+      {arrows.map((arrow) => (
+        <DimensionArrow
+          key={arrow.key}
+          value={arrow.value}
+          unit={unit}
+          resolveName={resolveName}
+          start={arrow.start}
+          end={arrow.end}
+          onCommit={(value, expression) =>
+            updateDimensions(clampDimensions(type, arrow.apply(value), unit), arrow.bind(expression))
+          }
+        />
+      ))}
+    </group>
+  );
+}
+
+export function DistanceFromOriginIndicators({ primitive, unit, resolveName, onChange }) {
+  const worldPosition = positionToWorld(primitive.position);
+  const lift = 0.02 * millimeterIn(unit);
+  const axes = [
+    {
+      key: 'dist-x',
+      label: 'X',
+      color: '#ff5370',
+      start: [0, lift, 0],
+      end: [worldPosition.x, lift, 0],
+      value: roundLength(primitive.position.x, unit),
+      unit: [1, 0, 0],
+      axisKey: 'x',
+    },
+    {
+      key: 'dist-y',
+      label: 'Y',
+      color: '#82aaff',
+      start: [0, lift, 0],
+      end: [0, lift, worldPosition.z],
+      value: roundLength(primitive.position.y, unit),
+      unit: [0, 0, 1],
+      axisKey: 'y',
+    },
+    {
+      key: 'dist-z',
+      label: 'Z',
+      color: '#48c0b5',
+      start: [0, 0, 0],
+      end: [0, worldPosition.y, 0],
+      value: roundLength(primitive.position.z, unit),
+      unit: [0, 1, 0],
+      axisKey: 'z',
+    },
+  ];
+
+  const updatePosition = useCallback(
+    (axisKey, nextValue, expression) => {
+      onChange(
+        primitive.id,
+        {
+          position: {
+            ...primitive.position,
+            [axisKey]: roundLength(nextValue, unit),
+          },
+          expressions: { [`position.${axisKey}`]: expression },
+        },
+        { mergeKey: `position.${axisKey}:${primitive.id}` }
+      );
+    },
+    [primitive, unit, onChange]
+  );
+
+  return (
+    <group>
+      {axes.map((axis) => (
+        <DistanceAxisIndicator
+          key={axis.key}
+          axis={axis}
+          unit={unit}
+          resolveName={resolveName}
+          onCommit={(value, expression) => updatePosition(axis.axisKey, value, expression)}
+        />
+      ))}
+    </group>
+  );
+}
+
+function DistanceAxisIndicator({ axis, unit, resolveName, onCommit }) {
+  const millimeter = millimeterIn(unit);
+  const startVec = new THREE.Vector3(...axis.start);
+  const endVec = new THREE.Vector3(...axis.end);
+  const delta = endVec.clone().sub(startVec);
+  const hasMagnitude = delta.length() > 0.001 * millimeter;
+  const actualEndVector = hasMagnitude
+    ? endVec
+    : startVec.clone().add(new THREE.Vector3(...axis.unit).multiplyScalar(0.001 * millimeter));
+  const actualEnd = actualEndVector.toArray();
+  const direction = actualEndVector.clone().sub(startVec).normalize();
+  const midpoint = startVec.clone().add(actualEndVector).multiplyScalar(0.5).toArray();
+
+  return (
+    <group>
+      <Line
+        points={[axis.start, actualEnd]}
+        color={axis.color}
+        lineWidth={1}
+        dashed
+        depthTest={false}
+        renderOrder={11}
+      />
+      <ArrowHead position={actualEnd} direction={direction} size={millimeter} alwaysOnTop color={axis.color} />
+      <LengthLabel
+        position={midpoint}
+        label={axis.label}
+        value={axis.value}
+        unit={unit}
+        resolveName={resolveName}
+        onCommit={onCommit}
+      />
+    </group>
+  );
+}
+
+/**
+ * Editable length shown in the viewport. A click turns it into a text field that accepts
+ * expressions; Enter or blur commits `onCommit(value, text)`. Enter on a draft that does not
+ * evaluate keeps the field open with the error, blur and Escape throw the draft away. `label`
+ * names the axis of a distance.
+ */
+function LengthLabel({ position, label, value, unit, resolveName, onCommit }) {
+  const [draft, setDraft] = useState(String(value));
+  const [isEditing, setEditing] = useState(false);
+  const [error, setError] = useState(null);
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    setDraft(String(value));
+  }, [value]);
+
+  useEffect(() => {
+    if (isEditing && inputRef.current) {
+      inputRef.current.focus();
+      inputRef.current.select();
+    }
+  }, [isEditing]);
+
+  const cancelEdit = () => {
+    setDraft(String(value));
+    setError(null);
+    setEditing(false);
+  };
+
+  // Returns false when the draft does not evaluate, leaving the label in edit mode with the error.
+  const commitDraft = () => {
+    if (draft.trim() === String(value)) {
+      setEditing(false);
+      return true;
+    }
+    try {
+      onCommit(evaluateExpression(draft, { unit, resolveName }), draft);
+      setError(null);
+      setEditing(false);
+      return true;
+    } catch (evaluationError) {
+      setError(evaluationError.message);
+      return false;
+    }
+  };
+
+  return (
+    <Html
+      position={position}
+      center
+      className={`dimension-label ${label ? 'distance-label' : ''} ${isEditing ? 'dimension-label--editing' : ''} ${
+        error ? 'dimension-label--invalid' : ''
+      }`}
+      distanceFactor={14 * millimeterIn(unit)}
+    >
+      {label && <span className="distance-label__axis">{label}</span>}
+      {isEditing ? (
+        <input
+          ref={inputRef}
+          type="text"
+          value={draft}
+          title={error ?? undefined}
+          onChange={(event) => {
+            setDraft(event.target.value);
+            setError(null);
+          }}
+          onBlur={() => {
+            if (!commitDraft()) cancelEdit();
+          }}
+          onKeyDown={(event) => {
+            if (event.key === 'Enter') {
+              commitDraft();
+            } else if (event.key === 'Escape') {
+              cancelEdit();
+            }
+          }}
+          onPointerDown={(event) => event.stopPropagation()}
+        />
+      ) : (
+        <button
+          type="button"
+          onClick={() => setEditing(true)}
+          onPointerDown={(event) => event.stopPropagation()}
+        >
+          {formatLength(value, unit)}
+        </button>
+      )}
+    </Html>
+  );
+}
+
+function DimensionArrow({ start, end, value, unit, resolveName, onCommit }) {
+  const startVec = useMemo(() => new THREE.Vector3(...start), [start]);
+  const endVec = useMemo(() => new THREE.Vector3(...end), [end]);
+  const direction = useMemo(() => endVec.clone().sub(startVec).normalize(), [startVec, endVec]);
+  const midpoint = useMemo(() => startVec.clone().add(endVec).multiplyScalar(0.5).toArray(), [startVec, endVec]);
+  const millimeter = millimeterIn(unit);
+
+  return (
+    <group>
+      <Line
+        points={[start, end]}
+        color="#f9c76b"
+        lineWidth={1}
+        dashed
+        dashSize={0.2 * millimeter}
+        gapSize={0.1 * millimeter}
+      />
+      <ArrowHead position={start} direction={direction} size={millimeter} invert />
+      <ArrowHead position={end} direction={direction} size={millimeter} />
+      <LengthLabel position={midpoint} value={value} unit={unit} resolveName={resolveName} onCommit={onCommit} />
+    </group>
+  );
+}
+
+// `size` scales the head, which is sized for millimetres.
+function ArrowHead({ position, direction, size = 1, invert = false, alwaysOnTop = false, color = '#f9c76b' }) {
+  const quaternion = useMemo(() => {
+    const target = direction.clone().multiplyScalar(invert ? -1 : 1).normalize();
+    const quat = new THREE.Quaternion();
+    quat.setFromUnitVectors(new THREE.Vector3(0, 1, 0), target);
+    return quat;
+  }, [direction, invert]);
+
+  return (
+    <mesh position={position} quaternion={quaternion} scale={size} renderOrder={alwaysOnTop ? 10 : 0}>
+      <coneGeometry args={[0.07, 0.25, 16]} />
+      <meshStandardMaterial color={color} depthTest={!alwaysOnTop} depthWrite={!alwaysOnTop} />
+    </mesh>
+  );
+}
+
+export function OriginIndicator({ unit }) {
+  const millimeter = millimeterIn(unit);
+  const axisLength = 2.5 * millimeter;
+  const axes = [
+    { label: 'X', color: '#ff5370', dir: [axisLength, 0, 0] },
+    { label: 'Z', color: '#48c0b5', dir: [0, axisLength, 0] },
+    { label: 'Y', color: '#82aaff', dir: [0, 0, axisLength] },
+  ];
+
+  return (
+    <group>
+      {axes.map((axis) => (
+        <AxisArrow key={axis.label} axis={axis} millimeter={millimeter} />
+      ))}
+      <mesh scale={millimeter}>
+        <sphereGeometry args={[0.08, 24, 24]} />
+        <meshStandardMaterial color="#ffffff" />
+      </mesh>
+    </group>
+  );
+}
+
+function AxisArrow({ axis, millimeter }) {
+  const tip = axis.dir;
+  const points = useMemo(
+    () => [
+      [0, 0, 0],
+      tip,
+    ],
+    [tip]
+  );
+
+  const direction = useMemo(() => new THREE.Vector3(...tip).normalize(), [tip]);
+
+  return (
+    <group>
+      <Line points={points} color={axis.color} lineWidth={2} depthTest={false} renderOrder={10} />
+      <ArrowHead position={tip} direction={direction} size={millimeter} alwaysOnTop color={axis.color} />
+      <Html
+        position={tip}
+        center
+        className="dimension-label dimension-label--static"
+        distanceFactor={18 * millimeter}
+      >
+        {axis.label}
+      </Html>
+    </group>
+  );
+}
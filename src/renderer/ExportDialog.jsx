@@ -0,0 +1,116 @@
+import { useEffect, useState } from 'react';
+import { EXPORT_FORMAT_KEYS, EXPORT_FORMATS, EXPORT_RESOLUTIONS } from './exporters.js';
+import { describeProblems } from './meshAnalysis.js';
+import { UNITS } from './units.js';
+
+const PROBLEM_POLICIES = {
+  warn: 'Warn and ask before saving',
+  block: 'Block the export',
+};
+
+export function ExportDialog({ settings, unit, report, onChange, onExport, onClose }) {
+  const problems = report ? describeProblems(report) : [];
+  const [isExporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape' && !isExporting) onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isExporting, onClose]);
+
+  const submit = async (event) => {
+    event.preventDefault();
+    setExporting(true);
+    setError(null);
+    try {
+      if (await onExport(settings)) {
+        onClose();
+        return;
+      }
+    } catch (exportError) {
+      setError(exportError.message);
+    }
+    setExporting(false);
+  };
+
+  return (
+    <div
+      className="modal"
+      role="presentation"
+      onPointerDown={(event) => {
+        if (event.target === event.currentTarget && !isExporting) onClose();
+      }}
+    >
+      <form className="modal__panel export-dialog" role="dialog" aria-label="Export model" onSubmit={submit}>
+        <h2>Export Model</h2>
+        <fieldset className="export-dialog__formats" disabled={isExporting}>
+          <legend>Format</legend>
+          {EXPORT_FORMAT_KEYS.map((key) => (
+            <label key={key} className={`export-dialog__format ${settings.format === key ? 'is-active' : ''}`}>
+              <input
+                type="radio"
+                name="export-format"
+                value={key}
+                checked={settings.format === key}
+                onChange={() => onChange((current) => ({ ...current, format: key }))}
+              />
+              <span>
+                <strong>{EXPORT_FORMATS[key].label}</strong>
+                <small>{EXPORT_FORMATS[key].description}</small>
+              </span>
+            </label>
+          ))}
+        </fieldset>
+        <label className="export-dialog__field">
+          <span>Mesh resolution</span>
+          <select
+            value={settings.resolution}
+            disabled={isExporting}
+            onChange={(event) => onChange((current) => ({ ...current, resolution: event.target.value }))}
+          >
+            {Object.entries(EXPORT_RESOLUTIONS).map(([key, resolution]) => (
+              <option key={key} value={key}>
+                {resolution.label} ({resolution.segments} segments)
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="export-dialog__field">
+          <span>If the mesh has problems</span>
+          <select
+            value={settings.problemPolicy}
+            disabled={isExporting}
+            onChange={(event) => onChange((current) => ({ ...current, problemPolicy: event.target.value }))}
+          >
+            {Object.entries(PROBLEM_POLICIES).map(([key, label]) => (
+              <option key={key} value={key}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <p className="export-dialog__note">
+          The model is measured in {UNITS[unit].label.toLowerCase()}. Curved shapes are split into the chosen
+          number of segments around their axis.
+        </p>
+        {problems.length > 0 && (
+          <p className="inspector__warning">
+            The current solid has {problems.join(', ')}. The exported mesh is checked again at the chosen resolution.
+          </p>
+        )}
+        {error && <p className="inspector__error">Export failed: {error}</p>}
+        <div className="export-dialog__actions">
+          <button type="button" className="btn btn--ghost" onClick={onClose} disabled={isExporting}>
+            Cancel
+          </button>
+          <button type="submit" className="btn btn--primary" disabled={isExporting}>
+            {isExporting ? 'Exporting…' : 'Export'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
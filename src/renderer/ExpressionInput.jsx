@@ -0,0 +1,86 @@
+import { useMemo, useState } from 'react';
+import { evaluateExpression } from './expressions.js';
+import { roundValue } from './numbers.js';
+
+export const rejectVariables = () => {
+  throw new Error('Variables can only be used in length fields.');
+};
+
+export const fieldLabel = (field, unit) => {
+  if (field.angle) return `${field.label} (deg)`;
+  return field.integer ? field.label : `${field.label} (${unit})`;
+};
+
+export const isEditableElement = (element) => {
+  if (!element) return false;
+  return ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName) || element.isContentEditable;
+};
+
+/**
+ * Text field for a number that also accepts expressions such as `25.4mm` or `h/2 + wall`. The
+ * draft is evaluated on Enter or blur and committed as `onCommit(value, text)`; an invalid draft
+ * stays in the field with the error beneath it. A field bound to an `expression` shows that text
+ * and its current value. ArrowUp and ArrowDown step the committed value by `step`.
+ */
+export function ExpressionInput({ value, expression, unit = null, resolveName = rejectVariables, step, onCommit }) {
+  const [draft, setDraft] = useState(null);
+  const [error, setError] = useState(null);
+  const committedText = expression ?? String(value);
+
+  // A bound field can break later, when a variable it uses is removed or stops evaluating.
+  const bindingError = useMemo(() => {
+    if (!expression) return null;
+    try {
+      evaluateExpression(expression, { unit, resolveName });
+      return null;
+    } catch (evaluationError) {
+      return evaluationError.message;
+    }
+  }, [expression, unit, resolveName]);
+
+  const commit = (text) => {
+    try {
+      const nextValue = evaluateExpression(text, { unit, resolveName });
+      setDraft(null);
+      setError(null);
+      if (text.trim() !== committedText) onCommit(nextValue, text);
+    } catch (evaluationError) {
+      setError(evaluationError.message);
+    }
+  };
+
+  const shownError = error ?? (draft === null ? bindingError : null);
+
+  return (
+    <>
+      <input
+        type="text"
+        inputMode="decimal"
+        className={`${shownError ? 'is-invalid' : ''} ${expression ? 'is-bound' : ''}`}
+        value={draft ?? committedText}
+        onChange={(event) => {
+          setDraft(event.target.value);
+          setError(null);
+        }}
+        onBlur={() => {
+          if (draft !== null) commit(draft);
+        }}
+        onKeyDown={(event) => {
+          if (event.key === 'Enter') {
+            event.preventDefault();
+            if (draft !== null) commit(draft);
+          } else if (event.key === 'Escape') {
+            setDraft(null);
+            setError(null);
+          } else if ((event.key === 'ArrowUp' || event.key === 'ArrowDown') && step && draft === null) {
+            event.preventDefault();
+            const nextValue = roundValue(value + (event.key === 'ArrowUp' ? step : -step), 6);
+            onCommit(nextValue, String(nextValue));
+          }
+        }}
+      />
+      {shownError && <small className="inspector__error">{shownError}</small>}
+      {expression && !shownError && <small className="inspector__hint">= {roundValue(value, 4)}</small>}
+    </>
+  );
+}
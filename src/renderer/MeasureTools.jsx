@@ -0,0 +1,98 @@
+import { Html, Line } from '@react-three/drei';
+import * as THREE from 'three';
+import { useEffect, useMemo } from 'react';
+import { describeMeasurement, MEASURE_MODE_KEYS, MEASURE_MODES, measurementLayout } from './measurements.js';
+import { countLabel } from './numbers.js';
+import { millimeterIn } from './units.js';
+
+export function MeasureTools({ mode, count, isVisible, onModeChange, onToggleVisible, onClear }) {
+  return (
+    <div className="snap-settings">
+      <label>
+        <span>Measure</span>
+        <select value={mode ?? ''} onChange={(event) => onModeChange(event.target.value || null)}>
+          <option value="">Off</option>
+          {MEASURE_MODE_KEYS.map((key) => (
+            <option key={key} value={key}>
+              {MEASURE_MODES[key].label}
+            </option>
+          ))}
+        </select>
+      </label>
+      {count > 0 && (
+        <>
+          <button
+            type="button"
+            className={`btn btn--ghost btn--tiny ${isVisible ? 'is-active' : ''}`}
+            onClick={onToggleVisible}
+          >
+            {isVisible ? 'Hide' : 'Show'} {countLabel(count, 'Measurement')}
+          </button>
+          <button type="button" className="btn btn--ghost btn--tiny" onClick={onClear}>
+            Clear
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
+
+const MEASURE_COLOR = '#7fdbff';
+
+export const pointsGeometry = (points) =>
+  new THREE.BufferGeometry().setAttribute('position', new THREE.Float32BufferAttribute(points.flat(), 3));
+
+// Finished measurements and the picks of the one in progress, drawn over the solid.
+export function MeasurementAnnotations({ measurements, picks, unit, onRemove }) {
+  const markerGeometry = useMemo(() => {
+    const allPicks = [...measurements.flatMap((measurement) => measurement.picks), ...picks];
+    return pointsGeometry(allPicks.map(({ point }) => point));
+  }, [measurements, picks]);
+
+  useEffect(() => () => markerGeometry.dispose(), [markerGeometry]);
+
+  return (
+    <group renderOrder={11}>
+      {markerGeometry.getAttribute('position').count > 0 && (
+        <points geometry={markerGeometry}>
+          <pointsMaterial color={MEASURE_COLOR} size={7} sizeAttenuation={false} depthTest={false} transparent />
+        </points>
+      )}
+      {picks.length > 1 && (
+        <Line
+          points={picks.map(({ point }) => point)}
+          color={MEASURE_COLOR}
+          lineWidth={1.5}
+          depthTest={false}
+          transparent
+        />
+      )}
+      {measurements.map((measurement) => {
+        const { segments, labelAt } = measurementLayout(measurement);
+        const { value, detail } = describeMeasurement(measurement, unit);
+        return (
+          <group key={measurement.id}>
+            <Line points={segments.flat()} segments color={MEASURE_COLOR} lineWidth={2} depthTest={false} transparent />
+            <Html
+              position={labelAt}
+              center
+              className="dimension-label measurement-label"
+              distanceFactor={14 * millimeterIn(unit)}
+            >
+              <span>{value}</span>
+              {detail && <small>{detail}</small>}
+              <button
+                type="button"
+                title="Remove measurement"
+                onClick={() => onRemove(measurement.id)}
+                onPointerDown={(event) => event.stopPropagation()}
+              >
+                ×
+              </button>
+            </Html>
+          </group>
+        );
+      })}
+    </group>
+  );
+}
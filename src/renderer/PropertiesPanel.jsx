@@ -0,0 +1,151 @@
+import { Html } from '@react-three/drei';
+import { useEffect, useMemo } from 'react';
+import { positionFromWorld } from './geometry.js';
+import {
+  estimateMass,
+  FILAMENT_DIAMETERS,
+  formatMass,
+  MATERIAL_KEYS,
+  materialForDensity,
+  MATERIALS,
+} from './massProperties.js';
+import { pointsGeometry } from './MeasureTools.jsx';
+import { parseNumber, roundValue } from './numbers.js';
+import { formatArea, formatVolume, millimeterIn, UNITS } from './units.js';
+
+const formatVector = (vector, unit) => {
+  const precision = UNITS[unit].precision;
+  return `${['x', 'y', 'z'].map((axis) => roundValue(vector[axis], precision)).join(' × ')} ${unit}`;
+};
+
+export function PropertiesPanel({ report, unit, settings, isStale, showCenterOfMass, onChange, onToggleCenterOfMass }) {
+  const { min, max } = report.bounds;
+  const size = positionFromWorld({ x: max.x - min.x, y: max.y - min.y, z: max.z - min.z });
+  const center = report.centerOfMass && positionFromWorld(report.centerOfMass);
+  const material = materialForDensity(settings.density);
+  const { mass, printedMass, filamentLength } = estimateMass(report, unit, settings);
+  const facts = [
+    { label: 'Volume', value: formatVolume(Math.abs(report.volume), unit) },
+    { label: 'Surface area', value: formatArea(report.surfaceArea, unit) },
+    { label: 'Bounding box', value: formatVector(size, unit) },
+    {
+      label: 'Center of mass',
+      value: center ? formatVector(center, unit).replaceAll(' × ', ', ') : '—',
+    },
+    { label: `Mass (${material ? MATERIALS[material].label : 'custom'})`, value: formatMass(mass) },
+    { label: `Printed at ${settings.infill}% infill`, value: formatMass(printedMass) },
+    { label: 'Filament', value: `${roundValue(filamentLength, 2)} m` },
+  ];
+  const update = (key, value) => onChange((current) => ({ ...current, [key]: value }));
+
+  return (
+    <section className="analysis">
+      <div className="panel__title">
+        <h3>Properties</h3>
+        <button
+          type="button"
+          className={`btn btn--ghost btn--tiny ${showCenterOfMass ? 'is-active' : ''}`}
+          onClick={onToggleCenterOfMass}
+          disabled={!center}
+          title="Mark the center of mass in the viewport"
+        >
+          Center
+        </button>
+      </div>
+      {(isStale || !report.isWatertight) && (
+        <p className="analysis__status analysis__status--problem">
+          {isStale && 'Updating… '}
+          {!report.isWatertight && 'The solid is not watertight, so these figures are approximate.'}
+        </p>
+      )}
+      <dl className="analysis__facts">
+        {facts.map((fact) => (
+          <div key={fact.label}>
+            <dt>{fact.label}</dt>
+            <dd>{fact.value}</dd>
+          </div>
+        ))}
+      </dl>
+      <div className="feature__fields">
+        <label>
+          Material
+          <select
+            value={material ?? ''}
+            onChange={(event) => event.target.value && update('density', MATERIALS[event.target.value].density)}
+          >
+            {!material && <option value="">Custom</option>}
+            {MATERIAL_KEYS.map((key) => (
+              <option key={key} value={key}>
+                {MATERIALS[key].label} ({MATERIALS[key].density} g/cm³)
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Density (g/cm³)
+          <input
+            type="number"
+            min={0.01}
+            step={0.01}
+            value={settings.density}
+            onChange={(event) => {
+              const value = parseNumber(event.target.value, settings.density);
+              if (value > 0) update('density', value);
+            }}
+          />
+        </label>
+        <label>
+          Infill (%)
+          <input
+            type="number"
+            min={0}
+            max={100}
+            step={5}
+            value={settings.infill}
+            onChange={(event) => {
+              const value = parseNumber(event.target.value, settings.infill);
+              update('infill', Math.min(100, Math.max(0, value)));
+            }}
+          />
+        </label>
+        <label>
+          Filament
+          <select
+            value={settings.filamentDiameter}
+            onChange={(event) => update('filamentDiameter', Number(event.target.value))}
+          >
+            {FILAMENT_DIAMETERS.map((diameter) => (
+              <option key={diameter} value={diameter}>
+                {diameter} mm
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+    </section>
+  );
+}
+
+const CENTER_OF_MASS_COLOR = '#c792ea';
+
+export function CenterOfMassMarker({ point, unit }) {
+  const position = useMemo(() => [point.x, point.y, point.z], [point]);
+  const geometry = useMemo(() => pointsGeometry([position]), [position]);
+
+  useEffect(() => () => geometry.dispose(), [geometry]);
+
+  return (
+    <group renderOrder={11}>
+      <points geometry={geometry}>
+        <pointsMaterial color={CENTER_OF_MASS_COLOR} size={10} sizeAttenuation={false} depthTest={false} transparent />
+      </points>
+      <Html
+        position={position}
+        className="dimension-label dimension-label--static center-of-mass-label"
+        distanceFactor={14 * millimeterIn(unit)}
+      >
+        Center of mass
+      </Html>
+    </group>
+  );
+}
@@ -0,0 +1,493 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { ExpressionInput, fieldLabel, isEditableElement } from './ExpressionInput.jsx';
+import { countLabel, roundValue, snapValue } from './numbers.js';
+import { clampField, getPrimitiveType, isLengthField, PRIMITIVE_TYPES } from './primitiveTypes.js';
+import {
+  arcThroughPoints,
+  entityPoints,
+  isClosedEntity,
+  samePoint,
+  SKETCH_PLANE_KEYS,
+  SKETCH_PLANES,
+  sketchBounds,
+  sketchLoops,
+} from './sketches.js';
+import { defaultDimensions, fieldInUnit, millimeterIn, UNITS } from './units.js';
+
+const SKETCH_VIEW = { width: 640, height: 440 };
+const SKETCH_SNAP_PIXELS = 8;
+const SKETCH_HIT_PIXELS = 6;
+const SKETCH_GRID_STEPS = [
+  0.0001, 0.00025, 0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 25, 50, 100, 250,
+  500, 1000,
+];
+// Zoom limits in pixels per millimetre, so every unit can zoom as far.
+const SKETCH_ZOOM_RANGE = [0.05, 1e4];
+const SKETCH_TOOLS = { select: 'Select', line: 'Line', arc: 'Arc', circle: 'Circle', rectangle: 'Rectangle' };
+const SKETCH_TOOL_HINTS = {
+  select: 'Click an element to select it; Delete removes it.',
+  line: 'Click to place points. Click the first point to close the outline, or press Esc to stop.',
+  arc: 'Click the start, then the end, then a point the arc passes through.',
+  circle: 'Click the centre, then a point on the circle.',
+  rectangle: 'Click two opposite corners.',
+};
+// Points each tool places before the next click completes an element.
+const SKETCH_TOOL_POINTS = { line: 1, arc: 2, circle: 1, rectangle: 1 };
+const SKETCH_FEATURE_TYPES = ['extrude', 'revolve'];
+
+// An empty sketch shows 20 mm across.
+const fitSketchView = (entities, unit) => {
+  const millimeter = millimeterIn(unit);
+  if (!entities.length) return { center: [0, 0], zoom: SKETCH_VIEW.height / (20 * millimeter) };
+  const { min, max } = sketchBounds({ entities });
+  const width = Math.max(max[0] - min[0], 1e-3 * millimeter) * 1.3;
+  const height = Math.max(max[1] - min[1], 1e-3 * millimeter) * 1.3;
+  return {
+    center: [(min[0] + max[0]) / 2, (min[1] + max[1]) / 2],
+    zoom: Math.min(SKETCH_VIEW.width / width, SKETCH_VIEW.height / height),
+  };
+};
+
+const entitySnapPoints = (entity) => {
+  if (entity.type === 'circle') return [entity.center];
+  if (entity.type === 'rectangle') return entityPoints(entity);
+  return [entity.from, entity.to];
+};
+
+/** The element the tool adds when `point` follows the `pending` ones, or null if it would be degenerate. */
+const draftEntity = (tool, pending, point) => {
+  const [first, second] = pending;
+  const last = pending[pending.length - 1];
+  if (tool === 'line') return samePoint(last, point) ? null : { type: 'line', from: last, to: point };
+  if (tool === 'arc') {
+    return arcThroughPoints(first, point, second) ? { type: 'arc', from: first, via: point, to: second } : null;
+  }
+  if (tool === 'circle') {
+    const radius = roundValue(Math.hypot(point[0] - first[0], point[1] - first[1]), 6);
+    return radius > 0 ? { type: 'circle', center: first, radius } : null;
+  }
+  if (tool === 'rectangle') {
+    return first[0] !== point[0] && first[1] !== point[1] ? { type: 'rectangle', from: first, to: point } : null;
+  }
+  return null;
+};
+
+const segmentDistance = ([px, py], [ax, ay], [bx, by]) => {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq ? Math.min(1, Math.max(0, ((px - ax) * dx + (py - ay) * dy) / lengthSq)) : 0;
+  return Math.hypot(px - ax - t * dx, py - ay - t * dy);
+};
+
+const entityOutline = (entity) => {
+  const points = entityPoints(entity, 64);
+  return isClosedEntity(entity) ? [...points, points[0]] : points;
+};
+
+/**
+ * Draws a profile on a principal plane and turns it into an extrusion or revolution. With a
+ * `primitive` the editor changes that primitive's sketch and feature in place; without one it
+ * creates a new primitive on the chosen plane.
+ */
+export function SketchEditor({ primitive, unit, onApply, onClose }) {
+  const isNew = !primitive;
+  const svgRef = useRef(null);
+  const [plane, setPlane] = useState(primitive?.sketch.plane ?? 'xy');
+  const [offset, setOffset] = useState(0);
+  const [type, setType] = useState(primitive?.type ?? 'extrude');
+  const [amounts, setAmounts] = useState(() => ({
+    ...defaultDimensions('extrude', unit),
+    ...defaultDimensions('revolve', unit),
+    ...primitive?.dimensions,
+  }));
+  const [entities, setEntities] = useState(() => primitive?.sketch.entities ?? []);
+  const [past, setPast] = useState([]);
+  const [tool, setTool] = useState(isNew ? 'line' : 'select');
+  const [pending, setPending] = useState([]);
+  const [cursor, setCursor] = useState(null);
+  const [selectedIndex, setSelectedIndex] = useState(null);
+  const [snapToGrid, setSnapToGrid] = useState(true);
+  const [view, setView] = useState(() => fitSketchView(entities, unit));
+  const panRef = useRef(null);
+
+  const field = PRIMITIVE_TYPES[type].fields[0];
+  const dimensions = { [field.key]: amounts[field.key] };
+  const sketch = useMemo(() => ({ plane, entities }), [plane, entities]);
+  const gridStep = SKETCH_GRID_STEPS.find((step) => step * view.zoom >= 14) ?? SKETCH_GRID_STEPS.at(-1);
+  const [uAxis, vAxis] = SKETCH_PLANES[plane].axes;
+
+  const status = useMemo(() => {
+    try {
+      const loops = sketchLoops(sketch);
+      getPrimitiveType(type).createGeometry({ [field.key]: amounts[field.key] }, { segments: 24, sketch }).dispose();
+      return { isValid: true, message: `${countLabel(loops.length, 'closed outline')}, ready to ${type}.` };
+    } catch (error) {
+      return { isValid: false, message: error.message };
+    }
+  }, [sketch, type, field.key, amounts]);
+
+  const changeEntities = useCallback(
+    (next) => {
+      setPast((history) => [...history, entities]);
+      setEntities(next);
+      setSelectedIndex(null);
+    },
+    [entities]
+  );
+
+  const close = useCallback(() => {
+    if (past.length && !window.confirm('Discard the changes to this sketch?')) return;
+    onClose();
+  }, [past.length, onClose]);
+
+  // Listening on the document lets inputs inside the editor see keys first, while stopping them
+  // before the workspace shortcuts on the window act on the model behind the editor.
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      event.stopPropagation();
+      if (isEditableElement(event.target)) return;
+      if (event.key === 'Escape') {
+        if (pending.length) setPending([]);
+        else close();
+      } else if ((event.key === 'Delete' || event.key === 'Backspace') && selectedIndex !== null) {
+        event.preventDefault();
+        changeEntities(entities.filter((_, index) => index !== selectedIndex));
+      } else if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'z') {
+        event.preventDefault();
+        if (!past.length) return;
+        setEntities(past[past.length - 1]);
+        setPast(past.slice(0, -1));
+        setPending([]);
+        setSelectedIndex(null);
+      }
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [pending.length, selectedIndex, entities, past, changeEntities, close]);
+
+  const toScreen = ([u, v]) => [
+    SKETCH_VIEW.width / 2 + (u - view.center[0]) * view.zoom,
+    SKETCH_VIEW.height / 2 - (v - view.center[1]) * view.zoom,
+  ];
+
+  const toSketch = (event) => {
+    const bounds = svgRef.current.getBoundingClientRect();
+    const x = ((event.clientX - bounds.left) * SKETCH_VIEW.width) / bounds.width;
+    const y = ((event.clientY - bounds.top) * SKETCH_VIEW.height) / bounds.height;
+    return [
+      view.center[0] + (x - SKETCH_VIEW.width / 2) / view.zoom,
+      view.center[1] - (y - SKETCH_VIEW.height / 2) / view.zoom,
+    ];
+  };
+
+  // Existing end points win over the grid so outlines close exactly.
+  const snapPoint = (point) => {
+    const candidates = [...entities.flatMap(entitySnapPoints), ...pending];
+    const nearest = candidates.reduce(
+      (best, candidate) => {
+        const distance = Math.hypot(candidate[0] - point[0], candidate[1] - point[1]) * view.zoom;
+        return distance < best.distance ? { point: candidate, distance } : best;
+      },
+      { point: null, distance: SKETCH_SNAP_PIXELS }
+    );
+    if (nearest.point) return nearest.point;
+    const round = (value) => roundValue(snapToGrid ? snapValue(value, gridStep) : value, 6);
+    return [round(point[0]), round(point[1])];
+  };
+
+  const hitEntity = (point) => {
+    let hit = null;
+    let closest = SKETCH_HIT_PIXELS / view.zoom;
+    entities.forEach((entity, index) => {
+      const outline = entityOutline(entity);
+      outline.slice(1).forEach((end, segment) => {
+        const distance = segmentDistance(point, outline[segment], end);
+        if (distance <= closest) {
+          closest = distance;
+          hit = index;
+        }
+      });
+    });
+    return hit;
+  };
+
+  const handlePointerDown = (event) => {
+    if (event.button === 1) {
+      event.preventDefault();
+      panRef.current = { x: event.clientX, y: event.clientY, center: view.center };
+      event.currentTarget.setPointerCapture(event.pointerId);
+      return;
+    }
+    if (event.button !== 0) return;
+    if (tool === 'select') {
+      setSelectedIndex(hitEntity(toSketch(event)));
+      return;
+    }
+
+    const point = snapPoint(toSketch(event));
+    if (pending.length < SKETCH_TOOL_POINTS[tool]) {
+      setPending([...pending, point]);
+      return;
+    }
+    const entity = draftEntity(tool, pending, point);
+    if (tool === 'line') {
+      // Clicking the last point again ends the chain; reaching the first point closes it.
+      if (!entity) {
+        setPending([]);
+        return;
+      }
+      changeEntities([...entities, entity]);
+      setPending(samePoint(point, pending[0]) ? [] : [...pending, point]);
+      return;
+    }
+    if (entity) changeEntities([...entities, entity]);
+    setPending([]);
+  };
+
+  const handlePointerMove = (event) => {
+    if (panRef.current) {
+      const bounds = svgRef.current.getBoundingClientRect();
+      const scale = SKETCH_VIEW.width / bounds.width / view.zoom;
+      const { x, y, center } = panRef.current;
+      setView({
+        ...view,
+        center: [center[0] - (event.clientX - x) * scale, center[1] + (event.clientY - y) * scale],
+      });
+      return;
+    }
+    setCursor(tool === 'select' ? null : snapPoint(toSketch(event)));
+  };
+
+  const handleWheel = (event) => {
+    const point = toSketch(event);
+    const [minZoom, maxZoom] = SKETCH_ZOOM_RANGE.map((limit) => limit * UNITS[unit].millimeters);
+    const zoom = Math.min(maxZoom, Math.max(minZoom, view.zoom * (event.deltaY < 0 ? 1.2 : 1 / 1.2)));
+    const ratio = view.zoom / zoom;
+    setView({
+      center: [point[0] - (point[0] - view.center[0]) * ratio, point[1] - (point[1] - view.center[1]) * ratio],
+      zoom,
+    });
+  };
+
+  const selectTool = (key) => {
+    setTool(key);
+    setPending([]);
+    setCursor(null);
+  };
+
+  const apply = (event) => {
+    event.preventDefault();
+    if (!status.isValid) return;
+    onApply({ sketch, type, dimensions, offset });
+    onClose();
+  };
+
+  const outlinePath = (points) =>
+    points
+      .map((point, index) => {
+        const [x, y] = toScreen(point);
+        return `${index ? 'L' : 'M'}${roundValue(x, 2)} ${roundValue(y, 2)}`;
+      })
+      .join(' ');
+
+  const gridIndices = (center, halfSpan) => {
+    const first = Math.ceil((center - halfSpan) / gridStep);
+    const last = Math.floor((center + halfSpan) / gridStep);
+    return Array.from({ length: Math.max(0, last - first + 1) }, (_, index) => first + index);
+  };
+
+  // Every fifth grid line is drawn stronger.
+  const gridClass = (index) => (index % 5 ? '' : 'is-major');
+  const gridLines = () => [
+    ...gridIndices(view.center[0], SKETCH_VIEW.width / 2 / view.zoom).map((index) => {
+      const [x] = toScreen([index * gridStep, 0]);
+      return <line key={`u${index}`} x1={x} x2={x} y1={0} y2={SKETCH_VIEW.height} className={gridClass(index)} />;
+    }),
+    ...gridIndices(view.center[1], SKETCH_VIEW.height / 2 / view.zoom).map((index) => {
+      const [, y] = toScreen([0, index * gridStep]);
+      return <line key={`v${index}`} x1={0} x2={SKETCH_VIEW.width} y1={y} y2={y} className={gridClass(index)} />;
+    }),
+  ];
+
+  const preview = (() => {
+    if (!cursor || !pending.length) return null;
+    if (tool === 'arc' && pending.length === 1) return { type: 'line', from: pending[0], to: cursor };
+    return draftEntity(tool, pending, cursor);
+  })();
+  const [originX, originY] = toScreen([0, 0]);
+
+  return (
+    <div className="modal" role="presentation">
+      <form className="modal__panel sketch-editor" role="dialog" aria-label="Sketch editor" onSubmit={apply}>
+        <h2>{isNew ? 'New Sketch' : `Edit Sketch: ${primitive.name}`}</h2>
+        <div className="sketch-editor__toolbar">
+          <div className="handle-toggle">
+            {Object.entries(SKETCH_TOOLS).map(([key, label]) => (
+              <button
+                key={key}
+                type="button"
+                className={`handle-toggle__btn ${tool === key ? 'is-active' : ''}`}
+                onClick={() => selectTool(key)}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <label className="sketch-editor__snap">
+            <input type="checkbox" checked={snapToGrid} onChange={(event) => setSnapToGrid(event.target.checked)} />
+            Snap to grid ({roundValue(gridStep, 6)} {unit})
+          </label>
+          <button
+            type="button"
+            className="btn btn--ghost btn--tiny"
+            onClick={() => setView(fitSketchView(entities, unit))}
+          >
+            Fit
+          </button>
+        </div>
+        <div className="sketch-editor__body">
+          <div className="sketch-editor__canvas">
+            <svg
+              ref={svgRef}
+              viewBox={`0 0 ${SKETCH_VIEW.width} ${SKETCH_VIEW.height}`}
+              onPointerDown={handlePointerDown}
+              onPointerMove={handlePointerMove}
+              onPointerUp={() => {
+                panRef.current = null;
+              }}
+              onPointerLeave={() => setCursor(null)}
+              onWheel={handleWheel}
+              onContextMenu={(event) => {
+                event.preventDefault();
+                setPending([]);
+              }}
+            >
+              <g className="sketch-editor__grid">{gridLines()}</g>
+              <line className="sketch-editor__axis" x1={0} x2={SKETCH_VIEW.width} y1={originY} y2={originY} />
+              <line
+                className={`sketch-editor__axis ${type === 'revolve' ? 'is-revolve-axis' : ''}`}
+                x1={originX}
+                x2={originX}
+                y1={0}
+                y2={SKETCH_VIEW.height}
+              />
+              {entities.map((entity, index) => (
+                <path
+                  key={index}
+                  d={outlinePath(entityOutline(entity))}
+                  className={`sketch-editor__entity ${selectedIndex === index ? 'is-selected' : ''}`}
+                />
+              ))}
+              {preview && <path d={outlinePath(entityOutline(preview))} className="sketch-editor__preview" />}
+              {[...entities.flatMap(entitySnapPoints), ...pending].map((point, index) => {
+                const [x, y] = toScreen(point);
+                return <circle key={index} cx={x} cy={y} r={3} className="sketch-editor__point" />;
+              })}
+              {cursor && (
+                <circle cx={toScreen(cursor)[0]} cy={toScreen(cursor)[1]} r={4} className="sketch-editor__cursor" />
+              )}
+              <text x={SKETCH_VIEW.width - 12} y={SKETCH_VIEW.height - 12} textAnchor="end">
+                {uAxis} →
+              </text>
+              <text x={12} y={20}>
+                {vAxis} ↑{type === 'revolve' ? ' (revolve axis at 0)' : ''}
+              </text>
+            </svg>
+            <p className="export-dialog__note">
+              {SKETCH_TOOL_HINTS[tool]} Scroll to zoom, drag with the middle button to pan.
+              {cursor && ` Cursor: ${roundValue(cursor[0], 4)}, ${roundValue(cursor[1], 4)} ${unit}.`}
+            </p>
+          </div>
+          <div className="sketch-editor__side">
+            {isNew && (
+              <>
+                <label className="export-dialog__field">
+                  <span>Plane</span>
+                  <select value={plane} onChange={(event) => setPlane(event.target.value)}>
+                    {SKETCH_PLANE_KEYS.map((key) => (
+                      <option key={key} value={key}>
+                        {SKETCH_PLANES[key].label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label className="export-dialog__field">
+                  <span>
+                    Offset along {SKETCH_PLANES[plane].normal.toUpperCase()} ({unit})
+                  </span>
+                  <ExpressionInput
+                    value={offset}
+                    unit={unit}
+                    step={1}
+                    onCommit={(value) => setOffset(roundValue(value, 6))}
+                  />
+                </label>
+              </>
+            )}
+            <fieldset className="export-dialog__formats">
+              <legend>Feature</legend>
+              {SKETCH_FEATURE_TYPES.map((key) => (
+                <label key={key} className={`export-dialog__format ${type === key ? 'is-active' : ''}`}>
+                  <input type="radio" name="sketch-feature" checked={type === key} onChange={() => setType(key)} />
+                  <span>
+                    <strong>{PRIMITIVE_TYPES[key].label}</strong>
+                    <small>
+                      {key === 'extrude'
+                        ? 'Pushes the profile out along the plane normal.'
+                        : `Spins the profile about the ${vAxis} axis; keep it on the positive ${uAxis} side.`}
+                    </small>
+                  </span>
+                </label>
+              ))}
+            </fieldset>
+            <label className="export-dialog__field">
+              <span>{fieldLabel(field, unit)}</span>
+              <ExpressionInput
+                value={amounts[field.key]}
+                unit={isLengthField(field) ? unit : null}
+                step={fieldInUnit(field, unit).step}
+                onCommit={(value) =>
+                  setAmounts((current) => ({ ...current, [field.key]: clampField(fieldInUnit(field, unit), value) }))
+                }
+              />
+            </label>
+            <div className="sketch-editor__entities">
+              <span>Elements</span>
+              {!entities.length && <p className="export-dialog__note">Nothing drawn yet.</p>}
+              <ul>
+                {entities.map((entity, index) => (
+                  <li key={index} className={selectedIndex === index ? 'is-selected' : ''}>
+                    <button
+                      type="button"
+                      className="sketch-editor__entity-name"
+                      onClick={() => setSelectedIndex(index)}
+                    >
+                      {entity.type[0].toUpperCase() + entity.type.slice(1)} {index + 1}
+                    </button>
+                    <button
+                      type="button"
+                      className="btn btn--ghost btn--tiny"
+                      onClick={() => changeEntities(entities.filter((_, other) => other !== index))}
+                    >
+                      Remove
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+            <p className={status.isValid ? 'export-dialog__note' : 'inspector__error'}>{status.message}</p>
+          </div>
+        </div>
+        <div className="export-dialog__actions">
+          <button type="button" className="btn btn--ghost" onClick={close}>
+            Cancel
+          </button>
+          <button type="submit" className="btn btn--primary" disabled={!status.isValid}>
+            {isNew ? `Create ${PRIMITIVE_TYPES[type].label}` : 'Apply'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,29 @@
+import { buildCombinedGeometry, CsgFoldCache, serializeGeometry } from './geometry.js';
+import { analyzeGeometry } from './meshAnalysis.js';
+import { forgetMeshPositions, provideMeshPositions } from './meshes.js';
+
+const foldCache = new CsgFoldCache();
+
+// Evaluates one job per message. The client never posts while a job is in flight, so there is
+// no queue to drain here; superseded requests are dropped on the client side.
+self.onmessage = (event) => {
+  const { jobId, primitives, features, segments, meshes, dropped } = event.data;
+
+  try {
+    meshes.forEach(([hash, floats]) => provideMeshPositions(hash, floats));
+    dropped.forEach(forgetMeshPositions);
+    const geometry = buildCombinedGeometry(primitives, foldCache, { segments, features });
+    if (!geometry) {
+      self.postMessage({ jobId, geometry: null });
+      return;
+    }
+
+    // The printability report rides along with every build so the panel and export never go stale.
+    const report = analyzeGeometry(geometry);
+    const { payload, transfer } = serializeGeometry(geometry);
+    transfer.push(report.problems.edges.buffer, report.problems.points.buffer);
+    self.postMessage({ jobId, geometry: payload, report }, transfer);
+  } catch (error) {
+    self.postMessage({ jobId, error: error?.message ?? String(error) });
+  }
+};
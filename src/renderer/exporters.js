@@ -0,0 +1,159 @@
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+import { OBJExporter } from 'three/examples/jsm/exporters/OBJExporter.js';
+import { STLExporter } from 'three/examples/jsm/exporters/STLExporter.js';
+import { strToU8, zipSync } from 'three/examples/jsm/libs/fflate.module.js';
+import { mergeVertices } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+import { DEFAULT_CSG_SEGMENTS, reverseWinding } from './geometry.js';
+import { UNITS } from './units.js';
+
+/*
+ * File formats for exporting the combined solid. Each encoder receives the Y-up world geometry in
+ * document units and returns the file contents as a string or a Uint8Array.
+ */
+
+export const EXPORT_RESOLUTIONS = {
+  draft: { label: 'Draft', segments: 24 },
+  standard: { label: 'Standard', segments: DEFAULT_CSG_SEGMENTS },
+  fine: { label: 'Fine', segments: 96 },
+};
+
+const THREE_MF_UNITS = { mm: 'millimeter', cm: 'centimeter', m: 'meter', in: 'inch' };
+
+// Slicers and CAD tools expect Z up, so mesh formats are written in the model's own frame, which
+// swaps the viewport's Y and Z (see `positionToWorld`).
+const WORLD_TO_MODEL = new THREE.Matrix4().set(1, 0, 0, 0, 0, 0, 1, 0, 0, 1, 0, 0, 0, 0, 0, 1);
+
+const transformedMesh = (geometry, { scale, zUp }) => {
+  const copy = geometry.index ? geometry.toNonIndexed() : geometry.clone();
+  copy.scale(scale, scale, scale);
+  if (zUp) {
+    // Swapping two axes is a mirror, so every triangle is turned around to keep its normal facing out.
+    copy.applyMatrix4(WORLD_TO_MODEL);
+    reverseWinding(copy);
+  }
+  return new THREE.Mesh(copy, new THREE.MeshStandardMaterial({ color: '#9aa7b8' }));
+};
+
+const toMillimeters = (unit) => UNITS[unit].millimeters;
+
+const encodeStl = (binary) => (geometry, { unit }) => {
+  const output = new STLExporter().parse(transformedMesh(geometry, { scale: toMillimeters(unit), zUp: true }), {
+    binary,
+  });
+  return binary ? new Uint8Array(output.buffer, output.byteOffset, output.byteLength) : output;
+};
+
+const encodeObj = (geometry, { unit }) =>
+  new OBJExporter().parse(transformedMesh(geometry, { scale: toMillimeters(unit), zUp: true }));
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8"?>\n';
+const OPC_NAMESPACE = 'http://schemas.openxmlformats.org/package/2006';
+const THREE_MF_NAMESPACE = 'http://schemas.microsoft.com/3dmanufacturing';
+
+const THREE_MF_CONTENT_TYPES = `${XML_HEADER}<Types xmlns="${OPC_NAMESPACE}/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="model" ContentType="application/vnd.ms-package.3dmanufacturing-3dmodel+xml"/>
+</Types>
+`;
+
+const THREE_MF_RELATIONSHIPS = `${XML_HEADER}<Relationships xmlns="${OPC_NAMESPACE}/relationships">
+  <Relationship Target="/3D/3dmodel.model" Id="rel0" Type="${THREE_MF_NAMESPACE}/2013/01/3dmodel"/>
+</Relationships>
+`;
+
+/** 3MF stores an indexed mesh plus the unit it is measured in, so it is written in the document unit. */
+const encodeThreeMf = (geometry, { unit }) => {
+  const { geometry: mesh } = transformedMesh(geometry, { scale: 1, zUp: true });
+  const positionOnly = new THREE.BufferGeometry();
+  positionOnly.setAttribute('position', mesh.getAttribute('position'));
+  const indexed = mergeVertices(positionOnly);
+  const position = indexed.getAttribute('position');
+  const index = indexed.getIndex();
+
+  const vertices = [];
+  for (let i = 0; i < position.count; i += 1) {
+    vertices.push(`<vertex x="${position.getX(i)}" y="${position.getY(i)}" z="${position.getZ(i)}"/>`);
+  }
+
+  const triangles = [];
+  for (let i = 0; i < index.count; i += 3) {
+    const [a, b, c] = [index.getX(i), index.getX(i + 1), index.getX(i + 2)];
+    // Merging can collapse slivers left by the CSG step into zero-area triangles, which 3MF forbids.
+    if (a !== b && b !== c && a !== c) triangles.push(`<triangle v1="${a}" v2="${b}" v3="${c}"/>`);
+  }
+
+  const namespace = `${THREE_MF_NAMESPACE}/core/2015/02`;
+  const model = `${XML_HEADER}<model unit="${THREE_MF_UNITS[unit]}" xml:lang="en-US" xmlns="${namespace}">
+  <resources>
+    <object id="1" type="model">
+      <mesh>
+        <vertices>${vertices.join('')}</vertices>
+        <triangles>${triangles.join('')}</triangles>
+      </mesh>
+    </object>
+  </resources>
+  <build>
+    <item objectid="1"/>
+  </build>
+</model>
+`;
+
+  return zipSync({
+    '[Content_Types].xml': strToU8(THREE_MF_CONTENT_TYPES),
+    '_rels/.rels': strToU8(THREE_MF_RELATIONSHIPS),
+    '3D/3dmodel.model': strToU8(model),
+  });
+};
+
+/** glTF is defined in metres with Y up, which is the viewport's own frame. */
+const encodeGlb = async (geometry, { unit }) => {
+  const mesh = transformedMesh(geometry, { scale: toMillimeters(unit) / 1000, zUp: false });
+  const buffer = await new GLTFExporter().parseAsync(mesh, { binary: true });
+  return new Uint8Array(buffer);
+};
+
+export const EXPORT_FORMATS = {
+  'stl-binary': {
+    label: 'STL (binary)',
+    description: 'Compact triangle mesh for slicers. Millimetres, Z up.',
+    extension: 'stl',
+    filterName: 'STL Mesh',
+    mimeType: 'model/stl',
+    encode: encodeStl(true),
+  },
+  'stl-ascii': {
+    label: 'STL (ASCII)',
+    description: 'Readable triangle mesh. Millimetres, Z up.',
+    extension: 'stl',
+    filterName: 'STL Mesh',
+    mimeType: 'model/stl',
+    encode: encodeStl(false),
+  },
+  obj: {
+    label: 'OBJ',
+    description: 'Wavefront mesh with normals. Millimetres, Z up.',
+    extension: 'obj',
+    filterName: 'Wavefront OBJ',
+    mimeType: 'model/obj',
+    encode: encodeObj,
+  },
+  '3mf': {
+    label: '3MF',
+    description: 'Printing package that records the document unit. Z up.',
+    extension: '3mf',
+    filterName: '3D Manufacturing Format',
+    mimeType: 'model/3mf',
+    encode: encodeThreeMf,
+  },
+  glb: {
+    label: 'GLB',
+    description: 'Binary glTF for viewers and engines. Metres, Y up.',
+    extension: 'glb',
+    filterName: 'glTF Binary',
+    mimeType: 'model/gltf-binary',
+    encode: encodeGlb,
+  },
+};
+
+export const EXPORT_FORMAT_KEYS = Object.keys(EXPORT_FORMATS);
@@ -0,0 +1,53 @@
+import * as THREE from 'three';
+import { strFromU8, unzipSync } from 'three/examples/jsm/libs/fflate.module.js';
+import { describe, expect, it } from 'vitest';
+import { EXPORT_FORMATS } from './exporters.js';
+
+// A 1 x 2 x 3 box in viewport axes (Y up), so the model's Z extent is 2.
+const geometry = () => new THREE.BoxGeometry(1, 2, 3).translate(0, 1, 0);
+
+const vertexBounds = (lines) => {
+  const points = lines.map((line) => line.trim().split(/\s+/).slice(1).map(Number));
+  const axis = (index) => points.map((point) => point[index]);
+  return [0, 1, 2].map((index) => [Math.min(...axis(index)), Math.max(...axis(index))]);
+};
+
+describe('EXPORT_FORMATS', () => {
+  it('writes STL in millimetres with Z up', () => {
+    const text = EXPORT_FORMATS['stl-ascii'].encode(geometry(), { unit: 'cm' });
+    const vertices = text.split('\n').filter((line) => line.trim().startsWith('vertex'));
+    expect(vertices).toHaveLength(36);
+    expect(vertexBounds(vertices)).toEqual([
+      [-5, 5],
+      [-15, 15],
+      [0, 20],
+    ]);
+  });
+
+  it('writes binary STL with one record per triangle', () => {
+    const bytes = EXPORT_FORMATS['stl-binary'].encode(geometry(), { unit: 'mm' });
+    expect(bytes.byteLength).toBe(84 + 12 * 50);
+  });
+
+  it('keeps faces pointing outwards after swapping the axes', () => {
+    const text = EXPORT_FORMATS['stl-ascii'].encode(geometry(), { unit: 'mm' });
+    const center = new THREE.Vector3(0, 0, 1);
+    const facets = text.split('endfacet').filter((facet) => facet.includes('normal'));
+    facets.forEach((facet) => {
+      const [normal, ...corners] = facet
+        .match(/(?:normal|vertex)(?: \S+){3}/g)
+        .map((line) => new THREE.Vector3(...line.split(' ').slice(1).map(Number)));
+      const centroid = corners.reduce((sum, corner) => sum.add(corner), new THREE.Vector3()).divideScalar(3);
+      expect(normal.dot(centroid.sub(center))).toBeGreaterThan(0);
+    });
+  });
+
+  it('packages 3MF with the document unit and an indexed mesh', () => {
+    const files = unzipSync(EXPORT_FORMATS['3mf'].encode(geometry(), { unit: 'in' }));
+    expect(Object.keys(files).sort()).toEqual(['3D/3dmodel.model', '[Content_Types].xml', '_rels/.rels']);
+    const model = strFromU8(files['3D/3dmodel.model']);
+    expect(model).toContain('unit="inch"');
+    expect(model.match(/<vertex /g)).toHaveLength(8);
+    expect(model.match(/<triangle /g)).toHaveLength(12);
+  });
+});
@@ -0,0 +1,195 @@
+import { convertLength, UNITS } from './units.js';
+
+/*
+ * Evaluator for the arithmetic typed into numeric fields: numbers, `+ - * /`, parentheses, names
+ * (document variables) and a length unit directly after a number (`25.4mm`, `h/2 + 1in`). Lengths
+ * convert to the field's unit and a bare number is taken to already be in it. Variables are lengths
+ * too, so at most one factor of a product may be a variable or carry a unit, since the result is a
+ * length and not an area. Errors are thrown with user-facing messages.
+ */
+
+const TOKEN_PATTERN = /\s*(?:((?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)|([A-Za-z_]\w*)|(\S))/y;
+
+const tokenize = (text) => {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  while (TOKEN_PATTERN.lastIndex < text.length) {
+    const match = TOKEN_PATTERN.exec(text);
+    if (!match) break;
+    const [, number, name, symbol] = match;
+    const end = TOKEN_PATTERN.lastIndex;
+    if (number !== undefined) tokens.push({ type: 'number', value: Number(number), end });
+    else if (name !== undefined) tokens.push({ type: 'name', value: name, end });
+    else if (symbol !== undefined) tokens.push({ type: 'symbol', value: symbol, end });
+  }
+  return tokens;
+};
+
+const isUnitSuffix = (tokens, index) =>
+  tokens[index]?.type === 'name' && tokens[index - 1]?.type === 'number' && Object.hasOwn(UNITS, tokens[index].value);
+
+const rejectName = (name) => {
+  throw new Error(`Unknown name "${name}".`);
+};
+
+/**
+ * Evaluates `text` to a number. `unit` is the unit of the field being edited, or null for fields
+ * that are not lengths (angles, counts), where unit suffixes are rejected. `resolveName` returns
+ * the value of a variable and throws when it cannot.
+ */
+export function evaluateExpression(text, { unit = null, resolveName = rejectName } = {}) {
+  const tokens = tokenize(String(text));
+  if (!tokens.length) throw new Error('Enter a value.');
+
+  let index = 0;
+  const peek = () => tokens[index];
+  const isSymbol = (token, ...symbols) => token?.type === 'symbol' && symbols.includes(token.value);
+
+  // Each step returns `{ value, hasUnit }`; `hasUnit` marks lengths, terms with a unit suffix or a
+  // variable somewhere in them, so a product of two (`2in * 2in` or `h * wall`, an area) can be rejected.
+  const parsePrimary = () => {
+    const token = tokens[index++];
+    if (!token) throw new Error('The expression ends unexpectedly.');
+
+    if (token.type === 'number') {
+      const suffix = peek();
+      if (suffix?.type !== 'name' || !Object.hasOwn(UNITS, suffix.value)) return { value: token.value, hasUnit: false };
+      index += 1;
+      if (!unit) throw new Error(`This field does not take a unit ("${suffix.value}").`);
+      return { value: convertLength(token.value, suffix.value, unit), hasUnit: true };
+    }
+
+    if (isSymbol(token, '(')) {
+      const term = parseSum();
+      if (!isSymbol(tokens[index++], ')')) throw new Error('A closing parenthesis is missing.');
+      return term;
+    }
+
+    if (token.type === 'name') {
+      if (Object.hasOwn(UNITS, token.value)) throw new Error(`The unit "${token.value}" must follow a number.`);
+      return { value: resolveName(token.value), hasUnit: true };
+    }
+    throw new Error(`Unexpected "${token.value}".`);
+  };
+
+  const parseUnary = () => {
+    if (isSymbol(peek(), '-', '+')) {
+      const sign = tokens[index++].value === '-' ? -1 : 1;
+      const term = parseUnary();
+      return { ...term, value: sign * term.value };
+    }
+    return parsePrimary();
+  };
+
+  const parseProduct = () => {
+    let { value, hasUnit } = parseUnary();
+    while (isSymbol(peek(), '*', '/')) {
+      const operator = tokens[index++].value;
+      const operand = parseUnary();
+      if (hasUnit && operand.hasUnit) throw new Error('Only one factor of a product can be a length.');
+      value = operator === '*' ? value * operand.value : value / operand.value;
+      hasUnit = hasUnit || operand.hasUnit;
+    }
+    return { value, hasUnit };
+  };
+
+  function parseSum() {
+    let { value, hasUnit } = parseProduct();
+    while (isSymbol(peek(), '+', '-')) {
+      const operator = tokens[index++].value;
+      const operand = parseProduct();
+      value = operator === '+' ? value + operand.value : value - operand.value;
+      hasUnit = hasUnit || operand.hasUnit;
+    }
+    return { value, hasUnit };
+  }
+
+  const { value } = parseSum();
+  if (index < tokens.length) throw new Error(`Unexpected "${tokens[index].value}".`);
+  if (!Number.isFinite(value)) throw new Error('The result is not a finite number.');
+  return value;
+}
+
+/** Lists the variable names an expression refers to, in order of appearance. */
+export const expressionNames = (text) => {
+  const tokens = tokenize(String(text));
+  return tokens
+    .filter((token, index) => token.type === 'name' && !isUnitSuffix(tokens, index))
+    .map((token) => token.value);
+};
+
+const NAME_PATTERN = /((?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)|([A-Za-z_]\w*)/g;
+
+/** Rewrites references to the variable `from` as `to`, leaving the rest of the text untouched. */
+export const renameInExpression = (text, from, to) =>
+  text.replace(NAME_PATTERN, (match, number, name) => (name === from ? to : match));
+
+/**
+ * Gives every bare number that stands for a length a `unit` suffix, so the expression keeps its
+ * value when the document unit changes: `h + 5` becomes `h + 5mm`, while factors and divisors such
+ * as the 2 in `h - 2 * wall` stay bare. Names count as lengths, and so does the whole expression.
+ * Text that does not parse is returned as it is.
+ */
+export function suffixBareLengths(text, unit) {
+  const tokens = tokenize(String(text));
+  const suffixed = [];
+  let index = 0;
+  const isSymbol = (token, ...symbols) => token?.type === 'symbol' && symbols.includes(token.value);
+  const unparsable = () => new Error('Unparsable expression.');
+
+  // Each step returns `{ isLength, bare }`, where `bare` lists the numbers that would need a suffix
+  // for a term that is not a length to become one.
+  const parsePrimary = () => {
+    const token = tokens[index++];
+    if (token?.type === 'number') {
+      if (!isUnitSuffix(tokens, index)) return { isLength: false, bare: [token] };
+      index += 1;
+      return { isLength: true, bare: [] };
+    }
+    if (token?.type === 'name') return { isLength: true, bare: [] };
+    if (!isSymbol(token, '(')) throw unparsable();
+    const term = parseSum();
+    if (!isSymbol(tokens[index++], ')')) throw unparsable();
+    return term;
+  };
+
+  const parseUnary = () => {
+    if (!isSymbol(tokens[index], '-', '+')) return parsePrimary();
+    index += 1;
+    return parseUnary();
+  };
+
+  // A product becomes a length through its first factor, which is never a divisor.
+  const parseProduct = () => {
+    const first = parseUnary();
+    let { isLength } = first;
+    while (isSymbol(tokens[index], '*', '/')) {
+      index += 1;
+      isLength = parseUnary().isLength || isLength;
+    }
+    return { isLength, bare: first.bare };
+  };
+
+  function parseSum() {
+    const terms = [parseProduct()];
+    while (isSymbol(tokens[index], '+', '-')) {
+      index += 1;
+      terms.push(parseProduct());
+    }
+    if (!terms.some((term) => term.isLength)) return { isLength: false, bare: terms.flatMap((term) => term.bare) };
+    terms.filter((term) => !term.isLength).forEach((term) => suffixed.push(...term.bare));
+    return { isLength: true, bare: [] };
+  }
+
+  try {
+    const { isLength, bare } = parseSum();
+    if (index < tokens.length) return text;
+    if (!isLength) suffixed.push(...bare);
+  } catch {
+    return text;
+  }
+  return suffixed
+    .map((token) => token.end)
+    .sort((a, b) => b - a)
+    .reduce((result, end) => `${result.slice(0, end)}${unit}${result.slice(end)}`, String(text));
+}
@@ -0,0 +1,108 @@
+import { describe, expect, it } from 'vitest';
+import { evaluateExpression, expressionNames, renameInExpression, suffixBareLengths } from './expressions.js';
+
+const variables = { h: 40, wall: 2 };
+const resolveName = (name) => {
+  if (Object.hasOwn(variables, name)) return variables[name];
+  throw new Error(`Unknown name "${name}".`);
+};
+
+describe('evaluateExpression', () => {
+  it('follows operator precedence, parentheses and unary signs', () => {
+    expect(evaluateExpression('1 + 2 * 3')).toBe(7);
+    expect(evaluateExpression('(1 + 2) * 3')).toBe(9);
+    expect(evaluateExpression('-(4 - 6) / 4')).toBe(0.5);
+    expect(evaluateExpression('--2')).toBe(2);
+    expect(evaluateExpression('.5 + 1e2')).toBe(100.5);
+  });
+
+  it('converts unit suffixes to the field unit and reads bare numbers in it', () => {
+    expect(evaluateExpression('1in', { unit: 'mm' })).toBeCloseTo(25.4);
+    expect(evaluateExpression('1in + 5', { unit: 'mm' })).toBeCloseTo(30.4);
+    expect(evaluateExpression('25.4 mm', { unit: 'in' })).toBeCloseTo(1);
+    expect(evaluateExpression('2 * 1cm', { unit: 'mm' })).toBeCloseTo(20);
+  });
+
+  it('resolves variable names', () => {
+    expect(evaluateExpression('h/2 + wall', { unit: 'mm', resolveName })).toBe(22);
+    expect(() => evaluateExpression('depth', { unit: 'mm', resolveName })).toThrow('Unknown name "depth".');
+    expect(() => evaluateExpression('h')).toThrow('Unknown name "h".');
+  });
+
+  it('rejects a product with more than one unit', () => {
+    expect(() => evaluateExpression('2in*2in', { unit: 'mm' })).toThrow(
+      'Only one factor of a product can be a length.'
+    );
+    expect(() => evaluateExpression('(1in + 1mm) * 2mm', { unit: 'mm' })).toThrow('Only one factor');
+    expect(evaluateExpression('1in + 1in', { unit: 'mm' })).toBeCloseTo(50.8);
+  });
+
+  it('counts variables as lengths, so two of them cannot be multiplied', () => {
+    expect(() => evaluateExpression('h * wall', { unit: 'mm', resolveName })).toThrow(
+      'Only one factor of a product can be a length.'
+    );
+    expect(() => evaluateExpression('(h + 1) * 2mm', { unit: 'mm', resolveName })).toThrow('Only one factor');
+    expect(evaluateExpression('h / 2 - 2 * wall', { unit: 'mm', resolveName })).toBe(16);
+  });
+
+  it('rejects a unit that does not follow a number', () => {
+    expect(() => evaluateExpression('in', { unit: 'mm' })).toThrow('The unit "in" must follow a number.');
+    expect(() => evaluateExpression('2 + mm', { unit: 'mm' })).toThrow('The unit "mm" must follow a number.');
+    expect(() => evaluateExpression('5in in', { unit: 'mm' })).toThrow('Unexpected "in".');
+  });
+
+  it('rejects units in fields that are not lengths', () => {
+    expect(() => evaluateExpression('15mm')).toThrow('This field does not take a unit ("mm").');
+  });
+
+  it('reports malformed input', () => {
+    expect(() => evaluateExpression('  ')).toThrow('Enter a value.');
+    expect(() => evaluateExpression('1 +')).toThrow('The expression ends unexpectedly.');
+    expect(() => evaluateExpression('(1 + 2')).toThrow('A closing parenthesis is missing.');
+    expect(() => evaluateExpression('1 2')).toThrow('Unexpected "2".');
+    expect(() => evaluateExpression('1 % 2')).toThrow('Unexpected "%".');
+    expect(() => evaluateExpression('1 / 0')).toThrow('The result is not a finite number.');
+  });
+});
+
+describe('expressionNames', () => {
+  it('lists variables but not unit suffixes', () => {
+    expect(expressionNames('h/2 + 5mm - wall * 2in')).toEqual(['h', 'wall']);
+    expect(expressionNames('12.5')).toEqual([]);
+  });
+});
+
+describe('renameInExpression', () => {
+  it('renames whole names only', () => {
+    expect(renameInExpression('h/2 + wall', 'h', 'height')).toBe('height/2 + wall');
+    expect(renameInExpression('wall + wall_2 + walls', 'wall', 't')).toBe('t + wall_2 + walls');
+  });
+
+  it('leaves numbers and unit suffixes alone', () => {
+    expect(renameInExpression('2e3 + e * 1in', 'e', 'edge')).toBe('2e3 + edge * 1in');
+    expect(renameInExpression('h2 + h', 'h', 'x')).toBe('h2 + x');
+  });
+});
+
+describe('suffixBareLengths', () => {
+  it('suffixes the numbers added to lengths but not factors or divisors', () => {
+    expect(suffixBareLengths('h/2 + 5', 'mm')).toBe('h/2 + 5mm');
+    expect(suffixBareLengths('h - 2 * wall', 'mm')).toBe('h - 2 * wall');
+    expect(suffixBareLengths('(1 + 2) * 3 - h', 'cm')).toBe('(1cm + 2cm) * 3 - h');
+    expect(suffixBareLengths('h + 6/2 - 1in', 'mm')).toBe('h + 6mm/2 - 1in');
+  });
+
+  it('treats the whole expression as a length and leaves unparsable text alone', () => {
+    expect(suffixBareLengths('-4', 'in')).toBe('-4in');
+    expect(suffixBareLengths('h +', 'mm')).toBe('h +');
+  });
+
+  it('keeps the value of the expression in the new unit', () => {
+    const inMillimeters = evaluateExpression('h/2 + 5', { unit: 'mm', resolveName });
+    const inCentimeters = evaluateExpression(suffixBareLengths('h/2 + 5', 'mm'), {
+      unit: 'cm',
+      resolveName: (name) => resolveName(name) / 10,
+    });
+    expect(inCentimeters).toBeCloseTo(inMillimeters / 10);
+  });
+});
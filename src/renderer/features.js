@@ -0,0 +1,168 @@
+import * as THREE from 'three';
+import { roundValue } from './numbers.js';
+import { GROUP_TYPE, isGroup } from './tree.js';
+
+/*
+ * Features repeat existing nodes without storing the copies. A feature is
+ * `{ id, name, type, scope, sourceIds, ...parameters }`. With the `selection` scope, `sourceIds`
+ * names primitives or groups anywhere in the tree; with `model` the whole model folded so far is
+ * repeated instead. The copies only exist while the model is folded: `expandFeatures` inserts them
+ * right after their source, with the source's operation, so a patterned hole cuts wherever the
+ * original does.
+ *
+ * Registry entries mirror the primitive types:
+ *
+ * - `label` / `parameters`: display name and the parameters a new feature starts with. Numbers,
+ *   `{ x, y, z }` vectors in the model's Z-up frame and option keys are the parameter shapes;
+ *   lengths are in millimetres.
+ * - `fields`: the panel inputs. `min`, `max` and `integer` constrain typed values as they do for
+ *   primitives, and the `step` of a length field is in millimetres too. `length` marks the fields
+ *   that convert with the document unit and `vector` the `{ x, y, z }` ones; a vector that is not
+ *   a length is a direction. `options` maps the allowed keys of a choice to their labels.
+ * - `transforms(feature)`: the model-frame matrices of the copies, not counting the original.
+ */
+
+const vectorOf = ({ x, y, z }) => new THREE.Vector3(x, y, z);
+
+export const FEATURE_SCOPES = { selection: 'Selected shapes', model: 'Whole model' };
+
+// Model-frame axis each mirror plane flips.
+const MIRROR_NORMALS = { xy: 'z', xz: 'y', yz: 'x' };
+
+export const FEATURE_TYPES = {
+  'linear-pattern': {
+    label: 'Linear Pattern',
+    parameters: { count: 3, spacing: 10, direction: { x: 1, y: 0, z: 0 } },
+    fields: [
+      { key: 'count', label: 'Count', step: 1, min: 2, max: 100, integer: true },
+      { key: 'spacing', label: 'Spacing', step: 1, length: true },
+      { key: 'direction', label: 'Direction', vector: true },
+    ],
+    transforms: ({ count, spacing, direction }) => {
+      const step = vectorOf(direction).normalize().multiplyScalar(spacing);
+      return Array.from({ length: count - 1 }, (_, index) =>
+        new THREE.Matrix4().makeTranslation(step.clone().multiplyScalar(index + 1))
+      );
+    },
+  },
+  'circular-pattern': {
+    label: 'Circular Pattern',
+    parameters: { count: 6, angle: 360, axis: { x: 0, y: 0, z: 1 }, center: { x: 0, y: 0, z: 0 } },
+    fields: [
+      { key: 'count', label: 'Count', step: 1, min: 2, max: 100, integer: true },
+      { key: 'angle', label: 'Total Angle', step: 15, min: 1, max: 360, angle: true },
+      { key: 'axis', label: 'Axis', vector: true },
+      { key: 'center', label: 'Center', vector: true, length: true },
+    ],
+    // A full turn spaces the copies evenly around it; a partial one puts the last copy at its end.
+    transforms: ({ count, angle, axis, center }) => {
+      const step = THREE.MathUtils.degToRad(angle >= 360 ? angle / count : angle / (count - 1));
+      const pivot = vectorOf(center);
+      const toPivot = new THREE.Matrix4().makeTranslation(pivot);
+      const fromPivot = new THREE.Matrix4().makeTranslation(pivot.clone().negate());
+      const rotationAxis = vectorOf(axis).normalize();
+      return Array.from({ length: count - 1 }, (_, index) =>
+        toPivot
+          .clone()
+          .multiply(new THREE.Matrix4().makeRotationAxis(rotationAxis, step * (index + 1)))
+          .multiply(fromPivot)
+      );
+    },
+  },
+  mirror: {
+    label: 'Mirror',
+    parameters: { plane: 'yz', offset: 0 },
+    fields: [
+      { key: 'plane', label: 'Plane', options: { xy: 'XY', xz: 'XZ', yz: 'YZ' } },
+      { key: 'offset', label: 'Offset', step: 1, length: true },
+    ],
+    // The plane sits at `offset` along its normal, so a point at `p` lands at `2 * offset - p`.
+    transforms: ({ plane, offset }) => {
+      const axis = MIRROR_NORMALS[plane];
+      const flip = { x: 1, y: 1, z: 1, [axis]: -1 };
+      const shift = { x: 0, y: 0, z: 0, [axis]: 2 * offset };
+      return [new THREE.Matrix4().makeScale(flip.x, flip.y, flip.z).setPosition(shift.x, shift.y, shift.z)];
+    },
+  },
+};
+
+export const FEATURE_TYPE_KEYS = Object.keys(FEATURE_TYPES);
+
+export const getFeatureType = (type) => FEATURE_TYPES[type];
+
+export const isZeroVector = ({ x, y, z }) => x === 0 && y === 0 && z === 0;
+
+/** Multiplies the length parameters of every feature by `factor`, for unit changes. */
+export const scaleFeatures = (features, factor) =>
+  features.map((feature) => {
+    const scaled = { ...feature };
+    getFeatureType(feature.type)
+      .fields.filter((field) => field.length)
+      .forEach(({ key }) => {
+        const value = feature[key];
+        scaled[key] =
+          typeof value === 'number'
+            ? roundValue(value * factor, 6)
+            : Object.fromEntries(Object.entries(value).map(([axis, part]) => [axis, roundValue(part * factor, 6)]));
+      });
+    return scaled;
+  });
+
+// A feature whose direction or axis is the zero vector has nowhere to put its copies.
+const featureTransforms = (feature) => {
+  const { fields, transforms } = getFeatureType(feature.type);
+  const isDegenerate = fields.some((field) => field.vector && !field.length && isZeroVector(feature[field.key]));
+  return isDegenerate ? [] : transforms(feature);
+};
+
+const composeTransform = (matrix, transform) =>
+  (transform ? matrix.clone().multiply(new THREE.Matrix4().fromArray(transform)) : matrix).toArray();
+
+// Copies carry a model-frame `transform` applied on top of their own placement (see `primitiveToMesh`).
+const transformNode = (node, matrix, suffix) =>
+  isGroup(node)
+    ? {
+        ...node,
+        id: `${node.id}~${suffix}`,
+        children: node.children.map((child) => transformNode(child, matrix, suffix)),
+      }
+    : { ...node, id: `${node.id}~${suffix}`, transform: composeTransform(matrix, node.transform) };
+
+const insertCopies = (nodes, instances) => {
+  const expand = (items) =>
+    items.flatMap((node) => {
+      const expanded = isGroup(node) ? { ...node, children: expand(node.children) } : node;
+      const copies = (instances.get(node.id) ?? [])
+        .slice(1)
+        .map((matrix, index) => transformNode(expanded, matrix, index + 1));
+      return [expanded, ...copies];
+    });
+  return instances.size ? expand(nodes) : nodes;
+};
+
+/**
+ * Returns the tree with every feature's copies inserted after their sources. Features apply in
+ * order and each one repeats the copies made by earlier ones too, so a pattern that is then
+ * patterned again forms a grid. A whole-model feature wraps everything folded before it in a
+ * group and repeats that; the copies later features make join the group, so they are repeated
+ * with it. Sources that no longer exist are skipped.
+ */
+export function expandFeatures(nodes, features) {
+  let tree = nodes;
+  const instances = new Map();
+  features.forEach((feature) => {
+    const transforms = featureTransforms(feature);
+    if (feature.scope === 'model') {
+      const model = { id: `model~${feature.id}`, name: '', type: GROUP_TYPE, operation: 'add', children: tree };
+      tree = [model];
+      instances.set(model.id, [new THREE.Matrix4(), ...transforms]);
+      return;
+    }
+    new Set(feature.sourceIds).forEach((id) => {
+      const existing = instances.get(id) ?? [new THREE.Matrix4()];
+      const copies = transforms.flatMap((matrix) => existing.map((instance) => matrix.clone().multiply(instance)));
+      instances.set(id, [...existing, ...copies]);
+    });
+  });
+  return insertCopies(tree, instances);
+}
@@ -0,0 +1,130 @@
+import * as THREE from 'three';
+import { describe, expect, it } from 'vitest';
+import { expandFeatures, scaleFeatures } from './features.js';
+
+const box = (id) => ({
+  id,
+  name: id,
+  type: 'box',
+  operation: 'add',
+  position: { x: 0, y: 0, z: 0 },
+  rotation: { x: 0, y: 0, z: 0 },
+  dimensions: { width: 2, height: 2, depth: 2 },
+});
+
+const linear = (sourceIds, overrides = {}) => ({
+  id: 'feature-1',
+  name: 'Row',
+  type: 'linear-pattern',
+  sourceIds,
+  count: 3,
+  spacing: 10,
+  direction: { x: 1, y: 0, z: 0 },
+  ...overrides,
+});
+
+// Where each copy's transform moves the model origin, rounded.
+const offsetOf = (node) => {
+  const position = new THREE.Vector3().applyMatrix4(new THREE.Matrix4().fromArray(node.transform));
+  return position.toArray().map((value) => Math.round(value * 1e6) / 1e6 + 0);
+};
+
+describe('expandFeatures', () => {
+  it('returns the same tree without features', () => {
+    const nodes = [box('a')];
+    expect(expandFeatures(nodes, [])).toBe(nodes);
+  });
+
+  it('inserts the copies of a linear pattern after their source', () => {
+    const expanded = expandFeatures([box('a'), box('b')], [linear(['a'])]);
+    expect(expanded.map((node) => node.id)).toEqual(['a', 'a~1', 'a~2', 'b']);
+    expect(offsetOf(expanded[2])).toEqual([20, 0, 0]);
+    expect(expanded[0]).not.toHaveProperty('transform');
+  });
+
+  it('spaces a full circular pattern evenly about its centre', () => {
+    const circular = {
+      id: 'feature-1',
+      type: 'circular-pattern',
+      sourceIds: ['a'],
+      count: 4,
+      angle: 360,
+      axis: { x: 0, y: 0, z: 1 },
+      center: { x: -5, y: 0, z: 0 },
+    };
+    const copies = expandFeatures([box('a')], [circular]).slice(1);
+    expect(copies.map(offsetOf)).toEqual([
+      [-5, 5, 0],
+      [-10, 0, 0],
+      [-5, -5, 0],
+    ]);
+  });
+
+  it('repeats the copies of earlier features, so two patterns form a grid', () => {
+    const columns = linear(['a'], { id: 'feature-2', count: 2, direction: { x: 0, y: 1, z: 0 } });
+    const expanded = expandFeatures([box('a')], [linear(['a']), columns]);
+    expect(expanded.slice(1).map(offsetOf)).toEqual([
+      [10, 0, 0],
+      [20, 0, 0],
+      [0, 10, 0],
+      [10, 10, 0],
+      [20, 10, 0],
+    ]);
+  });
+
+  it('copies whole groups and skips missing sources and zero directions', () => {
+    const group = { id: 'g', name: 'Pair', type: 'group', operation: 'add', children: [box('a'), box('b')] };
+    const expanded = expandFeatures([group], [linear(['g', 'gone'], { count: 2 })]);
+    expect(expanded.map((node) => node.id)).toEqual(['g', 'g~1']);
+    expect(expanded[1].children.map((node) => node.id)).toEqual(['a~1', 'b~1']);
+    expect(offsetOf(expanded[1].children[1])).toEqual([10, 0, 0]);
+
+    const stuck = linear(['a'], { direction: { x: 0, y: 0, z: 0 } });
+    expect(expandFeatures([box('a')], [stuck]).map((node) => node.id)).toEqual(['a']);
+  });
+});
+
+describe('expandFeatures with mirrors and the whole model', () => {
+  const mirror = { id: 'feature-2', type: 'mirror', plane: 'xy', offset: 3 };
+
+  it('reflects a copy across an offset plane', () => {
+    const [, copy] = expandFeatures([box('a')], [{ ...mirror, scope: 'selection', sourceIds: ['a'] }]);
+    const matrix = new THREE.Matrix4().fromArray(copy.transform);
+    expect(new THREE.Vector3(1, 2, 1).applyMatrix4(matrix).toArray()).toEqual([1, 2, 5]);
+  });
+
+  it('wraps everything folded so far in a group and repeats it', () => {
+    const expanded = expandFeatures([box('a'), box('b')], [linear(['a']), { ...mirror, scope: 'model' }]);
+    expect(expanded.map((node) => node.id)).toEqual(['model~feature-2', 'model~feature-2~1']);
+    expect(expanded[0].children.map((node) => node.id)).toEqual(['a', 'a~1', 'a~2', 'b']);
+    expect(expanded[1].children.map((node) => node.id)).toEqual(['a~1', 'a~1~1', 'a~2~1', 'b~1']);
+  });
+
+  it('repeats the copies of later features with the whole model', () => {
+    const expanded = expandFeatures([box('a')], [{ ...mirror, scope: 'model' }, linear(['a'])]);
+    expect(expanded[0].children.map((node) => node.id)).toEqual(['a', 'a~1', 'a~2']);
+    expect(expanded[1].children.map(offsetOf)).toEqual([
+      [0, 0, 6],
+      [10, 0, 6],
+      [20, 0, 6],
+    ]);
+  });
+});
+
+describe('scaleFeatures', () => {
+  it('scales lengths but not counts, angles, directions or choices', () => {
+    const circular = {
+      type: 'circular-pattern',
+      count: 6,
+      angle: 90,
+      axis: { x: 0, y: 0, z: 1 },
+      center: { x: 10, y: 0, z: 2.5 },
+    };
+    const mirror = { type: 'mirror', plane: 'xz', offset: -4 };
+    expect(scaleFeatures([linear(['a']), circular, mirror], 0.1)).toEqual([
+      linear(['a'], { spacing: 1 }),
+      { ...circular, center: { x: 1, y: 0, z: 0.25 } },
+      { ...mirror, offset: -0.4 },
+    ]);
+  });
+});
@@ -0,0 +1,261 @@
+import { CSG } from 'three-csg-ts';
+import * as THREE from 'three';
+import { expandFeatures } from './features.js';
+import { hashString } from './hash.js';
+import { closeJunctions } from './meshAnalysis.js';
+import { getOperation } from './operations.js';
+import { getPrimitiveType } from './primitiveTypes.js';
+import { isGroup } from './tree.js';
+
+export const positionToWorld = ({ x, y, z }) => ({
+  x,
+  y: z,
+  z: y,
+});
+
+export const positionFromWorld = ({ x, y, z }) => ({
+  x,
+  y: z,
+  z: y,
+});
+
+// Rotations are stored in degrees about the user's Z-up axes. Swapping Y and Z is a reflection,
+// so each angle flips sign and the user's XYZ order becomes XZY in three.js terms.
+const WORLD_EULER_ORDER = 'XZY';
+
+export const rotationToWorld = ({ x, y, z }) =>
+  new THREE.Euler(
+    -THREE.MathUtils.degToRad(x),
+    -THREE.MathUtils.degToRad(z),
+    -THREE.MathUtils.degToRad(y),
+    WORLD_EULER_ORDER
+  );
+
+// Swapping Y and Z is its own inverse, so it converts model-frame matrices in both directions.
+const AXIS_SWAP = new THREE.Matrix4().set(1, 0, 0, 0, 0, 0, 1, 0, 0, 1, 0, 0, 0, 0, 0, 1);
+
+/** Converts a model-frame matrix, given as its 16 column-major elements, to the three.js frame. */
+export const transformToWorld = (elements) =>
+  AXIS_SWAP.clone().multiply(new THREE.Matrix4().fromArray(elements)).multiply(AXIS_SWAP);
+
+/**
+ * The three.js clipping plane of a section across the model `axis` at `offset`. It keeps the side
+ * below the offset, where a viewer on the positive side looks into the cut, or the other side when
+ * `flipped`.
+ */
+export const sectionPlane = ({ axis, offset, flipped }) => {
+  const { x, y, z } = positionToWorld({ x: 0, y: 0, z: 0, [axis]: flipped ? 1 : -1 });
+  return new THREE.Plane(new THREE.Vector3(x, y, z), flipped ? -offset : offset);
+};
+
+export const rotationFromWorld = (quaternion) => {
+  const euler = new THREE.Euler().setFromQuaternion(quaternion, WORLD_EULER_ORDER);
+  return {
+    x: -THREE.MathUtils.radToDeg(euler.x),
+    y: -THREE.MathUtils.radToDeg(euler.z),
+    z: -THREE.MathUtils.radToDeg(euler.y),
+  };
+};
+
+/** Turns every triangle of a non-indexed geometry around in place, flipping which side faces out. */
+export const reverseWinding = (geometry) => {
+  Object.values(geometry.attributes).forEach(({ array, count, itemSize }) => {
+    for (let i = 0; i < count; i += 3) {
+      const second = array.slice((i + 1) * itemSize, (i + 2) * itemSize);
+      array.copyWithin((i + 1) * itemSize, (i + 2) * itemSize, (i + 3) * itemSize);
+      array.set(second, (i + 2) * itemSize);
+    }
+  });
+};
+
+// Radial resolution of curved primitives in the combined solid. Export can ask for more or less.
+export const DEFAULT_CSG_SEGMENTS = 48;
+
+export function primitiveToMesh(primitive, { segments = DEFAULT_CSG_SEGMENTS } = {}) {
+  const { type, position, rotation, dimensions } = primitive;
+  const geometry = getPrimitiveType(type).createGeometry(dimensions, {
+    segments,
+    mesh: primitive.mesh,
+    sketch: primitive.sketch,
+  });
+
+  const mesh = new THREE.Mesh(geometry);
+  const worldPosition = positionToWorld(position);
+  mesh.position.set(worldPosition.x, worldPosition.y, worldPosition.z);
+  mesh.rotation.copy(rotationToWorld(rotation));
+  mesh.updateMatrix();
+  // Feature copies are placed by an extra transform on top of the source's own placement. A mirror
+  // turns the triangles inside out, and the CSG step reads outward faces from their winding.
+  if (primitive.transform) {
+    const transform = transformToWorld(primitive.transform);
+    mesh.matrix.premultiply(transform);
+    if (transform.determinant() < 0) {
+      mesh.geometry = geometry.index ? geometry.toNonIndexed() : geometry;
+      reverseWinding(mesh.geometry);
+    }
+  }
+  return mesh;
+}
+
+/** World-frame bounding box of the given primitives, from coarse copies of their geometry. */
+export function primitiveBounds(primitives) {
+  const bounds = new THREE.Box3();
+  primitives.forEach((primitive) => {
+    const mesh = primitiveToMesh(primitive, { segments: 16 });
+    mesh.geometry.computeBoundingBox();
+    bounds.union(mesh.geometry.boundingBox.clone().applyMatrix4(mesh.matrix));
+    mesh.geometry.dispose();
+  });
+  return bounds;
+}
+
+const MAX_CACHED_STEPS = 64;
+
+// Everything about a primitive except the `transform` of a feature copy, which copies share with
+// their source. Imported triangles are represented by their content hash rather than the data
+// itself; sketches are small enough to key on directly.
+const contentKeys = new WeakMap();
+const contentKey = (primitive) => {
+  if (!contentKeys.has(primitive)) {
+    const { type, operation, position, rotation, dimensions, mesh, sketch } = primitive;
+    const key = hashString(
+      JSON.stringify([type, operation, position, rotation, dimensions, mesh?.hash ?? null, sketch ?? null])
+    );
+    contentKeys.set(primitive, key);
+  }
+  return contentKeys.get(primitive);
+};
+
+const nodeKeys = new WeakMap();
+
+// Content hash of a node's whole subtree. Memoized per object since the tree is immutable; a
+// primitive packed by `packNodes` brings its content key along.
+const nodeKey = (node) => {
+  if (!nodeKeys.has(node)) {
+    const key = isGroup(node)
+      ? hashString(`group|${node.operation}|${node.children.map(nodeKey).join(',')}`)
+      : hashString(`${node.contentKey ?? contentKey(node)}|${JSON.stringify(node.transform ?? null)}`);
+    nodeKeys.set(node, key);
+  }
+  return nodeKeys.get(node);
+};
+
+/**
+ * Copies a tree for the CSG worker. Each primitive carries its content key, hashed here where the
+ * objects persist between edits so the memo keeps hitting, and imported meshes keep only their
+ * name and hash; the worker receives their triangles separately (see `provideMeshPositions`).
+ */
+export const packNodes = (nodes) =>
+  nodes.map((node) => {
+    if (isGroup(node)) return { ...node, children: packNodes(node.children) };
+    const packed = { ...node, contentKey: contentKey(node) };
+    if (node.mesh) packed.mesh = { name: node.mesh.name, hash: node.mesh.hash };
+    return packed;
+  });
+
+/**
+ * Remembers the intermediate CSG solid after each fold step, keyed by a hash of every node up to
+ * and including that step in its sibling list. Editing node N leaves the keys for 0..N-1
+ * untouched, so the fold resumes from the cached solid before N. Groups fold their children with
+ * the same keys, so an edit inside one group leaves its siblings' results cached. Least recently
+ * used steps are evicted first.
+ */
+export class CsgFoldCache {
+  constructor(limit = MAX_CACHED_STEPS) {
+    this.limit = limit;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const value = this.entries.get(key);
+    if (value) {
+      this.entries.delete(key);
+      this.entries.set(key, value);
+    }
+    return value;
+  }
+
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    while (this.entries.size > this.limit) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+}
+
+function foldNodes(nodes, cache, segments) {
+  // The resolution seeds the chain so solids built at different resolutions never share entries.
+  const stepKeys = [];
+  nodes.forEach((node, index) => {
+    stepKeys.push(hashString(`${stepKeys[index - 1] ?? segments}|${nodeKey(node)}`));
+  });
+
+  let resumeIndex = -1;
+  let merged = null;
+  if (cache) {
+    for (let i = nodes.length - 1; i >= 0; i -= 1) {
+      const cached = cache.get(stepKeys[i]);
+      if (cached) {
+        resumeIndex = i;
+        merged = cached;
+        break;
+      }
+    }
+  }
+
+  for (let i = resumeIndex + 1; i < nodes.length; i += 1) {
+    const node = nodes[i];
+    const next = isGroup(node)
+      ? foldNodes(node.children, cache, segments)
+      : CSG.fromMesh(primitiveToMesh(node, { segments }));
+    // An empty group contributes nothing, not even as the base solid.
+    if (!next) continue;
+
+    merged = merged ? merged[getOperation(node.operation).method](next) : next;
+    cache?.set(stepKeys[i], merged);
+  }
+
+  return merged;
+}
+
+/**
+ * Folds the model tree into a single solid and returns its geometry in world space, or null when
+ * there is nothing to build. Each sibling list combines top to bottom; a group is folded on its
+ * own first and its result then applied with the group's operation. This is the expensive step;
+ * the UI runs it in the CSG worker with a `CsgFoldCache` so only changed steps are recomputed.
+ * `segments` sets the radial resolution of curved primitives, and the copies made by `features`
+ * (see `features.js`) join the fold after their sources. The result is welded along the
+ * T-junctions the fold leaves, so a model mirrored against itself has no seam.
+ */
+export function buildCombinedGeometry(nodes, cache = null, { segments = DEFAULT_CSG_SEGMENTS, features = [] } = {}) {
+  const merged = foldNodes(expandFeatures(nodes, features), cache, segments);
+  return merged ? closeJunctions(CSG.toGeometry(merged, new THREE.Matrix4())) : null;
+}
+
+/**
+ * Flattens a BufferGeometry into typed arrays so it can cross a worker boundary as transferables.
+ */
+export function serializeGeometry(geometry) {
+  const attributes = {};
+  Object.entries(geometry.attributes).forEach(([name, attribute]) => {
+    attributes[name] = { array: attribute.array, itemSize: attribute.itemSize };
+  });
+
+  const index = geometry.index ? geometry.index.array : null;
+  const transfer = Object.values(attributes).map((attribute) => attribute.array.buffer);
+  if (index) transfer.push(index.buffer);
+
+  return { payload: { attributes, index }, transfer };
+}
+
+export function deserializeGeometry({ attributes, index }) {
+  const geometry = new THREE.BufferGeometry();
+  Object.entries(attributes).forEach(([name, attribute]) => {
+    geometry.setAttribute(name, new THREE.BufferAttribute(attribute.array, attribute.itemSize));
+  });
+  if (index) geometry.setIndex(new THREE.BufferAttribute(index, 1));
+  geometry.computeBoundingBox();
+  geometry.computeBoundingSphere();
+  return geometry;
+}
@@ -0,0 +1,192 @@
+import * as THREE from 'three';
+import { describe, expect, it, vi } from 'vitest';
+import {
+  buildCombinedGeometry,
+  CsgFoldCache,
+  deserializeGeometry,
+  packNodes,
+  primitiveBounds,
+  rotationFromWorld,
+  rotationToWorld,
+  sectionPlane,
+  serializeGeometry,
+} from './geometry.js';
+import { importMeshFile } from './meshes.js';
+
+const box = (id, position, operation = 'add') => ({
+  id,
+  name: id,
+  type: 'box',
+  operation,
+  position,
+  rotation: { x: 0, y: 0, z: 0 },
+  dimensions: { width: 2, height: 2, depth: 2 },
+});
+
+const boundsOf = (geometry) => {
+  geometry.computeBoundingBox();
+  const round = (vector) => vector.toArray().map((value) => Math.round(value * 1e6) / 1e6 + 0);
+  return { min: round(geometry.boundingBox.min), max: round(geometry.boundingBox.max) };
+};
+
+describe('buildCombinedGeometry', () => {
+  it('returns null for an empty list', () => {
+    expect(buildCombinedGeometry([])).toBeNull();
+  });
+
+  it('unions added shapes in world axes, with the user Z up', () => {
+    const geometry = buildCombinedGeometry([box('a', { x: 0, y: 0, z: 0 }), box('b', { x: 0, y: 0, z: 1 })]);
+    expect(boundsOf(geometry)).toEqual({ min: [-1, -1, -1], max: [1, 2, 1] });
+  });
+
+  it('cuts subtracted shapes out of everything above them', () => {
+    const geometry = buildCombinedGeometry([
+      box('a', { x: 0, y: 0, z: 0 }),
+      box('cut', { x: 1, y: 0, z: 0 }, 'subtract'),
+    ]);
+    expect(boundsOf(geometry)).toEqual({ min: [-1, -1, -1], max: [0, 1, 1] });
+  });
+
+  it('keeps only the overlap of an intersected shape', () => {
+    const geometry = buildCombinedGeometry([
+      box('a', { x: 0, y: 0, z: 0 }),
+      box('common', { x: 1, y: 1, z: 0 }, 'intersect'),
+    ]);
+    expect(boundsOf(geometry)).toEqual({ min: [0, -1, 0], max: [1, 1, 1] });
+  });
+});
+
+describe('buildCombinedGeometry with features', () => {
+  // Edges used by a single triangle, matching corners exactly.
+  const openEdgesOf = (geometry) => {
+    const positions = geometry.getAttribute('position').array;
+    const corner = (index) => positions.slice(index * 3, index * 3 + 3).join();
+    const uses = new Map();
+    for (let index = 0; index < positions.length / 3; index += 3) {
+      [0, 1, 2].forEach((side) => {
+        const key = [corner(index + side), corner(index + ((side + 1) % 3))].sort().join('|');
+        uses.set(key, (uses.get(key) ?? 0) + 1);
+      });
+    }
+    return [...uses.values()].filter((count) => count === 1).length;
+  };
+
+  it('welds a model mirrored across a plane it touches into one closed solid', () => {
+    const post = {
+      ...box('post', { x: 1, y: 0, z: 2 }),
+      type: 'cylinder',
+      dimensions: { radius: 0.5, height: 2, fillet: 0, chamfer: 0 },
+    };
+    const mirror = { id: 'feature-1', type: 'mirror', scope: 'model', sourceIds: [], plane: 'yz', offset: 0 };
+    const geometry = buildCombinedGeometry([box('a', { x: 1, y: 0, z: 0 }), post], null, { features: [mirror] });
+    expect(boundsOf(geometry)).toEqual({ min: [-2, -1, -1], max: [2, 3, 1] });
+    expect(openEdgesOf(geometry)).toBe(0);
+  });
+});
+
+describe('buildCombinedGeometry with groups', () => {
+  it('folds a group on its own and applies the result with the group operation', () => {
+    const group = {
+      id: 'group',
+      name: 'Cut',
+      type: 'group',
+      operation: 'subtract',
+      children: [box('left', { x: -1, y: 0, z: 0 }), box('right', { x: 1, y: 0, z: 0 }, 'subtract')],
+    };
+    // The group leaves the -X half of the left box, so the plate keeps its +X half.
+    const geometry = buildCombinedGeometry([box('plate', { x: 0, y: 0, z: 0 }), group]);
+    expect(boundsOf(geometry)).toEqual({ min: [0, -1, -1], max: [1, 1, 1] });
+  });
+
+  it('skips empty groups', () => {
+    const empty = { id: 'group', name: 'Empty', type: 'group', operation: 'add', children: [] };
+    expect(buildCombinedGeometry([empty])).toBeNull();
+    expect(boundsOf(buildCombinedGeometry([empty, box('a', { x: 0, y: 0, z: 0 })]))).toEqual({
+      min: [-1, -1, -1],
+      max: [1, 1, 1],
+    });
+  });
+});
+
+describe('CsgFoldCache', () => {
+  it('evicts the least recently used step first', () => {
+    const cache = new CsgFoldCache(2);
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+    expect(cache.get('b')).toBeUndefined();
+    expect(cache.get('a')).toBe(1);
+    expect(cache.get('c')).toBe(3);
+  });
+
+  it('resumes the fold after the last unchanged primitive', () => {
+    const cache = new CsgFoldCache();
+    const first = box('a', { x: 0, y: 0, z: 0 });
+    const second = box('b', { x: 0, y: 0, z: 1 });
+    buildCombinedGeometry([first, second, box('c', { x: 1, y: 0, z: 0 }, 'subtract')], cache);
+
+    const set = vi.spyOn(cache, 'set');
+    const edited = box('c', { x: 0, y: 0, z: 2 }, 'subtract');
+    const geometry = buildCombinedGeometry([first, second, edited], cache);
+    expect(set).toHaveBeenCalledTimes(1);
+    expect(boundsOf(geometry)).toEqual(boundsOf(buildCombinedGeometry([first, second, edited])));
+  });
+});
+
+describe('packNodes', () => {
+  it('sends imported meshes by hash and folds to the same solid', () => {
+    const obj = 'v 0 0 0\nv 2 0 0\nv 0 2 0\nv 0 0 2\nf 1 3 2\nf 1 2 4\nf 1 4 3\nf 2 3 4\n';
+    const { source } = importMeshFile('corner.obj', new TextEncoder().encode(obj));
+    const corner = { ...box('corner', { x: 0, y: 0, z: 2 }), type: 'mesh', dimensions: { size: 2 }, mesh: source };
+    const group = { id: 'group', name: 'Group', type: 'group', operation: 'add', children: [corner] };
+    const nodes = [box('a', { x: 0, y: 0, z: 0 }), group];
+
+    const packed = packNodes(nodes);
+    expect(packed[1].children[0].mesh).toEqual({ name: 'corner.obj', hash: source.hash });
+    expect(packNodes(nodes)[0].contentKey).toBe(packed[0].contentKey);
+    expect(boundsOf(buildCombinedGeometry(packed))).toEqual(boundsOf(buildCombinedGeometry(nodes)));
+  });
+});
+
+describe('rotationToWorld / rotationFromWorld', () => {
+  it('round-trips rotations in degrees about the user axes', () => {
+    const rotation = { x: 10, y: -35, z: 120 };
+    const quaternion = new THREE.Quaternion().setFromEuler(rotationToWorld(rotation));
+    const back = rotationFromWorld(quaternion);
+    Object.keys(rotation).forEach((axis) => expect(back[axis]).toBeCloseTo(rotation[axis]));
+  });
+});
+
+describe('primitiveBounds', () => {
+  it('spans the given primitives in world axes', () => {
+    const bounds = primitiveBounds([box('a', { x: 0, y: 0, z: 0 }), box('b', { x: 4, y: 0, z: 3 })]);
+    expect(bounds.min.toArray()).toEqual([-1, -1, -1]);
+    expect(bounds.max.toArray()).toEqual([5, 4, 1]);
+    expect(primitiveBounds([]).isEmpty()).toBe(true);
+  });
+});
+
+describe('sectionPlane', () => {
+  it('keeps the side below the offset along the user axis, or above it when flipped', () => {
+    const plane = sectionPlane({ axis: 'z', offset: 2, flipped: false });
+    expect(plane.distanceToPoint(new THREE.Vector3(0, 1, 0))).toBeGreaterThan(0);
+    expect(plane.distanceToPoint(new THREE.Vector3(5, 3, -5))).toBeLessThan(0);
+
+    const flipped = sectionPlane({ axis: 'x', offset: 2, flipped: true });
+    expect(flipped.distanceToPoint(new THREE.Vector3(3, 0, 0))).toBeGreaterThan(0);
+    expect(flipped.distanceToPoint(new THREE.Vector3(1, 0, 0))).toBeLessThan(0);
+  });
+});
+
+describe('serializeGeometry / deserializeGeometry', () => {
+  it('rebuilds the same attributes and lists the buffers to transfer', () => {
+    const geometry = new THREE.BoxGeometry(1, 2, 3);
+    const { payload, transfer } = serializeGeometry(geometry);
+    expect(transfer).toContain(geometry.attributes.position.array.buffer);
+    const copy = deserializeGeometry(payload);
+    expect(copy.attributes.position.array).toEqual(geometry.attributes.position.array);
+    expect(copy.index.count).toBe(geometry.index.count);
+    expect(copy.boundingBox.max.toArray()).toEqual([0.5, 1, 1.5]);
+  });
+});
@@ -0,0 +1,81 @@
+import { useCallback, useState } from 'react';
+
+const HISTORY_LIMIT = 200;
+
+const createHistory = (present) => ({
+  past: [],
+  present,
+  future: [],
+  mergeKey: null,
+});
+
+/**
+ * Keeps an undoable value. Every `commit` pushes the previous value onto the undo stack unless it
+ * carries the same `mergeKey` as the commit just before it, in which case it folds into that step.
+ * That is how a drag or a run of keystrokes becomes a single undo. `endStep` closes the step at
+ * the end of the gesture, such as a released pointer or a field losing focus, so the next commit
+ * starts a new one even with the same key. Values are compared by reference, so an updater with
+ * nothing to change returns its input as is.
+ */
+export function useHistory(initialPresent) {
+  const [history, setHistory] = useState(() => createHistory(initialPresent));
+
+  const commit = useCallback((updater, { mergeKey = null } = {}) => {
+    setHistory((current) => {
+      const next = typeof updater === 'function' ? updater(current.present) : updater;
+      if (next === current.present) return current;
+
+      const canMerge = mergeKey !== null && mergeKey === current.mergeKey;
+
+      return {
+        past: canMerge ? current.past : [...current.past, current.present].slice(-HISTORY_LIMIT),
+        present: next,
+        future: [],
+        mergeKey,
+      };
+    });
+  }, []);
+
+  const undo = useCallback(() => {
+    setHistory((current) => {
+      if (!current.past.length) return current;
+      return {
+        past: current.past.slice(0, -1),
+        present: current.past[current.past.length - 1],
+        future: [current.present, ...current.future],
+        mergeKey: null,
+      };
+    });
+  }, []);
+
+  const redo = useCallback(() => {
+    setHistory((current) => {
+      if (!current.future.length) return current;
+      return {
+        past: [...current.past, current.present],
+        present: current.future[0],
+        future: current.future.slice(1),
+        mergeKey: null,
+      };
+    });
+  }, []);
+
+  const endStep = useCallback(() => {
+    setHistory((current) => (current.mergeKey === null ? current : { ...current, mergeKey: null }));
+  }, []);
+
+  const reset = useCallback((present) => {
+    setHistory(createHistory(present));
+  }, []);
+
+  return {
+    present: history.present,
+    commit,
+    undo,
+    redo,
+    endStep,
+    reset,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+  };
+}
@@ -0,0 +1,88 @@
+import { act, create } from 'react-test-renderer';
+import { describe, expect, it } from 'vitest';
+import { useHistory } from './history.js';
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+/** Mounts `useHistory` and returns a getter for its latest result. */
+const renderHistory = (initial) => {
+  let result;
+  const Probe = () => {
+    result = useHistory(initial);
+    return null;
+  };
+  act(() => {
+    create(<Probe />);
+  });
+  return () => result;
+};
+
+describe('useHistory', () => {
+  it('undoes and redoes commits in order', () => {
+    const history = renderHistory(0);
+    act(() => history().commit(1));
+    act(() => history().commit((value) => value + 1));
+    expect(history().present).toBe(2);
+
+    act(() => history().undo());
+    act(() => history().undo());
+    expect(history().present).toBe(0);
+    expect(history().canUndo).toBe(false);
+
+    act(() => history().redo());
+    expect(history().present).toBe(1);
+    expect(history().canRedo).toBe(true);
+  });
+
+  it('drops the redo stack on a new commit', () => {
+    const history = renderHistory(0);
+    act(() => history().commit(1));
+    act(() => history().undo());
+    act(() => history().commit(5));
+    expect(history().canRedo).toBe(false);
+    act(() => history().undo());
+    expect(history().present).toBe(0);
+  });
+
+  it('merges commits with the same key into one step until the gesture ends', () => {
+    const history = renderHistory(0);
+    act(() => history().commit(1, { mergeKey: 'drag' }));
+    act(() => history().commit(2, { mergeKey: 'drag' }));
+    act(() => history().commit(3, { mergeKey: 'drag' }));
+
+    act(() => history().undo());
+    expect(history().present).toBe(0);
+  });
+
+  it('starts a new step after the gesture ends, with another key or after an undo', () => {
+    const history = renderHistory(0);
+    act(() => history().commit(1, { mergeKey: 'drag' }));
+    act(() => history().endStep());
+    act(() => history().commit(2, { mergeKey: 'drag' }));
+    act(() => history().commit(3, { mergeKey: 'other' }));
+
+    act(() => history().undo());
+    expect(history().present).toBe(2);
+    act(() => history().undo());
+    expect(history().present).toBe(1);
+    act(() => history().commit(4, { mergeKey: 'drag' }));
+    act(() => history().undo());
+    expect(history().present).toBe(1);
+  });
+
+  it('ignores commits that return the same value and compares values by reference', () => {
+    const history = renderHistory({ x: 1 });
+    act(() => history().commit((value) => value));
+    expect(history().canUndo).toBe(false);
+    act(() => history().commit({ x: 1 }));
+    expect(history().canUndo).toBe(true);
+  });
+
+  it('starts over on reset', () => {
+    const history = renderHistory(0);
+    act(() => history().commit(1));
+    act(() => history().reset(10));
+    expect(history().present).toBe(10);
+    expect(history().canUndo).toBe(false);
+  });
+});
@@ -0,0 +1,54 @@
+import { roundValue } from './numbers.js';
+import { UNITS } from './units.js';
+
+/*
+ * Mass and print estimates for the combined solid, worked out from the volume and surface area in
+ * its printability report. Densities are in g/cm³ and filament diameters in millimetres, whatever
+ * the document unit.
+ */
+
+export const MATERIALS = {
+  pla: { label: 'PLA', density: 1.24 },
+  petg: { label: 'PETG', density: 1.27 },
+  abs: { label: 'ABS', density: 1.04 },
+  asa: { label: 'ASA', density: 1.07 },
+  tpu: { label: 'TPU', density: 1.21 },
+  nylon: { label: 'Nylon', density: 1.14 },
+  resin: { label: 'Resin', density: 1.12 },
+  aluminium: { label: 'Aluminium', density: 2.7 },
+  steel: { label: 'Steel', density: 7.85 },
+};
+
+export const MATERIAL_KEYS = Object.keys(MATERIALS);
+
+export const FILAMENT_DIAMETERS = [1.75, 2.85];
+
+export const DEFAULT_PRINT_SETTINGS = { density: MATERIALS.pla.density, infill: 20, filamentDiameter: 1.75 };
+
+// Perimeters and top and bottom layers print solid; this is their usual thickness in millimetres.
+const SHELL_THICKNESS_MM = 0.8;
+
+/** The material with exactly this density, or null for a custom one. */
+export const materialForDensity = (density) => MATERIAL_KEYS.find((key) => MATERIALS[key].density === density) ?? null;
+
+export const formatMass = (grams) =>
+  grams >= 1000 ? `${roundValue(grams / 1000, 3)} kg` : `${roundValue(grams, 2)} g`;
+
+/**
+ * Returns `{ mass, printedMass, filamentLength }` for a report's `volume` and `surfaceArea` in
+ * `unit`: the mass of the solid part and the mass and length (in metres) of the filament a print
+ * would use. The print is estimated as a solid skin `SHELL_THICKNESS_MM` deep over the whole
+ * surface with the rest filled at `infill` percent, so thin parts come out solid.
+ */
+export function estimateMass({ volume, surfaceArea }, unit, { density, infill, filamentDiameter }) {
+  const millimeters = UNITS[unit].millimeters;
+  const solidVolume = Math.abs(volume) * millimeters ** 3;
+  const shellVolume = Math.min(solidVolume, surfaceArea * millimeters ** 2 * SHELL_THICKNESS_MM);
+  const printedVolume = shellVolume + ((solidVolume - shellVolume) * infill) / 100;
+  const gramsPerCubicMillimeter = density / 1000;
+  return {
+    mass: solidVolume * gramsPerCubicMillimeter,
+    printedMass: printedVolume * gramsPerCubicMillimeter,
+    filamentLength: printedVolume / (Math.PI * (filamentDiameter / 2) ** 2) / 1000,
+  };
+}
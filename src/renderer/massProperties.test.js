@@ -0,0 +1,37 @@
+import { describe, expect, it } from 'vitest';
+import { estimateMass, formatMass, materialForDensity, MATERIALS } from './massProperties.js';
+
+describe('estimateMass', () => {
+  const settings = { density: MATERIALS.pla.density, infill: 20, filamentDiameter: 1.75 };
+
+  it('weighs the solid in any unit', () => {
+    const inMillimeters = estimateMass({ volume: 1000, surfaceArea: 600 }, 'mm', settings);
+    expect(inMillimeters.mass).toBeCloseTo(1.24);
+    const inCentimeters = estimateMass({ volume: 1, surfaceArea: 6 }, 'cm', settings);
+    expect(inCentimeters.mass).toBeCloseTo(1.24);
+  });
+
+  it('prints a solid skin and fills the rest at the infill', () => {
+    // 0.8 mm over 600 mm² is 480 mm³ of skin, leaving 520 mm³ at 20 %.
+    const { printedMass, filamentLength } = estimateMass({ volume: 1000, surfaceArea: 600 }, 'mm', settings);
+    expect(printedMass).toBeCloseTo(((480 + 104) * 1.24) / 1000);
+    expect(filamentLength).toBeCloseTo(584 / (Math.PI * 0.875 ** 2) / 1000);
+  });
+
+  it('prints thin parts solid', () => {
+    const { mass, printedMass } = estimateMass({ volume: 10, surfaceArea: 200 }, 'mm', settings);
+    expect(printedMass).toBeCloseTo(mass);
+  });
+});
+
+describe('formatMass / materialForDensity', () => {
+  it('switches to kilograms at a thousand grams', () => {
+    expect(formatMass(12.345)).toBe('12.35 g');
+    expect(formatMass(2500)).toBe('2.5 kg');
+  });
+
+  it('names a material only for its exact density', () => {
+    expect(materialForDensity(7.85)).toBe('steel');
+    expect(materialForDensity(7.8)).toBeNull();
+  });
+});
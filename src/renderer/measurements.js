@@ -0,0 +1,84 @@
+import * as THREE from 'three';
+import { positionFromWorld } from './geometry.js';
+import { roundValue } from './numbers.js';
+import { formatLength, UNITS } from './units.js';
+
+/*
+ * Viewport measurements. A measurement is `{ id, mode, picks }`, where each pick is a point on the
+ * combined solid and the normal of the face it hit, as `{ point, normal }` arrays in three.js axes.
+ * Measurements belong to the viewport session rather than the project and do not follow later
+ * edits to the model.
+ */
+
+export const MEASURE_MODES = {
+  distance: { label: 'Distance', picks: 2, hint: 'click two points' },
+  angle: { label: 'Angle', picks: 3, hint: 'click a point, the corner, then a second point' },
+  gap: { label: 'Surface Gap', picks: 2, hint: 'click a face, then a face across from it' },
+};
+
+export const MEASURE_MODE_KEYS = Object.keys(MEASURE_MODES);
+
+// Faces whose normals are closer than this to parallel measure as parallel.
+const PARALLEL_TOLERANCE_DEGREES = 1;
+
+const vectorOf = (array) => new THREE.Vector3().fromArray(array);
+
+const formatDegrees = (radians) => `${roundValue(THREE.MathUtils.radToDeg(radians), 2)}°`;
+
+// The first face's plane and the foot of the perpendicular dropped onto it from the second pick.
+const gapGeometry = ([first, second]) => {
+  const normal = vectorOf(first.normal).normalize();
+  const target = vectorOf(second.point);
+  const distance = target.clone().sub(vectorOf(first.point)).dot(normal);
+  const foot = target.clone().addScaledVector(normal, -distance);
+  const normalAngle = normal.angleTo(vectorOf(second.normal).normalize());
+  return { distance: Math.abs(distance), foot, target, tilt: Math.min(normalAngle, Math.PI - normalAngle) };
+};
+
+/**
+ * Lays out a measurement's annotation: `segments` as pairs of three.js points and `labelAt`, the
+ * point its label hangs from.
+ */
+export function measurementLayout({ mode, picks }) {
+  const points = picks.map(({ point }) => vectorOf(point));
+  if (mode === 'angle') {
+    const [start, corner, end] = points;
+    return {
+      segments: [
+        [corner, start],
+        [corner, end],
+      ],
+      labelAt: corner,
+    };
+  }
+  if (mode === 'gap') {
+    const { foot, target } = gapGeometry(picks);
+    return { segments: [[foot, target]], labelAt: foot.clone().lerp(target, 0.5) };
+  }
+  const [start, end] = points;
+  return { segments: [[start, end]], labelAt: start.clone().lerp(end, 0.5) };
+}
+
+/** The label of a finished measurement as `{ value, detail }` strings in the document unit. */
+export function describeMeasurement({ mode, picks }, unit) {
+  if (mode === 'angle') {
+    const [start, corner, end] = picks.map(({ point }) => vectorOf(point));
+    return { value: formatDegrees(start.sub(corner).angleTo(end.sub(corner))), detail: null };
+  }
+  if (mode === 'gap') {
+    const { distance, tilt } = gapGeometry(picks);
+    const isParallel = THREE.MathUtils.radToDeg(tilt) < PARALLEL_TOLERANCE_DEGREES;
+    return {
+      value: formatLength(distance, unit),
+      detail: isParallel ? 'parallel faces' : `faces ${formatDegrees(tilt)} off parallel`,
+    };
+  }
+
+  const [start, end] = picks.map(({ point }) => vectorOf(point));
+  const delta = positionFromWorld(end.clone().sub(start));
+  const precision = UNITS[unit].precision;
+  return {
+    value: formatLength(start.distanceTo(end), unit),
+    detail: ['x', 'y', 'z'].map((axis) => `${axis.toUpperCase()} ${roundValue(delta[axis], precision)}`).join('  '),
+  };
+}
@@ -0,0 +1,37 @@
+import { describe, expect, it } from 'vitest';
+import { describeMeasurement, measurementLayout } from './measurements.js';
+
+const pick = (point, normal = [0, 1, 0]) => ({ point, normal });
+
+describe('describeMeasurement', () => {
+  it('gives a distance with its per-axis parts in the user axes', () => {
+    const measurement = { mode: 'distance', picks: [pick([0, 0, 0]), pick([3, 4, 0])] };
+    expect(describeMeasurement(measurement, 'mm')).toEqual({ value: '5 mm', detail: 'X 3  Y 0  Z 4' });
+  });
+
+  it('gives the angle at the middle pick', () => {
+    const measurement = { mode: 'angle', picks: [pick([1, 0, 0]), pick([0, 0, 0]), pick([0, 0, 2])] };
+    expect(describeMeasurement(measurement, 'mm')).toEqual({ value: '90°', detail: null });
+  });
+
+  it('measures a gap along the first face normal and reports tilted faces', () => {
+    const parallel = { mode: 'gap', picks: [pick([0, 0, 0]), pick([5, 2, 1], [0, -1, 0])] };
+    expect(describeMeasurement(parallel, 'cm')).toEqual({ value: '2 cm', detail: 'parallel faces' });
+
+    const tilted = { mode: 'gap', picks: [pick([0, 0, 0]), pick([0, 2, 0], [0, -1, 1])] };
+    expect(describeMeasurement(tilted, 'cm').detail).toBe('faces 45° off parallel');
+  });
+});
+
+describe('measurementLayout', () => {
+  it('hangs a gap label halfway along the perpendicular', () => {
+    const { segments, labelAt } = measurementLayout({ mode: 'gap', picks: [pick([0, 0, 0]), pick([5, 2, 1])] });
+    expect(segments.map((segment) => segment.map((point) => point.toArray()))).toEqual([
+      [
+        [5, 0, 1],
+        [5, 2, 1],
+      ],
+    ]);
+    expect(labelAt.toArray()).toEqual([5, 1, 1]);
+  });
+});
@@ -0,0 +1,290 @@
+import * as THREE from 'three';
+import { countLabel } from './numbers.js';
+
+/*
+ * Printability checks for triangle soups (flat float32 XYZ arrays, nine floats per triangle).
+ * The CSG fold splits faces without splitting their neighbours' edges, so its output is full of
+ * T-junctions: an edge of one triangle matched by two shorter edges on the other side. Those are
+ * resolved before edges are counted so that only real holes are reported as open, and
+ * `closeJunctions` removes them from the fold's output altogether.
+ */
+
+const FLOATS_PER_TRIANGLE = 9;
+
+// Welding and collinearity tolerance, relative to the bounding box diagonal.
+const RELATIVE_TOLERANCE = 1e-6;
+
+const edgeKey = (a, b) => (a < b ? `${a}:${b}` : `${b}:${a}`);
+
+const toPoint = ({ x, y, z }) => ({ x, y, z });
+
+const countUse = (uses, key) => uses.set(key, (uses.get(key) ?? 0) + 1);
+
+const toleranceOf = (bounds) =>
+  (bounds.isEmpty() ? 1 : bounds.getSize(new THREE.Vector3()).length()) * RELATIVE_TOLERANCE;
+
+// Numbers corners by position, merging those within `tolerance`; `onAdd` runs for each new point.
+function createWelder(tolerance, onAdd = () => {}) {
+  const vertexIds = new Map();
+  const points = [];
+  const quantize = (value) => Math.round(value / tolerance);
+  const weld = (vertex) => {
+    const key = `${quantize(vertex.x)},${quantize(vertex.y)},${quantize(vertex.z)}`;
+    if (!vertexIds.has(key)) {
+      vertexIds.set(key, points.length);
+      points.push(vertex.clone());
+      onAdd();
+    }
+    return vertexIds.get(key);
+  };
+  return { points, weld };
+}
+
+class DisjointSet {
+  constructor() {
+    this.parents = [];
+  }
+
+  add() {
+    this.parents.push(this.parents.length);
+  }
+
+  find(id) {
+    let root = id;
+    while (this.parents[root] !== root) root = this.parents[root];
+    while (this.parents[id] !== root) [id, this.parents[id]] = [this.parents[id], root];
+    return root;
+  }
+
+  union(a, b) {
+    this.parents[this.find(a)] = this.find(b);
+  }
+}
+
+/**
+ * Splits each open edge at the open-edge vertices lying along it and returns one vertex chain per
+ * edge, from its first vertex to its last. Pieces used exactly twice afterwards were only
+ * T-junctions.
+ */
+function junctionChains(openEdges, points, tolerance) {
+  const candidates = [...new Set(openEdges.flat())].sort((a, b) => points[a].x - points[b].x);
+  const xs = candidates.map((id) => points[id].x);
+  const firstAtLeast = (x) => {
+    let low = 0;
+    let high = xs.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (xs[middle] < x) low = middle + 1;
+      else high = middle;
+    }
+    return low;
+  };
+
+  const direction = new THREE.Vector3();
+  const offset = new THREE.Vector3();
+  return openEdges.map(([a, b]) => {
+    const start = points[a];
+    direction.subVectors(points[b], start);
+    const lengthSq = direction.lengthSq();
+    const inner = [];
+    const minX = Math.min(start.x, points[b].x) - tolerance;
+    const maxX = Math.max(start.x, points[b].x) + tolerance;
+    for (let i = firstAtLeast(minX); i < xs.length && xs[i] <= maxX; i += 1) {
+      const id = candidates[i];
+      if (id === a || id === b) continue;
+      offset.subVectors(points[id], start);
+      const t = offset.dot(direction) / lengthSq;
+      if (t <= 0 || t >= 1) continue;
+      if (offset.addScaledVector(direction, -t).lengthSq() <= tolerance * tolerance) inner.push({ id, t });
+    }
+    return [a, ...inner.sort((left, right) => left.t - right.t).map(({ id }) => id), b];
+  });
+}
+
+/**
+ * Analyses a triangle soup. Returns counts of open edges, non-manifold edges (shared by more than
+ * two triangles) and degenerate (zero-area) triangles, the number of disconnected shells, the
+ * enclosed volume, the surface area, the bounding box and the centre of mass of the solid if it
+ * were uniform. `problems.edges` holds the offending edges as line-segment endpoints and
+ * `problems.points` the centres of degenerate triangles.
+ */
+export function analyzeMesh(positions) {
+  const triangleCount = positions.length / FLOATS_PER_TRIANGLE;
+  const bounds = new THREE.Box3().setFromArray(positions);
+  const tolerance = toleranceOf(bounds);
+  const shells = new DisjointSet();
+  const { points, weld } = createWelder(tolerance, () => shells.add());
+
+  const corners = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+  const [a, b, c] = corners;
+  const ab = new THREE.Vector3();
+  const ac = new THREE.Vector3();
+  const edgeUses = new Map();
+  const degeneratePoints = [];
+  const moment = new THREE.Vector3();
+  let volume = 0;
+  let surfaceArea = 0;
+
+  for (let i = 0; i < positions.length; i += FLOATS_PER_TRIANGLE) {
+    corners.forEach((corner, index) => corner.fromArray(positions, i + index * 3));
+    const doubleArea = ab.subVectors(b, a).cross(ac.subVectors(c, a)).length();
+    surfaceArea += doubleArea / 2;
+    // Each triangle closes a tetrahedron with the origin; their signed volumes and centroids sum
+    // to the solid's.
+    const tetrahedron = a.dot(ab.crossVectors(b, c)) / 6;
+    volume += tetrahedron;
+    moment.addScaledVector(ab.addVectors(a, b).add(c), tetrahedron / 4);
+
+    const longest = Math.max(a.distanceTo(b), b.distanceTo(c), c.distanceTo(a));
+    if (longest === 0 || doubleArea / longest <= tolerance) {
+      degeneratePoints.push((a.x + b.x + c.x) / 3, (a.y + b.y + c.y) / 3, (a.z + b.z + c.z) / 3);
+      continue;
+    }
+
+    const ids = corners.map(weld);
+    shells.union(ids[0], ids[1]);
+    shells.union(ids[0], ids[2]);
+    ids.forEach((id, index) => countUse(edgeUses, edgeKey(id, ids[(index + 1) % 3])));
+  }
+
+  const openEdges = [];
+  const nonManifoldEdges = [];
+  edgeUses.forEach((uses, key) => {
+    const edge = key.split(':').map(Number);
+    if (uses === 1) openEdges.push(edge);
+    if (uses > 2) nonManifoldEdges.push(edge);
+  });
+
+  const pieceUses = new Map();
+  const pieces = junctionChains(openEdges, points, tolerance).flatMap((chain) =>
+    chain.slice(1).map((id, index) => [chain[index], id])
+  );
+  pieces.forEach(([from, to]) => countUse(pieceUses, edgeKey(from, to)));
+  const holes = pieces.filter(([from, to]) => pieceUses.get(edgeKey(from, to)) === 1);
+
+  const centerOfMass = volume !== 0 ? toPoint(moment.divideScalar(volume)) : null;
+  const roots = new Set(points.map((_, id) => shells.find(id)));
+  const problemEdges = [...holes, ...nonManifoldEdges].flatMap(([from, to]) => [
+    ...points[from].toArray(),
+    ...points[to].toArray(),
+  ]);
+
+  return {
+    triangleCount,
+    openEdges: holes.length,
+    nonManifoldEdges: nonManifoldEdges.length,
+    degenerateTriangles: degeneratePoints.length / 3,
+    shellCount: roots.size,
+    volume,
+    surfaceArea,
+    bounds: bounds.isEmpty() ? null : { min: toPoint(bounds.min), max: toPoint(bounds.max) },
+    centerOfMass,
+    isWatertight: holes.length === 0 && nonManifoldEdges.length === 0,
+    problems: { edges: new Float32Array(problemEdges), points: new Float32Array(degeneratePoints) },
+  };
+}
+
+/**
+ * Lists what is wrong with an analysed mesh as short phrases ("3 open edges"), or nothing when
+ * it is printable. Fields missing from a partial report are skipped.
+ */
+export const describeProblems = ({ openEdges, nonManifoldEdges, degenerateTriangles, shellCount }) =>
+  [
+    openEdges > 0 && countLabel(openEdges, 'open edge'),
+    nonManifoldEdges > 0 && countLabel(nonManifoldEdges, 'non-manifold edge'),
+    degenerateTriangles > 0 && countLabel(degenerateTriangles, 'degenerate triangle'),
+    shellCount > 1 && countLabel(shellCount, 'separate shell'),
+  ].filter(Boolean);
+
+/** Analyses a BufferGeometry, indexed or not. */
+export const analyzeGeometry = (geometry) =>
+  analyzeMesh((geometry.index ? geometry.toNonIndexed() : geometry).getAttribute('position').array);
+
+/**
+ * Splits the triangles of a geometry at the T-junctions along their edges and snaps their corners
+ * to the welded points, so neighbouring faces share whole edges and exported meshes are manifold.
+ * The other attributes are interpolated at the new corners. A geometry without T-junctions is
+ * returned as it is; otherwise the result is a new, non-indexed geometry.
+ */
+export function closeJunctions(geometry) {
+  const soup = geometry.index ? geometry.toNonIndexed() : geometry;
+  const positions = soup.getAttribute('position').array;
+  const tolerance = toleranceOf(new THREE.Box3().setFromArray(positions));
+  const { points, weld } = createWelder(tolerance);
+  const corner = new THREE.Vector3();
+  const triangles = [];
+  const edgeUses = new Map();
+  for (let i = 0; i < positions.length; i += FLOATS_PER_TRIANGLE) {
+    const ids = [0, 1, 2].map((index) => weld(corner.fromArray(positions, i + index * 3)));
+    triangles.push(ids);
+    if (new Set(ids).size === 3) ids.forEach((id, index) => countUse(edgeUses, edgeKey(id, ids[(index + 1) % 3])));
+  }
+
+  const openEdges = [...edgeUses].filter(([, uses]) => uses === 1).map(([key]) => key.split(':').map(Number));
+  const chains = new Map();
+  junctionChains(openEdges, points, tolerance).forEach((chain) => {
+    if (chain.length > 2) chains.set(edgeKey(chain[0], chain.at(-1)), chain);
+  });
+  if (!chains.size) return geometry;
+
+  // The outline of a triangle with the junction points on each side, as welded point ids and
+  // weights of the three original corners. `side` is the corner a junction point's side starts at.
+  const outlineOf = (ids) =>
+    ids.flatMap((id, index) => {
+      const next = (index + 1) % 3;
+      const chain = chains.get(edgeKey(id, ids[next])) ?? [];
+      const inner = (chain[0] === id ? chain : [...chain].reverse()).slice(1, -1);
+      const length = points[id].distanceTo(points[ids[next]]);
+      const weigh = (t) => [0, 1, 2].map((other) => (other === index ? 1 - t : other === next ? t : 0));
+      return [
+        { id, corner: index, weights: weigh(0) },
+        ...inner.map((point) => ({
+          id: point,
+          side: index,
+          weights: weigh(points[point].distanceTo(points[id]) / length),
+        })),
+      ];
+    });
+
+  // An outline split on one side fans out from the opposite corner, any other from its centre.
+  const triangulate = (outline) => {
+    if (outline.length === 3) return [outline];
+    const sides = new Set(outline.map(({ side }) => side).filter((side) => side !== undefined));
+    if (sides.size > 1) {
+      const center = { id: null, weights: [1 / 3, 1 / 3, 1 / 3] };
+      return outline.map((vertex, index) => [center, vertex, outline[(index + 1) % outline.length]]);
+    }
+    const start = outline.findIndex(({ corner }) => corner === ([...sides][0] + 2) % 3);
+    const fan = [...outline.slice(start), ...outline.slice(0, start)];
+    return fan.slice(1, -1).map((vertex, index) => [fan[0], vertex, fan[index + 2]]);
+  };
+
+  const attributes = Object.entries(soup.attributes).map(([name, { array, itemSize }]) => ({
+    name,
+    array,
+    itemSize,
+    values: [],
+  }));
+  triangles.forEach((ids, triangle) => {
+    triangulate(outlineOf(ids))
+      .flat()
+      .forEach(({ id, weights }) => {
+        attributes.forEach(({ name, array, itemSize, values }) => {
+          if (name === 'position' && id !== null) {
+            values.push(points[id].x, points[id].y, points[id].z);
+            return;
+          }
+          for (let item = 0; item < itemSize; item += 1) {
+            const at = (index) => array[(triangle * 3 + index) * itemSize + item];
+            values.push(weights[0] * at(0) + weights[1] * at(1) + weights[2] * at(2));
+          }
+        });
+      });
+  });
+
+  const closed = new THREE.BufferGeometry();
+  attributes.forEach(({ name, itemSize, values }) => {
+    closed.setAttribute(name, new THREE.Float32BufferAttribute(values, itemSize));
+  });
+  return closed;
+}
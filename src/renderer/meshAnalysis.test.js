@@ -0,0 +1,96 @@
+import * as THREE from 'three';
+import { describe, expect, it } from 'vitest';
+import { analyzeGeometry, analyzeMesh, closeJunctions, describeProblems } from './meshAnalysis.js';
+
+const soup = (geometry) => geometry.toNonIndexed().getAttribute('position').array;
+
+const join = (...arrays) => {
+  const joined = new Float32Array(arrays.reduce((total, array) => total + array.length, 0));
+  arrays.reduce((offset, array) => {
+    joined.set(array, offset);
+    return offset + array.length;
+  }, 0);
+  return joined;
+};
+
+describe('analyzeMesh', () => {
+  it('measures a closed box', () => {
+    const report = analyzeGeometry(new THREE.BoxGeometry(2, 3, 4));
+    expect(report).toMatchObject({
+      triangleCount: 12,
+      openEdges: 0,
+      nonManifoldEdges: 0,
+      degenerateTriangles: 0,
+      shellCount: 1,
+      isWatertight: true,
+      bounds: { min: { x: -1, y: -1.5, z: -2 }, max: { x: 1, y: 1.5, z: 2 } },
+    });
+    expect(report.volume).toBeCloseTo(24);
+    expect(report.surfaceArea).toBeCloseTo(52);
+  });
+
+  it('finds the centre of mass of a shifted solid', () => {
+    const { centerOfMass } = analyzeGeometry(new THREE.BoxGeometry(2, 2, 2).translate(3, -1, 0.5));
+    expect(centerOfMass.x).toBeCloseTo(3);
+    expect(centerOfMass.y).toBeCloseTo(-1);
+    expect(centerOfMass.z).toBeCloseTo(0.5);
+  });
+
+  it('reports the edges around a missing face', () => {
+    const positions = soup(new THREE.BoxGeometry(1, 1, 1)).slice(0, 10 * 9);
+    const report = analyzeMesh(positions);
+    expect(report.openEdges).toBe(4);
+    expect(report.isWatertight).toBe(false);
+    expect(report.problems.edges).toHaveLength(4 * 6);
+  });
+
+  it('does not count T-junctions left by the CSG step as open edges', () => {
+    // A unit square split into two triangles on one side and three on the other, where the lower
+    // edge of the second side has an extra vertex in its middle.
+    const top = [0, 0, 0, 1, 0, 0, 1, 1, 0, 0, 0, 0, 1, 1, 0, 0, 1, 0];
+    const bottom = [0, 0, 0, 1, 1, 0, 0.5, 0, 0, 0.5, 0, 0, 1, 1, 0, 1, 0, 0, 0, 0, 0, 0, 1, 0, 1, 1, 0];
+    const report = analyzeMesh(new Float32Array([...top, ...bottom]));
+    expect(report.openEdges).toBe(0);
+  });
+
+  it('counts shells, degenerate triangles and non-manifold edges', () => {
+    const first = soup(new THREE.BoxGeometry(1, 1, 1));
+    const second = soup(new THREE.BoxGeometry(1, 1, 1).translate(3, 0, 0));
+    const sliver = new Float32Array([0, 0, 0, 1, 0, 0, 2, 0, 0]);
+    const report = analyzeMesh(join(first, second, sliver));
+    expect(report.shellCount).toBe(2);
+    expect(report.degenerateTriangles).toBe(1);
+    expect(report.problems.points).toEqual(new Float32Array([1, 0, 0]));
+
+    const fins = new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0, -1, 0]);
+    expect(analyzeMesh(fins).nonManifoldEdges).toBe(1);
+  });
+});
+
+describe('describeProblems', () => {
+  it('lists each kind of defect once, and nothing for a printable mesh', () => {
+    expect(describeProblems({ openEdges: 3, nonManifoldEdges: 1, degenerateTriangles: 0, shellCount: 2 })).toEqual([
+      '3 open edges',
+      '1 non-manifold edge',
+      '2 separate shells',
+    ]);
+    expect(describeProblems({ openEdges: 0, nonManifoldEdges: 0, degenerateTriangles: 0, shellCount: 1 })).toEqual([]);
+  });
+});
+
+describe('closeJunctions', () => {
+  it('splits the triangle across a T-junction so both sides share the same edges', () => {
+    const top = [0, 0, 0, 1, 0, 0, 1, 1, 0, 0, 0, 0, 1, 1, 0, 0, 1, 0];
+    const bottom = [0, 0, 0, 0.5, 0, 0, 0, -1, 0, 0.5, 0, 0, 1, 0, 0, 0, -1, 0];
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute([...top, ...bottom], 3));
+    geometry.setAttribute('normal', new THREE.Float32BufferAttribute(Array(12).fill([0, 0, 1]).flat(), 3));
+
+    const closed = closeJunctions(geometry);
+    const positions = Array.from(closed.getAttribute('position').array);
+    expect(positions).toHaveLength(5 * 9);
+    expect(positions.slice(0, 18)).toEqual([1, 1, 0, 0, 0, 0, 0.5, 0, 0, 1, 1, 0, 0.5, 0, 0, 1, 0, 0]);
+    expect(new Set(closed.getAttribute('normal').array)).toEqual(new Set([0, 1]));
+    expect(closeJunctions(closed)).toBe(closed);
+  });
+});
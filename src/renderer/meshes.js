@@ -0,0 +1,157 @@
+import * as THREE from 'three';
+import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js';
+import { STLLoader } from 'three/examples/jsm/loaders/STLLoader.js';
+import { hashString } from './hash.js';
+import { analyzeMesh } from './meshAnalysis.js';
+
+/*
+ * Imported meshes. A mesh primitive carries its triangles in `mesh: { name, hash, data }`, where
+ * `data` is a base64 triangle soup of little-endian float32 XYZ triples in three.js axes (Y up),
+ * centred on its bounding box and scaled so the longest side is 1. The primitive's `size`
+ * dimension scales it back up, so the data never changes once imported.
+ */
+
+export const MESH_FILE_EXTENSIONS = ['stl', 'obj'];
+
+const FLOATS_PER_TRIANGLE = 9;
+
+const encodeFloats = (floats) => {
+  const bytes = new Uint8Array(floats.buffer, floats.byteOffset, floats.byteLength);
+  let binary = '';
+  const chunk = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunk) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunk));
+  }
+  return btoa(binary);
+};
+
+const decodeFloats = (data) => {
+  const binary = atob(data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) bytes[i] = binary.charCodeAt(i);
+  return new Float32Array(bytes.buffer);
+};
+
+const MAX_DECODED_MESHES = 16;
+const decoded = new Map();
+
+// Decoding is cached by hash because every rebuild and ghost re-creates the geometry.
+const rememberPositions = (hash, floats) => {
+  decoded.set(hash, floats);
+  while (decoded.size > MAX_DECODED_MESHES) decoded.delete(decoded.keys().next().value);
+};
+
+// Triangles handed to the CSG worker by the UI thread, which sends meshes by hash alone.
+const provided = new Map();
+
+/** Makes decoded triangles available under `hash` to sources that carry no data. */
+export const provideMeshPositions = (hash, floats) => provided.set(hash, floats);
+
+export const forgetMeshPositions = (hash) => provided.delete(hash);
+
+/** The decoded triangles of a mesh source, shared: callers copy them before changing them. */
+export const meshPositions = ({ hash, data }) => {
+  if (provided.has(hash)) return provided.get(hash);
+  if (!decoded.has(hash)) rememberPositions(hash, decodeFloats(data));
+  return decoded.get(hash);
+};
+
+/** Wraps stored mesh data with its content hash, which the CSG fold cache keys on. */
+export function meshSource(name, data) {
+  let floats;
+  try {
+    floats = decodeFloats(data);
+  } catch {
+    throw new Error(`The mesh "${name}" is corrupt.`);
+  }
+  if (!floats.length || floats.length % FLOATS_PER_TRIANGLE !== 0) {
+    throw new Error(`The mesh "${name}" does not hold whole triangles.`);
+  }
+  const hash = hashString(data);
+  rememberPositions(hash, floats);
+  return { name, hash, data };
+}
+
+/** Builds the geometry of an imported mesh scaled so its longest side measures `size`. */
+export function meshGeometry(source, size) {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(meshPositions(source).slice(), 3));
+  geometry.scale(size, size, size);
+  geometry.computeVertexNormals();
+  return geometry;
+}
+
+const reports = new Map();
+
+/** Triangle count and edge defects of an imported mesh, cached by hash. */
+export function meshReport(source) {
+  if (!reports.has(source.hash)) {
+    const { triangleCount, openEdges, nonManifoldEdges, isWatertight } = analyzeMesh(meshPositions(source));
+    reports.set(source.hash, { triangleCount, openEdges, nonManifoldEdges, isWatertight });
+  }
+  return reports.get(source.hash);
+}
+
+const objectPositions = (group) => {
+  const parts = [];
+  group.traverse((object) => {
+    if (!object.isMesh) return;
+    const geometry = object.geometry.index ? object.geometry.toNonIndexed() : object.geometry;
+    geometry.applyMatrix4(object.matrixWorld);
+    parts.push(geometry.getAttribute('position').array);
+  });
+  const positions = new Float32Array(parts.reduce((total, part) => total + part.length, 0));
+  parts.reduce((offset, part) => {
+    positions.set(part, offset);
+    return offset + part.length;
+  }, 0);
+  return positions;
+};
+
+const readPositions = (fileName, bytes) => {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (extension === 'stl') {
+    const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+    const geometry = new STLLoader().parse(buffer);
+    return (geometry.index ? geometry.toNonIndexed() : geometry).getAttribute('position').array;
+  }
+  if (extension === 'obj') {
+    const group = new OBJLoader().parse(new TextDecoder().decode(bytes));
+    group.updateMatrixWorld(true);
+    return objectPositions(group);
+  }
+  throw new Error(`"${fileName}" is not an STL or OBJ file.`);
+};
+
+/**
+ * Reads an STL or OBJ file into a mesh source. The file is taken to be Z up like the model, so its
+ * Y and Z are swapped into three.js axes and each triangle reversed to undo the mirror. Returns the
+ * source and `size`, the longest side in file units.
+ */
+export function importMeshFile(fileName, bytes) {
+  const positions = Float32Array.from(readPositions(fileName, bytes));
+  if (!positions.length) throw new Error(`"${fileName}" contains no triangles.`);
+
+  for (let i = 0; i < positions.length; i += 3) {
+    [positions[i + 1], positions[i + 2]] = [positions[i + 2], positions[i + 1]];
+  }
+  for (let i = 0; i < positions.length; i += FLOATS_PER_TRIANGLE) {
+    const second = positions.slice(i + 3, i + 6);
+    positions.copyWithin(i + 3, i + 6, i + 9);
+    positions.set(second, i + 6);
+  }
+
+  const bounds = new THREE.Box3().setFromArray(positions);
+  const center = bounds.getCenter(new THREE.Vector3());
+  const extent = bounds.getSize(new THREE.Vector3());
+  const size = Math.max(extent.x, extent.y, extent.z);
+  if (!(size > 0)) throw new Error(`"${fileName}" has no volume.`);
+
+  for (let i = 0; i < positions.length; i += 3) {
+    positions[i] = (positions[i] - center.x) / size;
+    positions[i + 1] = (positions[i + 1] - center.y) / size;
+    positions[i + 2] = (positions[i + 2] - center.z) / size;
+  }
+
+  return { source: meshSource(fileName, encodeFloats(positions)), size };
+}
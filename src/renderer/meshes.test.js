@@ -0,0 +1,89 @@
+import * as THREE from 'three';
+import { describe, expect, it } from 'vitest';
+import {
+  forgetMeshPositions,
+  importMeshFile,
+  meshGeometry,
+  meshPositions,
+  meshReport,
+  meshSource,
+  provideMeshPositions,
+} from './meshes.js';
+
+// A tetrahedron 20 long in X and 4 tall in Z, with outward-facing triangles.
+const TETRAHEDRON_OBJ = `v 0 0 0
+v 20 0 0
+v 0 10 0
+v 0 0 4
+f 1 3 2
+f 1 2 4
+f 1 4 3
+f 2 3 4
+`;
+
+const importTetrahedron = () => importMeshFile('Part.OBJ', new TextEncoder().encode(TETRAHEDRON_OBJ));
+
+describe('importMeshFile', () => {
+  it('normalizes the mesh to a unit longest side, with the file Z as the three.js Y', () => {
+    const { source, size } = importTetrahedron();
+    expect(size).toBe(20);
+    expect(source.name).toBe('Part.OBJ');
+
+    const geometry = meshGeometry(source, size);
+    geometry.computeBoundingBox();
+    const extent = geometry.boundingBox.getSize(new THREE.Vector3());
+    expect(extent.toArray()).toEqual([20, 4, 10]);
+  });
+
+  it('keeps the triangles facing outwards', () => {
+    const { source } = importTetrahedron();
+    const positions = meshGeometry(source, 1).getAttribute('position');
+    const center = new THREE.Vector3();
+    for (let i = 0; i < positions.count; i += 1) center.add(new THREE.Vector3().fromBufferAttribute(positions, i));
+    center.divideScalar(positions.count);
+
+    const [a, b, c] = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+    for (let i = 0; i < positions.count; i += 3) {
+      a.fromBufferAttribute(positions, i);
+      b.fromBufferAttribute(positions, i + 1);
+      c.fromBufferAttribute(positions, i + 2);
+      const normal = new THREE.Triangle(a, b, c).getNormal(new THREE.Vector3());
+      expect(normal.dot(a.clone().sub(center))).toBeGreaterThan(0);
+    }
+  });
+
+  it('rejects files it cannot read', () => {
+    expect(() => importMeshFile('part.step', new Uint8Array(4))).toThrow('"part.step" is not an STL or OBJ file.');
+    expect(() => importMeshFile('empty.obj', new TextEncoder().encode('# nothing\n'))).toThrow(
+      '"empty.obj" contains no triangles.'
+    );
+  });
+});
+
+describe('meshSource', () => {
+  it('rejects data that is not whole triangles', () => {
+    expect(() => meshSource('broken', btoa('abcd'))).toThrow('The mesh "broken" does not hold whole triangles.');
+    expect(() => meshSource('broken', '%%%')).toThrow('The mesh "broken" is corrupt.');
+  });
+});
+
+describe('meshReport', () => {
+  it('finds no defects in a closed mesh', () => {
+    expect(meshReport(importTetrahedron().source)).toEqual({
+      triangleCount: 4,
+      openEdges: 0,
+      nonManifoldEdges: 0,
+      isWatertight: true,
+    });
+  });
+});
+
+describe('provideMeshPositions', () => {
+  it('stands in for the data of sources that only carry a hash', () => {
+    const { source } = importTetrahedron();
+    provideMeshPositions('provided', meshPositions(source).slice());
+    const geometry = meshGeometry({ name: 'Part.OBJ', hash: 'provided' }, 20);
+    expect(geometry.getAttribute('position').array).toEqual(meshGeometry(source, 20).getAttribute('position').array);
+    forgetMeshPositions('provided');
+  });
+});
@@ -0,0 +1,16 @@
+export const parseNumber = (value, fallback = 0) => {
+  const parsed = Number.parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+export const roundValue = (value, precision = 2) => {
+  const multiplier = 10 ** precision;
+  return Math.round(value * multiplier) / multiplier;
+};
+
+export const countLabel = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+export const snapValue = (value, increment) => {
+  if (!increment || increment <= 0) return value;
+  return roundValue(Math.round(value / increment) * increment, 6);
+};
@@ -0,0 +1,31 @@
+import { describe, expect, it } from 'vitest';
+import { countLabel, parseNumber, roundValue, snapValue } from './numbers.js';
+
+describe('snapValue', () => {
+  it('rounds to the nearest multiple of the increment', () => {
+    expect(snapValue(1.26, 0.25)).toBe(1.25);
+    expect(snapValue(-0.38, 0.25)).toBe(-0.5);
+    expect(snapValue(0.3, 0.1)).toBe(0.3);
+  });
+
+  it('leaves the value alone without a positive increment', () => {
+    expect(snapValue(1.26, 0)).toBe(1.26);
+    expect(snapValue(1.26, null)).toBe(1.26);
+  });
+});
+
+describe('roundValue / parseNumber', () => {
+  it('round to a number of decimals and fall back on unreadable input', () => {
+    expect(roundValue(1.23456)).toBe(1.23);
+    expect(roundValue(1.23456, 4)).toBe(1.2346);
+    expect(parseNumber('2.5mm')).toBe(2.5);
+    expect(parseNumber('abc', 7)).toBe(7);
+  });
+});
+
+describe('countLabel', () => {
+  it('pluralizes the noun for any count but one', () => {
+    expect(countLabel(1, 'open edge')).toBe('1 open edge');
+    expect(countLabel(0, 'shell')).toBe('0 shells');
+  });
+});
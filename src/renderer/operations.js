@@ -0,0 +1,17 @@
+/**
+ * Boolean operations a primitive can apply to the solid built from the primitives above it.
+ * `method` names the three-csg-ts CSG method used by the fold.
+ */
+export const OPERATIONS = {
+  add: { label: 'Add (Union)', shortLabel: 'Add', badge: '+', color: '#26d07c', method: 'union' },
+  subtract: { label: 'Subtract (Cut)', shortLabel: 'Subtract', badge: '-', color: '#ff4d6d', method: 'subtract' },
+  intersect: {
+    label: 'Intersect (Common)',
+    shortLabel: 'Intersect',
+    badge: '∩',
+    color: '#4da3ff',
+    method: 'intersect',
+  },
+};
+
+export const getOperation = (operation) => OPERATIONS[operation] ?? OPERATIONS.add;
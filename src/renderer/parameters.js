@@ -0,0 +1,270 @@
+import { evaluateExpression, expressionNames, renameInExpression, suffixBareLengths } from './expressions.js';
+import { scaleFeatures } from './features.js';
+import { roundValue } from './numbers.js';
+import { clampField, getPrimitiveType, isLengthField } from './primitiveTypes.js';
+import { flattenPrimitives, isGroup } from './tree.js';
+import { convertLength, fieldInUnit, scaleLengths, UNITS } from './units.js';
+
+/*
+ * Document variables and the field bindings that use them. A variable is `{ name, expression }`.
+ * A primitive's optional `bindings` maps a length field (`position.x`, `dimensions.width`) to the
+ * expression driving it. The field itself always holds the last evaluated number, so geometry code
+ * never sees expressions; `resolveModel` brings those numbers up to date.
+ */
+
+const NAME_PATTERN = /^[A-Za-z_]\w*$/;
+
+export function validateVariableName(name, variables, currentName = null) {
+  if (!NAME_PATTERN.test(name)) return 'Names start with a letter and use only letters, digits and underscores.';
+  if (Object.hasOwn(UNITS, name)) return `"${name}" is a unit and cannot be used as a name.`;
+  if (name !== currentName && variables.some((variable) => variable.name === name)) {
+    return `A variable named "${name}" already exists.`;
+  }
+  return null;
+}
+
+/**
+ * Evaluates every variable in the table. Returns `{ values, errors }`, two maps keyed by name;
+ * a variable that cannot be evaluated (unknown name, cycle, bad syntax) appears only in `errors`.
+ */
+export function evaluateVariables(variables, { unit }) {
+  const byName = new Map(variables.map((variable) => [variable.name, variable]));
+  const values = new Map();
+  const errors = new Map();
+  const resolving = [];
+
+  const resolve = (name) => {
+    if (values.has(name)) return values.get(name);
+    if (errors.has(name)) throw new Error(`"${name}" has an error: ${errors.get(name)}`);
+    if (!byName.has(name)) throw new Error(`Unknown name "${name}".`);
+    if (resolving.includes(name)) {
+      const cycle = [...resolving.slice(resolving.indexOf(name)), name];
+      throw new Error(`Circular reference: ${cycle.join(' -> ')}.`);
+    }
+
+    resolving.push(name);
+    try {
+      const value = evaluateExpression(byName.get(name).expression, { unit, resolveName: resolve });
+      values.set(name, value);
+      return value;
+    } catch (error) {
+      errors.set(name, error.message);
+      throw error;
+    } finally {
+      resolving.pop();
+    }
+  };
+
+  variables.forEach(({ name }) => {
+    try {
+      resolve(name);
+    } catch {
+      // Recorded in `errors` by `resolve`.
+    }
+  });
+
+  return { values, errors };
+}
+
+/** Builds the `resolveName` callback fields use to look variables up in an evaluation. */
+export const variableResolver = ({ values, errors }) => (name) => {
+  if (values.has(name)) return values.get(name);
+  if (errors.has(name)) throw new Error(`"${name}" has an error: ${errors.get(name)}`);
+  throw new Error(`Unknown name "${name}".`);
+};
+
+const readField = (primitive, path) => {
+  const [section, key] = path.split('.');
+  return primitive[section]?.[key];
+};
+
+const writeField = (primitive, path, value) => {
+  const [section, key] = path.split('.');
+  return { ...primitive, [section]: { ...primitive[section], [key]: value } };
+};
+
+const withBindings = (primitive, bindings) => {
+  const { bindings: _previous, ...rest } = primitive;
+  return Object.keys(bindings).length ? { ...rest, bindings } : rest;
+};
+
+/** Only positions and length dimensions are lengths, so only they can be bound. */
+export const isBindablePath = (type, path) => {
+  const [section, key] = path.split('.');
+  if (section === 'position') return ['x', 'y', 'z'].includes(key);
+  if (section !== 'dimensions') return false;
+  const field = getPrimitiveType(type).fields.find((entry) => entry.key === key);
+  return Boolean(field && isLengthField(field));
+};
+
+/**
+ * Records how a field was last set: an expression that names variables becomes its binding, and
+ * anything else (a plain number, `25.4mm`) clears the binding so the field keeps a fixed value.
+ */
+export function bindField(primitive, path, expression) {
+  const bindings = { ...primitive.bindings };
+  if (expression && expressionNames(expression).length && isBindablePath(primitive.type, path)) {
+    bindings[path] = expression.trim();
+  } else {
+    delete bindings[path];
+  }
+  return withBindings(primitive, bindings);
+}
+
+const mapPrimitives = (nodes, mapper) => {
+  let changed = false;
+  const next = nodes.map((node) => {
+    const mapped = isGroup(node) ? mapGroup(node, mapper) : mapper(node);
+    if (mapped !== node) changed = true;
+    return mapped;
+  });
+  return changed ? next : nodes;
+};
+
+const mapGroup = (group, mapper) => {
+  const children = mapPrimitives(group.children, mapper);
+  return children === group.children ? group : { ...group, children };
+};
+
+/**
+ * Drops the bindings of fields that were changed directly between `before` and `after` (a drag, a
+ * nudge, a type change). Bindings that were themselves rewritten in the same edit are kept.
+ */
+export function detachEditedBindings(before, after) {
+  const previous = new Map(flattenPrimitives(before).map((primitive) => [primitive.id, primitive]));
+  return mapPrimitives(after, (primitive) => {
+    const old = previous.get(primitive.id);
+    if (!primitive.bindings || !old || old === primitive) return primitive;
+    const entries = Object.entries(primitive.bindings);
+    const kept = entries.filter(
+      ([path, expression]) =>
+        old.bindings?.[path] !== expression || readField(old, path) === readField(primitive, path)
+    );
+    return kept.length === entries.length ? primitive : withBindings(primitive, Object.fromEntries(kept));
+  });
+}
+
+/**
+ * Drops every binding whose expression `isKept` rejects, leaving its field at the value it holds.
+ * Returns `{ primitives, unlinked }`, where `unlinked` counts the dropped bindings.
+ */
+export function unlinkBindings(nodes, isKept) {
+  let unlinked = 0;
+  const primitives = mapPrimitives(nodes, (primitive) => {
+    if (!primitive.bindings) return primitive;
+    const entries = Object.entries(primitive.bindings);
+    const kept = entries.filter(([, expression]) => isKept(expression));
+    unlinked += entries.length - kept.length;
+    return kept.length === entries.length ? primitive : withBindings(primitive, Object.fromEntries(kept));
+  });
+  return { primitives, unlinked };
+}
+
+/**
+ * Re-evaluates every variable and writes the results into bound fields, clamped to the field's
+ * range. As with resizes, a `limit` is left to the geometry (see `clampDimensions`), which caps
+ * the value and warns about it. A binding that fails to evaluate leaves its field at the last good
+ * value.
+ */
+export function resolveModel(model) {
+  const resolveName = variableResolver(evaluateVariables(model.variables, { unit: model.unit }));
+  const primitives = mapPrimitives(model.primitives, (primitive) => {
+    if (!primitive.bindings) return primitive;
+    const { fields } = getPrimitiveType(primitive.type);
+    return Object.entries(primitive.bindings).reduce((current, [path, expression]) => {
+      let value;
+      try {
+        value = evaluateExpression(expression, { unit: model.unit, resolveName });
+      } catch {
+        return current;
+      }
+      const field = fields.find((entry) => `dimensions.${entry.key}` === path);
+      const nextValue = field ? clampField(fieldInUnit(field, model.unit), value) : value;
+      return readField(current, path) === nextValue ? current : writeField(current, path, nextValue);
+    }, primitive);
+  });
+  return primitives === model.primitives ? model : { ...model, primitives };
+}
+
+/**
+ * Lists what keeps a model from evaluating cleanly as messages: variables with errors and bindings
+ * that fail. `resolveModel` skips over both, leaving the fields at their last good value.
+ */
+export function modelErrors(model) {
+  const evaluation = evaluateVariables(model.variables, { unit: model.unit });
+  const resolveName = variableResolver(evaluation);
+  const variableErrors = [...evaluation.errors].map(([name, message]) => `Variable "${name}": ${message}`);
+  const bindingErrors = flattenPrimitives(model.primitives).flatMap((primitive) =>
+    Object.entries(primitive.bindings ?? {}).flatMap(([path, expression]) => {
+      try {
+        evaluateExpression(expression, { unit: model.unit, resolveName });
+        return [];
+      } catch (error) {
+        return [`${primitive.name} ${path}: ${error.message}`];
+      }
+    })
+  );
+  return [...variableErrors, ...bindingErrors];
+}
+
+/** Renames a variable and every reference to it in other variables and in field bindings. */
+export function renameVariable(model, from, to) {
+  const rename = (expression) => renameInExpression(expression, from, to);
+  return {
+    ...model,
+    variables: model.variables.map((variable) => ({
+      name: variable.name === from ? to : variable.name,
+      expression: rename(variable.expression),
+    })),
+    primitives: mapPrimitives(model.primitives, (primitive) => {
+      if (!primitive.bindings) return primitive;
+      return withBindings(
+        primitive,
+        Object.fromEntries(Object.entries(primitive.bindings).map(([path, expression]) => [path, rename(expression)]))
+      );
+    }),
+  };
+}
+
+/**
+ * Converts the variable table to a new unit. Variables are treated as lengths: a variable holding
+ * a constant is rewritten as that length in `toUnit`, and in one built from other variables the
+ * bare lengths take a `fromUnit` suffix (see `suffixBareLengths`), so both keep their value.
+ */
+export function convertVariables(variables, fromUnit, toUnit) {
+  return variables.map((variable) => {
+    if (expressionNames(variable.expression).length) {
+      const expression = suffixBareLengths(variable.expression, fromUnit);
+      return expression === variable.expression ? variable : { ...variable, expression };
+    }
+    try {
+      const value = evaluateExpression(variable.expression, { unit: fromUnit });
+      return { ...variable, expression: String(roundValue(convertLength(value, fromUnit, toUnit), 6)) };
+    } catch {
+      return variable;
+    }
+  });
+}
+
+/**
+ * Converts a model to `unit` without changing its size: lengths and feature parameters are
+ * rescaled, variables are converted and the bare lengths in bindings take the old unit as a
+ * suffix. Bound fields are brought up to date by `resolveModel`.
+ */
+export function convertModelUnit(model, unit) {
+  const factor = convertLength(1, model.unit, unit);
+  const suffix = (expression) => suffixBareLengths(expression, model.unit);
+  return {
+    ...model,
+    unit,
+    variables: convertVariables(model.variables, model.unit, unit),
+    primitives: mapPrimitives(scaleLengths(model.primitives, factor), (primitive) => {
+      if (!primitive.bindings) return primitive;
+      return withBindings(
+        primitive,
+        Object.fromEntries(Object.entries(primitive.bindings).map(([path, expression]) => [path, suffix(expression)]))
+      );
+    }),
+    features: scaleFeatures(model.features, factor),
+  };
+}
@@ -0,0 +1,241 @@
+import { describe, expect, it } from 'vitest';
+import {
+  bindField,
+  convertModelUnit,
+  convertVariables,
+  detachEditedBindings,
+  evaluateVariables,
+  renameVariable,
+  resolveModel,
+  unlinkBindings,
+  validateVariableName,
+} from './parameters.js';
+import { PRIMITIVE_TYPES } from './primitiveTypes.js';
+
+const box = (overrides = {}) => ({
+  id: 'box-1',
+  name: 'Plate',
+  type: 'box',
+  operation: 'add',
+  position: { x: 0, y: 0, z: 0 },
+  rotation: { x: 0, y: 0, z: 0 },
+  dimensions: { width: 10, height: 2, depth: 10 },
+  ...overrides,
+});
+
+const model = (variables, primitives, unit = 'mm') => ({ unit, variables, primitives });
+
+describe('validateVariableName', () => {
+  const variables = [{ name: 'wall', expression: '2' }];
+
+  it('rejects malformed names, unit names and duplicates', () => {
+    expect(validateVariableName('2wall', variables)).toMatch(/^Names start with a letter/);
+    expect(validateVariableName('mm', variables)).toBe('"mm" is a unit and cannot be used as a name.');
+    expect(validateVariableName('wall', variables)).toBe('A variable named "wall" already exists.');
+  });
+
+  it('accepts a variable keeping its own name', () => {
+    expect(validateVariableName('wall', variables, 'wall')).toBeNull();
+    expect(validateVariableName('h_2', variables)).toBeNull();
+  });
+});
+
+describe('evaluateVariables', () => {
+  it('evaluates variables built from others in any order', () => {
+    const { values, errors } = evaluateVariables(
+      [
+        { name: 'inner', expression: 'h - 2 * wall' },
+        { name: 'h', expression: '40' },
+        { name: 'wall', expression: '1cm' },
+      ],
+      { unit: 'mm' }
+    );
+    expect(Object.fromEntries(values)).toEqual({ inner: 20, h: 40, wall: 10 });
+    expect(errors.size).toBe(0);
+  });
+
+  it('reports a cycle on every variable in it and on variables that depend on it', () => {
+    const { values, errors } = evaluateVariables(
+      [
+        { name: 'a', expression: 'b + 1' },
+        { name: 'b', expression: 'a * 2' },
+        { name: 'c', expression: 'b' },
+        { name: 'd', expression: '3' },
+      ],
+      { unit: 'mm' }
+    );
+    expect(errors.get('a')).toBe('Circular reference: a -> b -> a.');
+    expect(errors.get('b')).toBe('Circular reference: a -> b -> a.');
+    expect(errors.get('c')).toMatch(/^"b" has an error: /);
+    expect(Object.fromEntries(values)).toEqual({ d: 3 });
+  });
+
+  it('reports unknown names', () => {
+    const { errors } = evaluateVariables([{ name: 'a', expression: 'missing * 2' }], { unit: 'mm' });
+    expect(errors.get('a')).toBe('Unknown name "missing".');
+  });
+});
+
+describe('bindField / detachEditedBindings', () => {
+  it('binds expressions that name variables and clears the binding for fixed values', () => {
+    const bound = bindField(box(), 'dimensions.width', ' w * 2 ');
+    expect(bound.bindings).toEqual({ 'dimensions.width': 'w * 2' });
+    expect(bindField(bound, 'dimensions.width', '25.4mm')).not.toHaveProperty('bindings');
+    expect(bindField(box(), 'rotation.z', 'angle')).not.toHaveProperty('bindings');
+  });
+
+  it('unlinks fields that were changed directly but keeps rebound ones', () => {
+    const before = [box({ bindings: { 'dimensions.width': 'w', 'position.x': 'x' } })];
+    const dragged = { ...before[0], position: { x: 3, y: 0, z: 0 } };
+    expect(detachEditedBindings(before, [dragged])[0].bindings).toEqual({ 'dimensions.width': 'w' });
+
+    const rebound = bindField({ ...before[0], position: { x: 5, y: 0, z: 0 } }, 'position.x', 'x + 2');
+    expect(detachEditedBindings(before, [rebound])[0].bindings).toEqual(rebound.bindings);
+  });
+});
+
+describe('unlinkBindings', () => {
+  it('drops the rejected bindings inside groups and counts them', () => {
+    const bound = box({ bindings: { 'dimensions.width': 'w', 'dimensions.depth': 'd + 1' } });
+    const group = { id: 'group-1', name: 'Pair', type: 'group', operation: 'add', children: [bound] };
+    const { primitives, unlinked } = unlinkBindings([group], (expression) => !expression.includes('d'));
+    expect(unlinked).toBe(1);
+    expect(primitives[0].children[0].bindings).toEqual({ 'dimensions.width': 'w' });
+    expect(primitives[0].children[0].dimensions).toEqual(bound.dimensions);
+  });
+
+  it('keeps the tree when every binding stays', () => {
+    const nodes = [box({ bindings: { 'dimensions.width': 'w' } })];
+    expect(unlinkBindings(nodes, () => true)).toEqual({ primitives: nodes, unlinked: 0 });
+  });
+});
+
+describe('resolveModel', () => {
+  it('writes evaluated bindings into their fields', () => {
+    const resolved = resolveModel(
+      model(
+        [
+          { name: 'w', expression: '25' },
+          { name: 'lift', expression: 'w / 5' },
+        ],
+        [box({ bindings: { 'dimensions.width': 'w', 'position.z': 'lift + 1in' } })]
+      )
+    );
+    const [primitive] = resolved.primitives;
+    expect(primitive.dimensions.width).toBe(25);
+    expect(primitive.position.z).toBeCloseTo(30.4);
+  });
+
+  it('returns the same model when every field is already up to date', () => {
+    const current = model([{ name: 'w', expression: '10' }], [box({ bindings: { 'dimensions.width': 'w' } })]);
+    expect(resolveModel(current)).toBe(current);
+  });
+
+  it('clamps bound dimensions to the field minimum in the document unit', () => {
+    const inMillimeters = resolveModel(
+      model([{ name: 'w', expression: '0.01' }], [box({ bindings: { 'dimensions.width': 'w' } })])
+    );
+    expect(inMillimeters.primitives[0].dimensions.width).toBe(0.1);
+
+    const inMeters = resolveModel(
+      model([{ name: 'w', expression: '0.005' }], [box({ bindings: { 'dimensions.width': 'w' } })], 'm')
+    );
+    expect(inMeters.primitives[0].dimensions.width).toBe(0.005);
+  });
+
+  it('leaves the limit of a bound fillet to the geometry, which warns about it', () => {
+    const rounded = box({ dimensions: { width: 10, height: 2, depth: 10, fillet: 0, chamfer: 0 } });
+    const resolved = resolveModel(
+      model([{ name: 'r', expression: '3' }], [{ ...rounded, bindings: { 'dimensions.fillet': 'r' } }])
+    );
+    const { dimensions } = resolved.primitives[0];
+    expect(dimensions.fillet).toBe(3);
+    expect(PRIMITIVE_TYPES.box.dimensionWarnings(dimensions)).toEqual([
+      'The fillet is capped at 1, half the smallest side.',
+    ]);
+  });
+
+  it('leaves a field at its last value when its binding fails', () => {
+    const current = model([], [box({ bindings: { 'dimensions.width': 'missing' } })]);
+    expect(resolveModel(current)).toBe(current);
+  });
+
+  it('resolves bindings inside groups', () => {
+    const group = { id: 'group-1', name: 'Group', type: 'group', children: [box({ bindings: { 'position.x': 'x' } })] };
+    const resolved = resolveModel(model([{ name: 'x', expression: '7' }], [group]));
+    expect(resolved.primitives[0].children[0].position.x).toBe(7);
+  });
+});
+
+describe('renameVariable', () => {
+  it('renames the variable and its references in variables and bindings', () => {
+    const renamed = renameVariable(
+      model(
+        [
+          { name: 'w', expression: '25' },
+          { name: 'half', expression: 'w / 2' },
+        ],
+        [box({ bindings: { 'dimensions.width': 'w + half' } })]
+      ),
+      'w',
+      'width'
+    );
+    expect(renamed.variables).toEqual([
+      { name: 'width', expression: '25' },
+      { name: 'half', expression: 'width / 2' },
+    ]);
+    expect(renamed.primitives[0].bindings).toEqual({ 'dimensions.width': 'width + half' });
+  });
+});
+
+describe('convertVariables', () => {
+  it('rewrites constants in the new unit and keeps the bare lengths of derived variables in the old one', () => {
+    const converted = convertVariables(
+      [
+        { name: 'w', expression: '25.4' },
+        { name: 'wall', expression: '1cm + 2' },
+        { name: 'inner', expression: 'w - 2 * wall' },
+        { name: 'gap', expression: 'inner / 2 - 1' },
+      ],
+      'mm',
+      'in'
+    );
+    expect(converted).toEqual([
+      { name: 'w', expression: '1' },
+      { name: 'wall', expression: '0.472441' },
+      { name: 'inner', expression: 'w - 2 * wall' },
+      { name: 'gap', expression: 'inner / 2 - 1mm' },
+    ]);
+  });
+
+  it('keeps variables that do not evaluate as they are', () => {
+    const broken = { name: 'w', expression: '2 +' };
+    expect(convertVariables([broken], 'mm', 'cm')).toEqual([broken]);
+  });
+});
+
+describe('convertModelUnit', () => {
+  it('keeps every resolved dimension through a switch to inches and back', () => {
+    const variables = [
+      { name: 'h', expression: '40' },
+      { name: 'wall', expression: '2' },
+      { name: 'inner', expression: 'h - 2 * wall + 1' },
+    ];
+    const bindings = { 'dimensions.width': 'inner + 5', 'dimensions.height': 'h / 4', 'position.z': 'wall' };
+    const original = resolveModel({ ...model(variables, [box({ bindings })]), features: [] });
+
+    const inches = resolveModel(convertModelUnit(original, 'in'));
+    expect(inches.primitives[0].bindings['dimensions.width']).toBe('inner + 5mm');
+    const { dimensions, position } = inches.primitives[0];
+    expect(dimensions.width).toBeCloseTo(42 / 25.4, 6);
+    expect(dimensions.height).toBeCloseTo(10 / 25.4, 6);
+    expect(position.z).toBeCloseTo(2 / 25.4, 6);
+
+    // Lengths are stored to six decimals, so the round trip only drifts in the last of them.
+    const back = resolveModel(convertModelUnit(inches, 'mm'));
+    const { dimensions: before, position: placed } = original.primitives[0];
+    Object.entries(back.primitives[0].dimensions).forEach(([key, value]) => expect(value).toBeCloseTo(before[key], 4));
+    Object.entries(back.primitives[0].position).forEach(([axis, value]) => expect(value).toBeCloseTo(placed[axis], 4));
+    expect(back.variables[2].expression).toBe('h - 2 * wall + 1mm');
+  });
+});
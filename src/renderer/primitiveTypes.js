@@ -0,0 +1,474 @@
+import * as THREE from 'three';
+import { ConvexGeometry } from 'three/examples/jsm/geometries/ConvexGeometry.js';
+import { meshGeometry } from './meshes.js';
+import { roundValue } from './numbers.js';
+import { createExtrudeGeometry, createRevolveGeometry, sketchBounds } from './sketches.js';
+
+/*
+ * Primitive type registry. Every entry describes one parametric shape:
+ *
+ * - `label` / `dimensions`: display name and the dimensions a new primitive starts with, with
+ *   lengths in millimetres (see `defaultDimensions` in `units.js`).
+ * - `fields`: the inspector inputs, in order. `min`, `max` and `integer` constrain typed values;
+ *   `integer` and `angle` fields are not lengths, so units, snapping and variables skip them. The
+ *   `min` and `step` of length fields are in millimetres (see `fieldInUnit` in `units.js`).
+ *   `limit(dimensions)` caps a field by the other dimensions of the same shape.
+ * - `createGeometry(dimensions, { segments, mesh, sketch })`: geometry centered on the origin in
+ *   three.js axes (Y up). `segments` is the radial resolution; the CSG fold and the ghosts use
+ *   different values. `mesh` is the primitive's imported triangles, set only for `imported` types.
+ * - `imported`: the shape comes from a file (see `meshes.js`), so it is never offered in the
+ *   toolbar or as a type to switch to.
+ * - `sketched`: the shape is built from the primitive's `sketch` (see `sketches.js`), with the
+ *   origin on the sketch plane rather than at the centre. Sketched types are created from the
+ *   sketch editor, not the toolbar.
+ * - `scaleDimensions(dimensions, scale)`: maps a resize-gizmo scale vector onto new dimensions, or
+ *   returns null when the shape cannot be resized that way. Callers clamp and round the result.
+ * - `dimensionArrows(dimensions, { sketch, millimeter })`: the in-viewport dimension arrows, laid
+ *   out around the local origin with gaps sized in `millimeter`s of the document unit.
+ *   `apply(value)` turns an edited arrow value into an unclamped dimensions patch, and
+ *   `bind(expression)` does the same for a variable expression typed on the arrow.
+ * - `dimensionWarnings(dimensions)`: optional inspector messages about dimensions that the geometry
+ *   cannot honour as given, such as a limit exceeded through a variable or a later resize.
+ *
+ * Adding a shape means adding an entry here; nothing else branches on the type.
+ */
+
+const LENGTH_FIELD = { step: 0.25, min: 0.1 };
+const RADIUS_FIELD = { step: 0.1, min: 0.1 };
+
+const scaled = (value, factor) => value * Math.abs(factor);
+const shown = (value) => roundValue(value, 6);
+const halfOf = (expression) => `(${expression}) / 2`;
+const radialScale = (scale) => (Math.abs(scale.x) + Math.abs(scale.z)) / 2;
+const uniformScale = (scale) => (Math.abs(scale.x) + Math.abs(scale.y) + Math.abs(scale.z)) / 3;
+
+const boxArrows = ({ width, height, depth }, { millimeter = 1 } = {}) => {
+  const halfWidth = width / 2;
+  const halfDepth = depth / 2;
+  const halfHeight = height / 2;
+  const [above, aside, behind] = [0.2, 0.6, 0.4].map((gap) => gap * millimeter);
+
+  return [
+    {
+      key: 'width',
+      label: 'Width (X)',
+      value: shown(width),
+      start: [-halfWidth, halfHeight + above, halfDepth + aside],
+      end: [halfWidth, halfHeight + above, halfDepth + aside],
+      apply: (value) => ({ width: value }),
+      bind: (expression) => ({ width: expression }),
+    },
+    {
+      key: 'depth',
+      label: 'Depth (Y)',
+      value: shown(depth),
+      start: [halfWidth + aside, halfHeight + above, -halfDepth],
+      end: [halfWidth + aside, halfHeight + above, halfDepth],
+      apply: (value) => ({ depth: value }),
+      bind: (expression) => ({ depth: expression }),
+    },
+    {
+      key: 'height',
+      label: 'Height (Z)',
+      value: shown(height),
+      start: [-halfWidth - aside, -halfHeight, -halfDepth - behind],
+      end: [-halfWidth - aside, halfHeight, -halfDepth - behind],
+      apply: (value) => ({ height: value }),
+      bind: (expression) => ({ height: expression }),
+    },
+  ];
+};
+
+const heightArrow = (height, offsetX) => ({
+  key: 'height',
+  label: 'Height (Z)',
+  value: shown(height),
+  start: [offsetX, -height / 2, 0],
+  end: [offsetX, height / 2, 0],
+  apply: (value) => ({ height: value }),
+  bind: (expression) => ({ height: expression }),
+});
+
+const diameterArrow = (key, label, radius, offsetY) => ({
+  key,
+  label,
+  value: shown(radius * 2),
+  start: [-radius, offsetY, 0],
+  end: [radius, offsetY, 0],
+  apply: (value) => ({ [key]: value / 2 }),
+  bind: (expression) => ({ [key]: halfOf(expression) }),
+});
+
+const boxFields = [
+  { key: 'width', label: 'Width', ...LENGTH_FIELD },
+  { key: 'height', label: 'Height', ...LENGTH_FIELD },
+  { key: 'depth', label: 'Depth', ...LENGTH_FIELD },
+];
+
+const scaleBox = (dimensions, scale) => ({
+  ...dimensions,
+  width: scaled(dimensions.width, scale.x),
+  height: scaled(dimensions.height, scale.y),
+  depth: scaled(dimensions.depth, scale.z),
+});
+
+// Fillets and chamfers round off every edge of a shape, so each is at most half its smallest side.
+const edgeFields = (limit) => [
+  { key: 'fillet', label: 'Fillet Radius', step: 0.05, min: 0, limit },
+  { key: 'chamfer', label: 'Chamfer', step: 0.05, min: 0, limit },
+];
+
+const edgeSizes = ({ fillet = 0, chamfer = 0 }, limit) => ({
+  fillet: Math.min(fillet, limit),
+  chamfer: fillet > 0 ? 0 : Math.min(chamfer, limit),
+});
+
+const edgeWarnings = (limit) => (dimensions) => {
+  const { fillet = 0, chamfer = 0 } = dimensions;
+  const max = roundValue(limit(dimensions), 4);
+  return [
+    fillet > max && `The fillet is capped at ${max}, half the smallest side.`,
+    fillet > 0 && chamfer > 0 && 'The fillet replaces the chamfer; set it to 0 to chamfer the edges instead.',
+    fillet === 0 && chamfer > max && `The chamfer is capped at ${max}, half the smallest side.`,
+  ].filter(Boolean);
+};
+
+const boxEdgeLimit = ({ width, height, depth }) => Math.min(width, height, depth) / 2;
+
+const cylinderEdgeLimit = ({ radius, height }) => Math.min(radius * 2, height) / 2;
+
+// Quarter-circle steps of a fillet, from the shape's radial resolution.
+const filletSteps = (segments) => Math.max(2, Math.round(segments / 8));
+
+// Rounded and chamfered shapes are convex, so their hull is watertight and closed for the CSG fold.
+const hullGeometry = (points) => {
+  const unique = new Map(points.map((point) => [point.toArray().map((value) => value.toFixed(6)).join(), point]));
+  return new ConvexGeometry([...unique.values()]);
+};
+
+const BOX_CORNERS = [-1, 1].flatMap((x) => [-1, 1].flatMap((y) => [-1, 1].map((z) => new THREE.Vector3(x, y, z))));
+
+const createBoxGeometry = (dimensions, { segments }) => {
+  const { width, height, depth } = dimensions;
+  const { fillet, chamfer } = edgeSizes(dimensions, boxEdgeLimit(dimensions));
+  if (fillet <= 0 && chamfer <= 0) return new THREE.BoxGeometry(width, height, depth);
+
+  const half = new THREE.Vector3(width / 2, height / 2, depth / 2);
+  const points = BOX_CORNERS.flatMap((corner) => {
+    if (chamfer > 0) {
+      // Each corner is cut back by the chamfer along two axes at a time.
+      return [0, 1, 2].map((axis) => {
+        const inset = half.clone().subScalar(chamfer).setComponent(axis, half.getComponent(axis));
+        return inset.multiply(corner);
+      });
+    }
+    const center = half.clone().subScalar(fillet).multiply(corner);
+    const steps = filletSteps(segments);
+    return Array.from({ length: steps + 1 }, (_, i) => (i / steps) * (Math.PI / 2)).flatMap((polar) =>
+      Array.from({ length: steps + 1 }, (_, j) => (j / steps) * (Math.PI / 2)).map((azimuth) =>
+        new THREE.Vector3(Math.sin(polar) * Math.cos(azimuth), Math.cos(polar), Math.sin(polar) * Math.sin(azimuth))
+          .multiply(corner)
+          .multiplyScalar(fillet)
+          .add(center)
+      )
+    );
+  });
+  return hullGeometry(points);
+};
+
+const createCylinderGeometry = (dimensions, { segments }) => {
+  const { radius, height } = dimensions;
+  const { fillet, chamfer } = edgeSizes(dimensions, cylinderEdgeLimit(dimensions));
+  if (fillet <= 0 && chamfer <= 0) return new THREE.CylinderGeometry(radius, radius, height, segments);
+
+  // The top rim profile as (radial, height) pairs, mirrored for the bottom and swept around the axis.
+  const steps = filletSteps(segments);
+  const rim =
+    chamfer > 0
+      ? [
+          [radius, height / 2 - chamfer],
+          [radius - chamfer, height / 2],
+        ]
+      : Array.from({ length: steps + 1 }, (_, i) => (i / steps) * (Math.PI / 2)).map((angle) => [
+          radius - fillet + fillet * Math.cos(angle),
+          height / 2 - fillet + fillet * Math.sin(angle),
+        ]);
+  const profile = rim.flatMap(([radial, y]) => [
+    [radial, y],
+    [radial, -y],
+  ]);
+  const points = Array.from({ length: segments }, (_, index) => (index / segments) * Math.PI * 2).flatMap((angle) =>
+    profile.map(([radial, y]) => new THREE.Vector3(radial * Math.sin(angle), y, radial * Math.cos(angle)))
+  );
+  return hullGeometry(points);
+};
+
+// Right-angled wedge: full height along its -X face, sloping down to the +X bottom edge.
+const createWedgeGeometry = ({ width, height, depth }) => {
+  const x = width / 2;
+  const y = height / 2;
+  const z = depth / 2;
+  const corners = {
+    lowBackLeft: [-x, -y, -z],
+    lowBackRight: [x, -y, -z],
+    topBack: [-x, y, -z],
+    lowFrontLeft: [-x, -y, z],
+    lowFrontRight: [x, -y, z],
+    topFront: [-x, y, z],
+  };
+  const triangles = [
+    ['lowFrontLeft', 'lowFrontRight', 'topFront'],
+    ['lowBackLeft', 'topBack', 'lowBackRight'],
+    ['lowBackLeft', 'lowBackRight', 'lowFrontRight'],
+    ['lowBackLeft', 'lowFrontRight', 'lowFrontLeft'],
+    ['lowBackLeft', 'lowFrontLeft', 'topFront'],
+    ['lowBackLeft', 'topFront', 'topBack'],
+    ['lowBackRight', 'topBack', 'topFront'],
+    ['lowBackRight', 'topFront', 'lowFrontRight'],
+  ];
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute(
+    'position',
+    new THREE.Float32BufferAttribute(triangles.flatMap((triangle) => triangle.flatMap((name) => corners[name])), 3)
+  );
+  geometry.computeVertexNormals();
+  return geometry;
+};
+
+export const PRIMITIVE_TYPES = {
+  box: {
+    label: 'Box',
+    dimensions: { width: 2, height: 2, depth: 2, fillet: 0, chamfer: 0 },
+    fields: [...boxFields, ...edgeFields(boxEdgeLimit)],
+    createGeometry: createBoxGeometry,
+    scaleDimensions: scaleBox,
+    dimensionArrows: boxArrows,
+    dimensionWarnings: edgeWarnings(boxEdgeLimit),
+  },
+  sphere: {
+    label: 'Sphere',
+    dimensions: { radius: 1.5 },
+    defaultOperation: 'subtract',
+    fields: [{ key: 'radius', label: 'Radius', ...RADIUS_FIELD }],
+    createGeometry: ({ radius }, { segments }) =>
+      new THREE.SphereGeometry(radius, segments, Math.max(8, Math.round(segments / 1.5))),
+    scaleDimensions: ({ radius }, scale) => ({ radius: scaled(radius, uniformScale(scale)) }),
+    dimensionArrows: ({ radius }, { millimeter = 1 } = {}) => [
+      {
+        key: 'diameter',
+        label: 'Diameter',
+        value: shown(radius * 2),
+        start: [radius + 0.8 * millimeter, -radius, 0],
+        end: [radius + 0.8 * millimeter, radius, 0],
+        apply: (value) => ({ radius: value / 2 }),
+        bind: (expression) => ({ radius: halfOf(expression) }),
+      },
+    ],
+  },
+  cylinder: {
+    label: 'Cylinder',
+    dimensions: { radius: 1.1, height: 3, fillet: 0, chamfer: 0 },
+    fields: [
+      { key: 'radius', label: 'Radius', ...RADIUS_FIELD },
+      { key: 'height', label: 'Height', ...RADIUS_FIELD },
+      ...edgeFields(cylinderEdgeLimit),
+    ],
+    createGeometry: createCylinderGeometry,
+    scaleDimensions: (dimensions, scale) => ({
+      ...dimensions,
+      radius: scaled(dimensions.radius, radialScale(scale)),
+      height: scaled(dimensions.height, scale.y),
+    }),
+    dimensionArrows: ({ radius, height }, { millimeter = 1 } = {}) => [
+      heightArrow(height, radius + 0.7 * millimeter),
+      diameterArrow('radius', 'Diameter', radius, height / 2 + 0.3 * millimeter),
+    ],
+    dimensionWarnings: edgeWarnings(cylinderEdgeLimit),
+  },
+  cone: {
+    label: 'Cone',
+    dimensions: { bottomRadius: 1.2, topRadius: 0.4, height: 2.5 },
+    fields: [
+      { key: 'bottomRadius', label: 'Bottom Radius', ...RADIUS_FIELD },
+      { key: 'topRadius', label: 'Top Radius', step: 0.1, min: 0 },
+      { key: 'height', label: 'Height', ...RADIUS_FIELD },
+    ],
+    createGeometry: ({ bottomRadius, topRadius, height }, { segments }) =>
+      new THREE.CylinderGeometry(topRadius, bottomRadius, height, segments),
+    scaleDimensions: ({ bottomRadius, topRadius, height }, scale) => ({
+      bottomRadius: scaled(bottomRadius, radialScale(scale)),
+      topRadius: topRadius > 0 ? scaled(topRadius, radialScale(scale)) : 0,
+      height: scaled(height, scale.y),
+    }),
+    dimensionArrows: ({ bottomRadius, topRadius, height }, { millimeter = 1 } = {}) => [
+      heightArrow(height, Math.max(bottomRadius, topRadius) + 0.7 * millimeter),
+      diameterArrow('bottomRadius', 'Bottom Dia.', bottomRadius, -height / 2 - 0.3 * millimeter),
+      ...(topRadius > 0 ? [diameterArrow('topRadius', 'Top Dia.', topRadius, height / 2 + 0.3 * millimeter)] : []),
+    ],
+  },
+  torus: {
+    label: 'Torus',
+    dimensions: { majorRadius: 1.5, minorRadius: 0.4 },
+    fields: [
+      { key: 'majorRadius', label: 'Ring Radius', ...RADIUS_FIELD },
+      { key: 'minorRadius', label: 'Tube Radius', step: 0.05, min: 0.05 },
+    ],
+    createGeometry: ({ majorRadius, minorRadius }, { segments }) => {
+      // A tube wider than the ring would self-intersect, which the BSP fold cannot handle.
+      const tube = Math.min(minorRadius, majorRadius * 0.95);
+      const geometry = new THREE.TorusGeometry(majorRadius, tube, Math.max(8, Math.round(segments / 2)), segments);
+      geometry.rotateX(Math.PI / 2);
+      return geometry;
+    },
+    scaleDimensions: ({ majorRadius, minorRadius }, scale) => ({
+      majorRadius: scaled(majorRadius, radialScale(scale)),
+      minorRadius: scaled(minorRadius, scale.y),
+    }),
+    dimensionArrows: ({ majorRadius, minorRadius }, { millimeter = 1 } = {}) => [
+      diameterArrow('majorRadius', 'Ring Dia.', majorRadius, minorRadius + 0.3 * millimeter),
+      {
+        key: 'minorRadius',
+        label: 'Tube Dia.',
+        value: shown(minorRadius * 2),
+        start: [majorRadius + minorRadius + 0.5 * millimeter, -minorRadius, 0],
+        end: [majorRadius + minorRadius + 0.5 * millimeter, minorRadius, 0],
+        apply: (value) => ({ minorRadius: value / 2 }),
+        bind: (expression) => ({ minorRadius: halfOf(expression) }),
+      },
+    ],
+  },
+  wedge: {
+    label: 'Wedge',
+    dimensions: { width: 2, height: 1.5, depth: 2 },
+    fields: boxFields,
+    createGeometry: createWedgeGeometry,
+    scaleDimensions: scaleBox,
+    dimensionArrows: boxArrows,
+  },
+  prism: {
+    label: 'Prism',
+    dimensions: { sides: 6, radius: 1.2, height: 2 },
+    fields: [
+      { key: 'sides', label: 'Sides', step: 1, min: 3, max: 64, integer: true },
+      { key: 'radius', label: 'Corner Radius', ...RADIUS_FIELD },
+      { key: 'height', label: 'Height', ...RADIUS_FIELD },
+    ],
+    createGeometry: ({ sides, radius, height }) => {
+      // Flat normals keep the faces crisp instead of shading the prism like a cylinder.
+      const geometry = new THREE.CylinderGeometry(radius, radius, height, sides).toNonIndexed();
+      geometry.computeVertexNormals();
+      return geometry;
+    },
+    scaleDimensions: ({ sides, radius, height }, scale) => ({
+      sides,
+      radius: scaled(radius, radialScale(scale)),
+      height: scaled(height, scale.y),
+    }),
+    dimensionArrows: ({ radius, height }, { millimeter = 1 } = {}) => [
+      heightArrow(height, radius + 0.7 * millimeter),
+      diameterArrow('radius', 'Corner Dia.', radius, height / 2 + 0.3 * millimeter),
+    ],
+  },
+  capsule: {
+    label: 'Capsule',
+    dimensions: { radius: 0.8, height: 3 },
+    fields: [
+      { key: 'radius', label: 'Radius', ...RADIUS_FIELD },
+      { key: 'height', label: 'Overall Height', ...RADIUS_FIELD },
+    ],
+    createGeometry: ({ radius, height }, { segments }) => {
+      const capSegments = Math.max(4, Math.round(segments / 4));
+      return new THREE.CapsuleGeometry(radius, Math.max(0, height - radius * 2), capSegments, segments);
+    },
+    scaleDimensions: ({ radius, height }, scale) => ({
+      radius: scaled(radius, radialScale(scale)),
+      height: scaled(height, scale.y),
+    }),
+    dimensionArrows: ({ radius, height }, { millimeter = 1 } = {}) => [
+      heightArrow(Math.max(height, radius * 2), radius + 0.7 * millimeter),
+      diameterArrow('radius', 'Diameter', radius, Math.max(height / 2, radius) + 0.3 * millimeter),
+    ],
+  },
+  extrude: {
+    label: 'Extrusion',
+    sketched: true,
+    dimensions: { depth: 5 },
+    fields: [{ key: 'depth', label: 'Depth', ...LENGTH_FIELD }],
+    createGeometry: ({ depth }, { segments, sketch }) => createExtrudeGeometry(sketch, depth, segments),
+    // The profile is fixed by the sketch, so only the resize handle along the normal does anything.
+    scaleDimensions: ({ depth }, scale) => ({ depth: scaled(depth, scale.y) }),
+    dimensionArrows: ({ depth }, { sketch, millimeter = 1 }) => {
+      const { max } = sketchBounds(sketch);
+      const aside = max[0] + 0.6 * millimeter;
+      return [
+        {
+          key: 'depth',
+          label: 'Depth',
+          value: shown(depth),
+          start: [aside, 0, max[1]],
+          end: [aside, depth, max[1]],
+          apply: (value) => ({ depth: value }),
+          bind: (expression) => ({ depth: expression }),
+        },
+      ];
+    },
+  },
+  revolve: {
+    label: 'Revolution',
+    sketched: true,
+    dimensions: { angle: 360 },
+    fields: [{ key: 'angle', label: 'Angle', step: 15, min: 1, max: 360, angle: true }],
+    createGeometry: ({ angle }, { segments, sketch }) => createRevolveGeometry(sketch, angle, segments),
+    scaleDimensions: () => null,
+    dimensionArrows: () => [],
+  },
+  mesh: {
+    label: 'Imported Mesh',
+    imported: true,
+    dimensions: { size: 10 },
+    fields: [{ key: 'size', label: 'Size', ...LENGTH_FIELD }],
+    createGeometry: ({ size: side }, { mesh }) => meshGeometry(mesh, side),
+    // Imported shapes only scale uniformly, so any resize handle scales the whole mesh.
+    scaleDimensions: ({ size: side }, scale) => ({ size: scaled(side, uniformScale(scale)) }),
+    dimensionArrows: ({ size: side }, { millimeter = 1 } = {}) => [
+      {
+        key: 'size',
+        label: 'Size',
+        value: shown(side),
+        start: [-side / 2, side / 2 + 0.3 * millimeter, 0],
+        end: [side / 2, side / 2 + 0.3 * millimeter, 0],
+        apply: (value) => ({ size: value }),
+        bind: (expression) => ({ size: expression }),
+      },
+    ],
+  },
+};
+
+export const PRIMITIVE_TYPE_KEYS = Object.keys(PRIMITIVE_TYPES);
+
+export const CREATABLE_TYPE_KEYS = PRIMITIVE_TYPE_KEYS.filter(
+  (key) => !PRIMITIVE_TYPES[key].imported && !PRIMITIVE_TYPES[key].sketched
+);
+
+export const getPrimitiveType = (type) => PRIMITIVE_TYPES[type] ?? PRIMITIVE_TYPES.box;
+
+/**
+ * Distance from a primitive's center down to its lowest point, used to rest new shapes on the grid.
+ */
+export const restingHeight = (type, dimensions, { mesh } = {}) => {
+  const geometry = getPrimitiveType(type).createGeometry(dimensions, { segments: 16, mesh });
+  geometry.computeBoundingBox();
+  const height = -geometry.boundingBox.min.y;
+  geometry.dispose();
+  return roundValue(height, 6);
+};
+
+export const isLengthField = (field) => !field.integer && !field.angle;
+
+/** Clamps a typed value into a field's range, including its `limit` when `dimensions` are given. */
+export const clampField = (field, value, dimensions) => {
+  const max = Math.min(field.max ?? Infinity, field.limit && dimensions ? field.limit(dimensions) : Infinity);
+  const bounded = Math.min(max, Math.max(field.min ?? -Infinity, value));
+  return field.integer ? Math.round(bounded) : bounded;
+};
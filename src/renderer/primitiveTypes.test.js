@@ -0,0 +1,79 @@
+import * as THREE from 'three';
+import { describe, expect, it } from 'vitest';
+import {
+  clampField,
+  CREATABLE_TYPE_KEYS,
+  getPrimitiveType,
+  PRIMITIVE_TYPES,
+  restingHeight,
+} from './primitiveTypes.js';
+
+describe('PRIMITIVE_TYPES', () => {
+  it.each(CREATABLE_TYPE_KEYS)('%s builds a closed shape with an input for every dimension', (type) => {
+    const { dimensions, fields, createGeometry } = PRIMITIVE_TYPES[type];
+    expect(fields.map((field) => field.key).sort()).toEqual(Object.keys(dimensions).sort());
+
+    const geometry = createGeometry(dimensions, { segments: 16 });
+    expect(geometry.attributes.position.count).toBeGreaterThan(0);
+    geometry.computeBoundingBox();
+    expect(restingHeight(type, dimensions)).toBeCloseTo(-geometry.boundingBox.min.y, 2);
+  });
+
+  it('maps resize scales onto dimensions', () => {
+    const box = PRIMITIVE_TYPES.box.scaleDimensions({ width: 2, height: 2, depth: 2 }, { x: 2, y: -0.5, z: 1 });
+    expect(box).toEqual({ width: 4, height: 1, depth: 2 });
+    const sphere = PRIMITIVE_TYPES.sphere.scaleDimensions({ radius: 1 }, { x: 3, y: 3, z: 3 });
+    expect(sphere).toEqual({ radius: 3 });
+  });
+
+  it('turns edited arrow values into dimension patches', () => {
+    const [, depth] = PRIMITIVE_TYPES.box.dimensionArrows({ width: 2, height: 1, depth: 3 });
+    expect(depth.value).toBe(3);
+    expect(depth.apply(5)).toEqual({ depth: 5 });
+    const [diameter] = PRIMITIVE_TYPES.sphere.dimensionArrows({ radius: 1.5 });
+    expect(diameter.apply(4)).toEqual({ radius: 2 });
+  });
+});
+
+describe('fillets and chamfers', () => {
+  const sizeOf = (geometry) => {
+    geometry.computeBoundingBox();
+    return geometry.boundingBox.getSize(new THREE.Vector3()).toArray().map((value) => Math.round(value * 1e6) / 1e6);
+  };
+
+  it.each(['box', 'cylinder'])('round off the edges of a %s without changing its size', (type) => {
+    const { dimensions, createGeometry } = PRIMITIVE_TYPES[type];
+    const square = createGeometry(dimensions, { segments: 16 });
+    [{ fillet: 0.5 }, { chamfer: 0.5 }].forEach((edges) => {
+      const rounded = createGeometry({ ...dimensions, ...edges }, { segments: 16 });
+      expect(rounded.attributes.position.count).not.toBe(square.attributes.position.count);
+      expect(sizeOf(rounded)).toEqual(sizeOf(square));
+    });
+  });
+
+  it('caps both at half the smallest side and says so', () => {
+    const dimensions = { width: 2, height: 1, depth: 3, fillet: 0.8, chamfer: 0.2 };
+    const fillet = PRIMITIVE_TYPES.box.fields.find((field) => field.key === 'fillet');
+    expect(clampField(fillet, 0.8, dimensions)).toBe(0.5);
+    expect(clampField(fillet, 0.8)).toBe(0.8);
+    expect(PRIMITIVE_TYPES.box.dimensionWarnings(dimensions)).toEqual([
+      'The fillet is capped at 0.5, half the smallest side.',
+      'The fillet replaces the chamfer; set it to 0 to chamfer the edges instead.',
+    ]);
+    expect(PRIMITIVE_TYPES.cylinder.dimensionWarnings({ radius: 1, height: 3, fillet: 0, chamfer: 0.4 })).toEqual([]);
+  });
+});
+
+describe('CREATABLE_TYPE_KEYS', () => {
+  it('leaves out imported meshes and sketched shapes', () => {
+    expect(CREATABLE_TYPE_KEYS).toContain('box');
+    expect(CREATABLE_TYPE_KEYS).not.toContain('mesh');
+    expect(CREATABLE_TYPE_KEYS).not.toContain('extrude');
+  });
+});
+
+describe('getPrimitiveType', () => {
+  it('falls back to the box for unknown types', () => {
+    expect(getPrimitiveType('teapot')).toBe(PRIMITIVE_TYPES.box);
+  });
+});
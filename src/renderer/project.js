@@ -0,0 +1,303 @@
+import { FEATURE_SCOPES, FEATURE_TYPES } from './features.js';
+import { meshSource } from './meshes.js';
+import { OPERATIONS } from './operations.js';
+import { parseSketch, sketchLoops } from './sketches.js';
+import { GROUP_TYPE, isGroup } from './tree.js';
+import { DEFAULT_UNIT, UNITS } from './units.js';
+
+export const PROJECT_FORMAT = 'cad3d-project';
+export const PROJECT_VERSION = 10;
+export const PROJECT_EXTENSION = 'cad3d';
+export const CLIPBOARD_FORMAT = 'cad3d-clipboard';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isNumberRecord = (value) =>
+  isPlainObject(value) && Object.values(value).every((entry) => typeof entry === 'number' && Number.isFinite(entry));
+
+const BINDING_PATH_PATTERN = /^(position|dimensions)\.\w+$/;
+
+const isVector = (value) => isNumberRecord(value) && ['x', 'y', 'z'].every((axis) => axis in value);
+
+// Each entry upgrades a primitive from the version before it to the version named by its key.
+const PRIMITIVE_MIGRATIONS = {
+  2: (primitive) => ({ ...primitive, rotation: { x: 0, y: 0, z: 0 } }),
+  // Version 3 introduced groups; primitives themselves did not change.
+  3: (primitive) => primitive,
+  // Version 4 added the document unit at the project level.
+  4: (primitive) => primitive,
+  // Version 5 added the variable table and optional per-primitive `bindings`.
+  5: (primitive) => primitive,
+  // Version 6 added imported mesh primitives, which carry their triangles in `mesh`.
+  6: (primitive) => primitive,
+  // Version 7 added sketched primitives, which carry their profile in `sketch`.
+  7: (primitive) => primitive,
+  // Version 8 added the feature list at the project level.
+  8: (primitive) => primitive,
+  // Version 9 added mirror features and features that repeat the whole model.
+  9: (primitive) => primitive,
+  // Version 10 added fillet and chamfer sizes to boxes and cylinders.
+  10: (primitive) =>
+    ['box', 'cylinder'].includes(primitive.type)
+      ? { ...primitive, dimensions: { fillet: 0, chamfer: 0, ...primitive.dimensions } }
+      : primitive,
+};
+
+const migratePrimitive = (primitive, fromVersion) => {
+  let migrated = primitive;
+  for (let version = fromVersion + 1; version <= PROJECT_VERSION; version += 1) {
+    migrated = PRIMITIVE_MIGRATIONS[version](migrated);
+  }
+  return migrated;
+};
+
+const copyEntity = (entity) =>
+  Object.fromEntries(Object.entries(entity).map(([key, value]) => [key, Array.isArray(value) ? [...value] : value]));
+
+const serializeNode = (node) => {
+  if (isGroup(node)) {
+    const { id, name, type, operation, children } = node;
+    return { id, name, type, operation, children: children.map(serializeNode) };
+  }
+
+  const { id, name, type, operation, position, rotation, dimensions, bindings, mesh, sketch } = node;
+  return {
+    id,
+    name,
+    type,
+    operation,
+    position: { ...position },
+    rotation: { ...rotation },
+    dimensions: { ...dimensions },
+    ...(bindings ? { bindings: { ...bindings } } : {}),
+    ...(mesh ? { mesh: { name: mesh.name, data: mesh.data } } : {}),
+    ...(sketch ? { sketch: { plane: sketch.plane, entities: sketch.entities.map(copyEntity) } } : {}),
+  };
+};
+
+/**
+ * Builds the on-disk representation of a project. Node order is significant because the CSG
+ * fold runs top to bottom within each group, so the tree is written exactly as it is listed.
+ */
+export function serializeProject({ primitives, features, unit, variables, viewport }) {
+  const project = {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    unit,
+    variables: variables.map(({ name, expression }) => ({ name, expression })),
+    primitives: primitives.map(serializeNode),
+    features: features.map((feature) => ({ ...feature, sourceIds: [...feature.sourceIds] })),
+    viewport: { ...viewport },
+  };
+
+  return `${JSON.stringify(project, null, 2)}\n`;
+}
+
+const parseNode = (entry, where, context) => {
+  const { types, version, seenIds } = context;
+  if (!isPlainObject(entry)) throw new Error(`${where} is malformed.`);
+  if (typeof entry.id !== 'string' || !entry.id) throw new Error(`${where} has no id.`);
+  if (seenIds.has(entry.id)) throw new Error(`${where} reuses the id "${entry.id}".`);
+  if (!Object.hasOwn(OPERATIONS, entry.operation)) {
+    throw new Error(`${where} has an unknown operation "${entry.operation}".`);
+  }
+  seenIds.add(entry.id);
+
+  const name = typeof entry.name === 'string' ? entry.name : '';
+
+  if (entry.type === GROUP_TYPE && version >= 3) {
+    if (!Array.isArray(entry.children)) throw new Error(`${where} is a group without children.`);
+    return {
+      id: entry.id,
+      name,
+      type: GROUP_TYPE,
+      operation: entry.operation,
+      children: entry.children.map((child, index) => parseNode(child, `${where}.${index + 1}`, context)),
+    };
+  }
+
+  const primitive = migratePrimitive(entry, version);
+  if (!Object.hasOwn(types, primitive.type)) throw new Error(`${where} has an unknown type "${primitive.type}".`);
+  if (!isVector(primitive.position)) throw new Error(`${where} has an invalid position.`);
+  if (!isVector(primitive.rotation)) throw new Error(`${where} has an invalid rotation.`);
+  const requiredDimensions = Object.keys(types[primitive.type].dimensions);
+  if (!isNumberRecord(primitive.dimensions) || !requiredDimensions.every((key) => key in primitive.dimensions)) {
+    throw new Error(`${where} has invalid dimensions.`);
+  }
+  const bindings = primitive.bindings ?? {};
+  if (
+    !isPlainObject(bindings) ||
+    !Object.entries(bindings).every(
+      ([path, expression]) => BINDING_PATH_PATTERN.test(path) && typeof expression === 'string'
+    )
+  ) {
+    throw new Error(`${where} has invalid field bindings.`);
+  }
+  let mesh = null;
+  if (types[primitive.type].imported) {
+    const { name: meshName, data } = isPlainObject(primitive.mesh) ? primitive.mesh : {};
+    if (typeof meshName !== 'string' || typeof data !== 'string') throw new Error(`${where} has no mesh data.`);
+    mesh = meshSource(meshName, data);
+  }
+  let sketch = null;
+  if (types[primitive.type].sketched) {
+    sketch = parseSketch(primitive.sketch, where);
+    try {
+      sketchLoops(sketch);
+    } catch (error) {
+      throw new Error(`${where} has an unusable sketch: ${error.message}`);
+    }
+  }
+
+  return {
+    id: primitive.id,
+    name,
+    type: primitive.type,
+    operation: primitive.operation,
+    position: { x: primitive.position.x, y: primitive.position.y, z: primitive.position.z },
+    rotation: { x: primitive.rotation.x, y: primitive.rotation.y, z: primitive.rotation.z },
+    dimensions: { ...primitive.dimensions },
+    ...(Object.keys(bindings).length ? { bindings: { ...bindings } } : {}),
+    ...(mesh ? { mesh } : {}),
+    ...(sketch ? { sketch } : {}),
+  };
+};
+
+const parseVariables = (entries) => {
+  if (entries === undefined) return [];
+  if (!Array.isArray(entries)) throw new Error('The variable table is malformed.');
+  const names = new Set();
+  return entries.map((entry, index) => {
+    const where = `Variable #${index + 1}`;
+    if (!isPlainObject(entry) || typeof entry.name !== 'string' || typeof entry.expression !== 'string') {
+      throw new Error(`${where} is malformed.`);
+    }
+    if (names.has(entry.name)) throw new Error(`${where} reuses the name "${entry.name}".`);
+    names.add(entry.name);
+    return { name: entry.name, expression: entry.expression };
+  });
+};
+
+const parseFeatureValue = (field, value) => {
+  if (field.vector) return isVector(value) ? { x: value.x, y: value.y, z: value.z } : null;
+  if (field.options) return Object.hasOwn(field.options, value) ? value : null;
+  if (typeof value !== 'number' || !Number.isFinite(value)) return null;
+  return Math.min(field.max ?? Infinity, Math.max(field.min ?? -Infinity, field.integer ? Math.round(value) : value));
+};
+
+const parseFeatures = (entries) => {
+  if (entries === undefined) return [];
+  if (!Array.isArray(entries)) throw new Error('The feature list is malformed.');
+  const ids = new Set();
+  return entries.map((entry, index) => {
+    const where = `Feature #${index + 1}`;
+    if (!isPlainObject(entry) || typeof entry.id !== 'string' || !entry.id) throw new Error(`${where} is malformed.`);
+    if (ids.has(entry.id)) throw new Error(`${where} reuses the id "${entry.id}".`);
+    ids.add(entry.id);
+    if (!Object.hasOwn(FEATURE_TYPES, entry.type)) throw new Error(`${where} has an unknown type "${entry.type}".`);
+    if (!Array.isArray(entry.sourceIds) || !entry.sourceIds.every((id) => typeof id === 'string')) {
+      throw new Error(`${where} has an invalid source list.`);
+    }
+    const scope = entry.scope ?? 'selection';
+    if (!Object.hasOwn(FEATURE_SCOPES, scope)) throw new Error(`${where} has an unknown scope "${scope}".`);
+
+    const parameters = Object.fromEntries(
+      FEATURE_TYPES[entry.type].fields.map((field) => {
+        const value = parseFeatureValue(field, entry[field.key]);
+        if (value === null) throw new Error(`${where} has an invalid ${field.label.toLowerCase()}.`);
+        return [field.key, value];
+      })
+    );
+    return {
+      id: entry.id,
+      name: typeof entry.name === 'string' ? entry.name : '',
+      type: entry.type,
+      scope,
+      sourceIds: [...entry.sourceIds],
+      ...parameters,
+    };
+  });
+};
+
+/**
+ * Parses and validates a project file against the primitive type registry. Throws with a
+ * user-facing message when the file is not a CAD3D project or was written by a newer version.
+ */
+export function parseProject(text, { types }) {
+  let project;
+  try {
+    project = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON.');
+  }
+
+  if (!isPlainObject(project) || project.format !== PROJECT_FORMAT) {
+    throw new Error('The file is not a CAD3D project.');
+  }
+
+  if (!Number.isInteger(project.version) || project.version < 1) {
+    throw new Error('The project version is missing or invalid.');
+  }
+
+  if (project.version > PROJECT_VERSION) {
+    throw new Error(`The project was saved by a newer version of CAD3D (format v${project.version}).`);
+  }
+
+  if (!Array.isArray(project.primitives)) {
+    throw new Error('The project does not contain a primitive list.');
+  }
+
+  const unit = project.version >= 4 ? project.unit : DEFAULT_UNIT;
+  if (!Object.hasOwn(UNITS, unit)) throw new Error(`The project uses an unknown unit "${unit}".`);
+
+  const variables = parseVariables(project.variables);
+  const context = { types, version: project.version, seenIds: new Set() };
+  const primitives = project.primitives.map((entry, index) => parseNode(entry, `Item #${index + 1}`, context));
+
+  return {
+    primitives,
+    features: parseFeatures(project.features),
+    unit,
+    variables,
+    viewport: isPlainObject(project.viewport) ? { ...project.viewport } : {},
+  };
+}
+
+/** Builds the clipboard text for copied nodes, written like the project's primitive tree. */
+export const serializeClipboard = ({ nodes, unit }) =>
+  JSON.stringify({ format: CLIPBOARD_FORMAT, version: PROJECT_VERSION, unit, primitives: nodes.map(serializeNode) });
+
+/**
+ * Parses clipboard text written by `serializeClipboard`, in this window or another. Returns null when
+ * the clipboard holds something else and throws when it holds copied shapes that cannot be used.
+ */
+export function parseClipboard(text, { types }) {
+  let payload;
+  try {
+    payload = JSON.parse(text);
+  } catch {
+    return null;
+  }
+  if (!isPlainObject(payload) || payload.format !== CLIPBOARD_FORMAT) return null;
+
+  if (payload.version > PROJECT_VERSION) throw new Error('The shapes were copied from a newer version of CAD3D.');
+  if (
+    !Number.isInteger(payload.version) ||
+    payload.version < 1 ||
+    !Object.hasOwn(UNITS, payload.unit) ||
+    !Array.isArray(payload.primitives)
+  ) {
+    throw new Error('The copied shapes are malformed.');
+  }
+  const context = { types, version: payload.version, seenIds: new Set() };
+  return {
+    unit: payload.unit,
+    primitives: payload.primitives.map((entry, index) => parseNode(entry, `Copied item #${index + 1}`, context)),
+  };
+}
+
+export const fileNameFromPath = (filePath) => {
+  if (!filePath) return 'Untitled';
+  const segments = filePath.split(/[\\/]/);
+  return segments[segments.length - 1];
+};
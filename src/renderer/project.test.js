@@ -0,0 +1,220 @@
+import { describe, expect, it } from 'vitest';
+import { importMeshFile } from './meshes.js';
+import { PRIMITIVE_TYPES as types } from './primitiveTypes.js';
+import {
+  fileNameFromPath,
+  parseClipboard,
+  parseProject,
+  PROJECT_FORMAT,
+  PROJECT_VERSION,
+  serializeClipboard,
+  serializeProject,
+} from './project.js';
+
+const box = {
+  id: 'box-1',
+  name: 'Plate',
+  type: 'box',
+  operation: 'add',
+  position: { x: 1, y: 2, z: 0.5 },
+  rotation: { x: 0, y: 0, z: 30 },
+  dimensions: { width: 4, height: 1, depth: 3, fillet: 0, chamfer: 0 },
+};
+
+const projectText = (overrides) =>
+  JSON.stringify({ format: PROJECT_FORMAT, version: PROJECT_VERSION, unit: 'mm', primitives: [box], ...overrides });
+
+describe('serializeProject / parseProject', () => {
+  it('round-trips the primitive list in order with the unit, variables and viewport settings', () => {
+    const sphere = { ...box, id: 'sphere-1', name: 'Ball', type: 'sphere', dimensions: { radius: 2 } };
+    const bound = { ...box, id: 'box-2', bindings: { 'dimensions.width': 'w * 2' } };
+    const variables = [{ name: 'w', expression: '2' }];
+    const text = serializeProject({
+      primitives: [box, sphere, bound],
+      features: [],
+      unit: 'in',
+      variables,
+      viewport: { showOrigin: false },
+    });
+    const project = parseProject(text, { types });
+    expect(project.primitives).toEqual([box, sphere, bound]);
+    expect(project.unit).toBe('in');
+    expect(project.variables).toEqual(variables);
+    expect(project.viewport).toEqual({ showOrigin: false });
+  });
+
+  it('rejects files that are not projects', () => {
+    expect(() => parseProject('{', { types })).toThrow('The file is not valid JSON.');
+    expect(() => parseProject('{"format":"other"}', { types })).toThrow('The file is not a CAD3D project.');
+    expect(() => parseProject(projectText({ version: 0 }), { types })).toThrow('missing or invalid');
+    expect(() => parseProject(projectText({ primitives: null }), { types })).toThrow(
+      'The project does not contain a primitive list.'
+    );
+    const feet = projectText({ unit: 'ft' });
+    expect(() => parseProject(feet, { types })).toThrow('The project uses an unknown unit "ft".');
+    const w = { name: 'w', expression: '1' };
+    const reused = projectText({ variables: [w, w] });
+    expect(() => parseProject(reused, { types })).toThrow('Variable #2 reuses the name "w".');
+  });
+
+  it('round-trips nested groups and reports errors inside them by path', () => {
+    const group = { id: 'group-1', name: 'Holes', type: 'group', operation: 'subtract', children: [box] };
+    const text = serializeProject({ primitives: [group], features: [], unit: 'mm', variables: [], viewport: {} });
+    const project = parseProject(text, { types });
+    expect(project.primitives).toEqual([group]);
+
+    const teapot = { ...box, id: 'box-2', type: 'teapot' };
+    const broken = projectText({ primitives: [{ ...group, children: [box, teapot] }] });
+    expect(() => parseProject(broken, { types })).toThrow('Item #1.2 has an unknown type "teapot".');
+  });
+
+  it('round-trips imported meshes and rejects missing mesh data', () => {
+    const { source } = importMeshFile('fin.obj', new TextEncoder().encode('v 0 0 0\nv 1 0 0\nv 0 0 1\nf 1 2 3\n'));
+    const fin = { ...box, id: 'mesh-1', type: 'mesh', dimensions: { size: 5 }, mesh: source };
+    const text = serializeProject({ primitives: [fin], features: [], unit: 'mm', variables: [], viewport: {} });
+    expect(parseProject(text, { types }).primitives).toEqual([fin]);
+
+    const { mesh: _mesh, ...bare } = fin;
+    expect(() => parseProject(projectText({ primitives: [bare] }), { types })).toThrow('Item #1 has no mesh data.');
+  });
+
+  it('round-trips sketched primitives and rejects sketches without a closed outline', () => {
+    const sketch = { plane: 'xz', entities: [{ type: 'circle', center: [1, 2], radius: 0.5 }] };
+    const extrusion = { ...box, id: 'extrude-1', type: 'extrude', dimensions: { depth: 4 }, sketch };
+    const text = serializeProject({ primitives: [extrusion], features: [], unit: 'mm', variables: [], viewport: {} });
+    expect(parseProject(text, { types }).primitives).toEqual([extrusion]);
+
+    const open = { ...sketch, entities: [{ type: 'line', from: [0, 0], to: [1, 0] }] };
+    expect(() => parseProject(projectText({ primitives: [{ ...extrusion, sketch: open }] }), { types })).toThrow(
+      'Item #1 has an unusable sketch: The outline is open'
+    );
+  });
+
+  it('round-trips features and rejects unusable ones', () => {
+    const row = {
+      id: 'feature-1',
+      name: 'Row',
+      type: 'linear-pattern',
+      scope: 'selection',
+      sourceIds: ['box-1'],
+      count: 3,
+      spacing: 5,
+      direction: { x: 1, y: 0, z: 0 },
+    };
+    const mirror = { id: 'feature-2', name: 'Half', type: 'mirror', scope: 'model', sourceIds: [] };
+    Object.assign(mirror, { plane: 'xz', offset: 2 });
+    const features = [row, mirror];
+    const text = serializeProject({ primitives: [box], features, unit: 'mm', variables: [], viewport: {} });
+    expect(parseProject(text, { types }).features).toEqual(features);
+
+    const spiral = projectText({ features: [{ ...row, type: 'spiral-pattern' }] });
+    expect(() => parseProject(spiral, { types })).toThrow('Feature #1 has an unknown type "spiral-pattern".');
+    const twice = projectText({ features: [row, row] });
+    expect(() => parseProject(twice, { types })).toThrow('Feature #2 reuses the id "feature-1".');
+    const aimless = projectText({ features: [{ ...row, direction: 1 }] });
+    expect(() => parseProject(aimless, { types })).toThrow('Feature #1 has an invalid direction.');
+    const everywhere = projectText({ features: [{ ...row, scope: 'world' }] });
+    expect(() => parseProject(everywhere, { types })).toThrow('Feature #1 has an unknown scope "world".');
+    const tilted = projectText({ features: [{ ...mirror, plane: 'xyz' }] });
+    expect(() => parseProject(tilted, { types })).toThrow('Feature #1 has an invalid plane.');
+    const orphan = projectText({ features: [{ ...row, sourceIds: 'box-1' }] });
+    expect(() => parseProject(orphan, { types })).toThrow('Feature #1 has an invalid source list.');
+  });
+
+  it('refuses files from a newer version', () => {
+    expect(() => parseProject(projectText({ version: PROJECT_VERSION + 1 }), { types })).toThrow(
+      `The project was saved by a newer version of CAD3D (format v${PROJECT_VERSION + 1}).`
+    );
+  });
+
+  it('names the primitive that fails validation', () => {
+    const twice = projectText({ primitives: [box, box] });
+    expect(() => parseProject(twice, { types })).toThrow('Item #2 reuses the id "box-1".');
+    const teapot = projectText({ primitives: [{ ...box, type: 'teapot' }] });
+    expect(() => parseProject(teapot, { types })).toThrow('Item #1 has an unknown type "teapot".');
+    const flat = projectText({ primitives: [{ ...box, dimensions: { width: 4, depth: 3 } }] });
+    expect(() => parseProject(flat, { types })).toThrow('Item #1 has invalid dimensions.');
+    const xor = projectText({ primitives: [{ ...box, operation: 'xor' }] });
+    expect(() => parseProject(xor, { types })).toThrow('Item #1 has an unknown operation "xor".');
+    const bound = projectText({ primitives: [{ ...box, bindings: { 'rotation.z': 'turn' } }] });
+    expect(() => parseProject(bound, { types })).toThrow('Item #1 has invalid field bindings.');
+    const unplaced = projectText({ primitives: [{ ...box, position: { x: 0, y: 0 } }] });
+    expect(() => parseProject(unplaced, { types })).toThrow('Item #1 has an invalid position.');
+  });
+});
+
+describe('project migrations', () => {
+  const oldProject = (version, primitive, fields = {}) =>
+    JSON.stringify({ format: PROJECT_FORMAT, version, primitives: [primitive], ...fields });
+
+  it('gives version 1 primitives a zero rotation', () => {
+    const { rotation, ...unrotated } = box;
+    const [primitive] = parseProject(oldProject(1, unrotated), { types }).primitives;
+    expect(primitive).toEqual({ ...box, rotation: { x: 0, y: 0, z: 0 } });
+  });
+
+  it('reads a "group" type from before version 3 as an unknown primitive type', () => {
+    const group = { ...box, type: 'group', children: [] };
+    expect(() => parseProject(oldProject(2, group), { types })).toThrow('Item #1 has an unknown type "group".');
+  });
+
+  it('reads projects from before version 4 in millimetres', () => {
+    expect(parseProject(oldProject(3, box), { types }).unit).toBe('mm');
+  });
+
+  it('reads projects from before version 5 with an empty variable table', () => {
+    expect(parseProject(oldProject(4, box, { unit: 'cm' }), { types }).variables).toEqual([]);
+  });
+
+  it('reads projects from before version 8 without features', () => {
+    expect(parseProject(oldProject(7, box, { unit: 'mm' }), { types }).features).toEqual([]);
+  });
+
+  it('reads features from before version 9 as repeating their selection', () => {
+    const pattern = { id: 'f', name: '', type: 'linear-pattern', sourceIds: ['box-1'], count: 2, spacing: 5 };
+    pattern.direction = { x: 0, y: 1, z: 0 };
+    const [feature] = parseProject(oldProject(8, box, { unit: 'mm', features: [pattern] }), { types }).features;
+    expect(feature).toEqual({ ...pattern, scope: 'selection' });
+  });
+
+  it('gives boxes and cylinders from before version 10 square edges', () => {
+    const square = { width: 4, height: 1, depth: 3 };
+    const text = oldProject(9, { ...box, dimensions: square }, { unit: 'mm' });
+    const [primitive] = parseProject(text, { types }).primitives;
+    expect(primitive.dimensions).toEqual({ ...square, fillet: 0, chamfer: 0 });
+  });
+
+  it('reads current primitives as they are', () => {
+    const [primitive] = parseProject(projectText(), { types }).primitives;
+    expect(primitive).toEqual(box);
+  });
+});
+
+describe('serializeClipboard / parseClipboard', () => {
+  it('round-trips copied nodes with their unit', () => {
+    const group = { id: 'group-1', name: 'Pair', type: 'group', operation: 'add', children: [box] };
+    const copied = parseClipboard(serializeClipboard({ nodes: [group], unit: 'cm' }), { types });
+    expect(copied).toEqual({ unit: 'cm', primitives: [group] });
+  });
+
+  it('ignores other clipboard text and rejects unusable shapes', () => {
+    expect(parseClipboard('hello', { types })).toBeNull();
+    expect(parseClipboard(projectText(), { types })).toBeNull();
+
+    const copied = JSON.parse(serializeClipboard({ nodes: [box], unit: 'mm' }));
+    const newer = JSON.stringify({ ...copied, version: PROJECT_VERSION + 1 });
+    expect(() => parseClipboard(newer, { types })).toThrow('The shapes were copied from a newer version of CAD3D.');
+    const unitless = JSON.stringify({ ...copied, unit: 'ft' });
+    expect(() => parseClipboard(unitless, { types })).toThrow('The copied shapes are malformed.');
+    const teapot = JSON.stringify({ ...copied, primitives: [{ ...box, type: 'teapot' }] });
+    expect(() => parseClipboard(teapot, { types })).toThrow('Copied item #1 has an unknown type "teapot".');
+  });
+});
+
+describe('fileNameFromPath', () => {
+  it('takes the last segment of either separator', () => {
+    expect(fileNameFromPath('C:\\models\\bracket.cad3d')).toBe('bracket.cad3d');
+    expect(fileNameFromPath('/home/me/bracket.cad3d')).toBe('bracket.cad3d');
+    expect(fileNameFromPath(null)).toBe('Untitled');
+  });
+});
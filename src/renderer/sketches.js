@@ -0,0 +1,312 @@
+import * as THREE from 'three';
+import { mergeGeometries } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+import { roundValue } from './numbers.js';
+
+/*
+ * 2D profile sketches for the `extrude` and `revolve` primitives. A sketch is
+ * `{ plane, entities }`; entities are lines, three-point arcs, circles and rectangles with points
+ * as `[u, v]` pairs in the sketch plane. The primitive's position and rotation place that plane in
+ * the model; `plane` only records which principal plane it was drawn on, for labelling.
+ *
+ * Lines and arcs must chain end to end into closed outlines, while circles and rectangles are
+ * closed on their own. Outlines nested inside another become holes, and islands inside holes are
+ * solid again.
+ */
+
+export const SKETCH_PLANES = {
+  xy: { label: 'XY (top)', axes: ['X', 'Y'], rotation: { x: 0, y: 0, z: 0 }, normal: 'z' },
+  xz: { label: 'XZ (front)', axes: ['X', 'Z'], rotation: { x: 90, y: 0, z: 0 }, normal: 'y' },
+  yz: { label: 'YZ (side)', axes: ['Y', 'Z'], rotation: { x: 90, y: 90, z: 0 }, normal: 'x' },
+};
+
+export const SKETCH_PLANE_KEYS = Object.keys(SKETCH_PLANES);
+
+export const SKETCH_ENTITY_TYPES = ['line', 'arc', 'circle', 'rectangle'];
+
+const TOLERANCE = 1e-6;
+
+export const samePoint = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1]) <= TOLERANCE;
+
+const formatPoint = ([u, v]) => `(${roundValue(u, 3)}, ${roundValue(v, 3)})`;
+
+/**
+ * Circle through an arc's start, a point on it and its end. Returns `{ center, radius, start,
+ * sweep }` with angles in radians and `sweep` signed so the arc passes through `via`, or null when
+ * the three points are collinear.
+ */
+export function arcThroughPoints(from, via, to) {
+  const [ax, ay] = from;
+  const [bx, by] = via;
+  const [cx, cy] = to;
+  const determinant = 2 * (ax * (by - cy) + bx * (cy - ay) + cx * (ay - by));
+  if (Math.abs(determinant) <= TOLERANCE) return null;
+
+  const a2 = ax * ax + ay * ay;
+  const b2 = bx * bx + by * by;
+  const c2 = cx * cx + cy * cy;
+  const center = [
+    (a2 * (by - cy) + b2 * (cy - ay) + c2 * (ay - by)) / determinant,
+    (a2 * (cx - bx) + b2 * (ax - cx) + c2 * (bx - ax)) / determinant,
+  ];
+  const angleOf = ([x, y]) => Math.atan2(y - center[1], x - center[0]);
+  const start = angleOf(from);
+  const turn = (angle) => (((angle - start) % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+  const counterClockwise = turn(angleOf(via)) < turn(angleOf(to));
+  const sweep = counterClockwise ? turn(angleOf(to)) : turn(angleOf(to)) - 2 * Math.PI;
+  return { center, radius: Math.hypot(ax - center[0], ay - center[1]), start, sweep };
+}
+
+const arcSteps = (sweep, segments) => Math.max(2, Math.ceil((segments * Math.abs(sweep)) / (2 * Math.PI)));
+
+/** The points along an entity, ends included. Closed entities do not repeat their first point. */
+export function entityPoints(entity, segments) {
+  switch (entity.type) {
+    case 'line':
+      return [entity.from, entity.to];
+    case 'arc': {
+      const arc = arcThroughPoints(entity.from, entity.via, entity.to);
+      if (!arc) return [entity.from, entity.to];
+      const steps = arcSteps(arc.sweep, segments);
+      const inner = Array.from({ length: steps - 1 }, (_, index) => {
+        const angle = arc.start + (arc.sweep * (index + 1)) / steps;
+        return [arc.center[0] + arc.radius * Math.cos(angle), arc.center[1] + arc.radius * Math.sin(angle)];
+      });
+      return [entity.from, ...inner, entity.to];
+    }
+    case 'circle':
+      return Array.from({ length: Math.max(8, segments) }, (_, index) => {
+        const angle = (2 * Math.PI * index) / Math.max(8, segments);
+        return [entity.center[0] + entity.radius * Math.cos(angle), entity.center[1] + entity.radius * Math.sin(angle)];
+      });
+    case 'rectangle': {
+      const [[u1, v1], [u2, v2]] = [entity.from, entity.to];
+      return [
+        [u1, v1],
+        [u2, v1],
+        [u2, v2],
+        [u1, v2],
+      ];
+    }
+    default:
+      throw new Error(`Unknown sketch entity "${entity.type}".`);
+  }
+}
+
+export const isClosedEntity = (entity) => entity.type === 'circle' || entity.type === 'rectangle';
+
+const signedArea = (loop) =>
+  loop.reduce((sum, [u, v], index) => {
+    const [nextU, nextV] = loop[(index + 1) % loop.length];
+    return sum + (u * nextV - nextU * v) / 2;
+  }, 0);
+
+const containsPoint = (loop, [u, v]) => {
+  let inside = false;
+  for (let i = 0, j = loop.length - 1; i < loop.length; j = i, i += 1) {
+    const [ui, vi] = loop[i];
+    const [uj, vj] = loop[j];
+    if (vi > v !== vj > v && u < ((uj - ui) * (v - vi)) / (vj - vi) + ui) inside = !inside;
+  }
+  return inside;
+};
+
+/**
+ * Turns the sketch into closed outlines, each a list of `[u, v]` points. Throws with a
+ * user-facing message when an outline is open or encloses no area.
+ */
+export function sketchLoops(sketch, segments = 48) {
+  if (!sketch.entities.length) throw new Error('The sketch is empty.');
+
+  const loops = [];
+  const paths = [];
+  sketch.entities.forEach((entity) => {
+    (isClosedEntity(entity) ? loops : paths).push(entityPoints(entity, segments));
+  });
+
+  while (paths.length) {
+    const chain = [...paths.shift()];
+    while (!samePoint(chain[0], chain[chain.length - 1])) {
+      const end = chain[chain.length - 1];
+      const index = paths.findIndex((path) => samePoint(path[0], end) || samePoint(path[path.length - 1], end));
+      if (index === -1) {
+        throw new Error(`The outline is open at ${formatPoint(end)}. Lines and arcs must meet end to end.`);
+      }
+      const [next] = paths.splice(index, 1);
+      chain.push(...(samePoint(next[0], end) ? next : [...next].reverse()).slice(1));
+    }
+    loops.push(chain.slice(0, -1));
+  }
+
+  loops.forEach((loop) => {
+    if (loop.length < 3 || Math.abs(signedArea(loop)) <= TOLERANCE) {
+      throw new Error(`The outline through ${formatPoint(loop[0])} encloses no area.`);
+    }
+  });
+  return loops;
+}
+
+/** The indices of the outlines enclosing each outline. An odd count makes the outline a hole. */
+const enclosingLoops = (loops) =>
+  loops.map((loop, index) =>
+    loops.flatMap((other, otherIndex) =>
+      otherIndex !== index &&
+      Math.abs(signedArea(other)) > Math.abs(signedArea(loop)) &&
+      containsPoint(other, loop[0])
+        ? [otherIndex]
+        : []
+    )
+  );
+
+// ExtrudeGeometry only corrects the winding of holes when it has to reverse their outline, so
+// outlines are handed over counter-clockwise and holes clockwise.
+const toVectors = (loop, clockwise) =>
+  (signedArea(loop) < 0 === clockwise ? loop : [...loop].reverse()).map(([u, v]) => new THREE.Vector2(u, v));
+
+/** Builds three.js shapes from outlines, giving each even-depth outline the holes directly inside it. */
+function profileShapes(loops) {
+  const containers = enclosingLoops(loops);
+  const shapes = new Map();
+  loops.forEach((loop, index) => {
+    if (containers[index].length % 2 === 0) shapes.set(index, new THREE.Shape(toVectors(loop, false)));
+  });
+  loops.forEach((loop, index) => {
+    if (containers[index].length % 2 === 0) return;
+    const parent = containers[index].reduce((best, candidate) =>
+      Math.abs(signedArea(loops[candidate])) < Math.abs(signedArea(loops[best])) ? candidate : best
+    );
+    shapes.get(parent).holes.push(new THREE.Path(toVectors(loop, true)));
+  });
+  return [...shapes.values()];
+}
+
+/**
+ * Extrudes the profile `depth` along the plane normal. The result is in three.js axes with the
+ * sketch's u along X, v along Z and the extrusion along Y, starting at the sketch plane.
+ */
+export function createExtrudeGeometry(sketch, depth, segments) {
+  // Mirroring v keeps the final rotation proper, so ExtrudeGeometry's winding stays outward.
+  const loops = sketchLoops(sketch, segments).map((loop) => loop.map(([u, v]) => [u, -v]));
+  const geometry = new THREE.ExtrudeGeometry(profileShapes(loops), { depth, bevelEnabled: false, curveSegments: 1 });
+  geometry.rotateX(-Math.PI / 2);
+  return geometry;
+}
+
+// LatheGeometry spins about its Y axis starting from +Z; this maps that frame onto the sketch's,
+// with the axis along v (three.js Z) and the starting half-plane on the sketch itself.
+const LATHE_TO_SKETCH = new THREE.Matrix4().set(0, 0, 1, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 1);
+
+const capGeometry = (shapes, angle, flip) => {
+  const geometry = new THREE.ShapeGeometry(shapes, 1);
+  const sin = Math.sin(angle);
+  const cos = Math.cos(angle);
+  geometry.applyMatrix4(new THREE.Matrix4().set(sin, 0, -cos, 0, 0, 1, 0, 0, cos, 0, sin, 0, 0, 0, 0, 1));
+  if (flip) {
+    const index = geometry.getIndex();
+    for (let i = 0; i < index.count; i += 3) {
+      const second = index.getX(i + 1);
+      index.setX(i + 1, index.getX(i + 2));
+      index.setX(i + 2, second);
+    }
+    geometry.getAttribute('normal').array.forEach((value, i, array) => {
+      array[i] = -value;
+    });
+  }
+  return geometry;
+};
+
+/**
+ * Revolves the profile `angle` degrees about the sketch's v axis (u = 0). Outlines must stay on
+ * the positive-u side of the axis. Partial revolutions are closed with flat caps.
+ */
+export function createRevolveGeometry(sketch, angle, segments) {
+  const loops = sketchLoops(sketch, segments);
+  if (loops.some((loop) => loop.some(([u]) => u < -TOLERANCE))) {
+    throw new Error('A revolved outline must stay on the positive side of the axis (u ≥ 0).');
+  }
+
+  const sweep = THREE.MathUtils.degToRad(Math.min(360, Math.max(1, angle)));
+  const steps = Math.max(3, Math.ceil((segments * sweep) / (2 * Math.PI)));
+  const containers = enclosingLoops(loops);
+  const parts = loops.map((loop, index) => {
+    // Solid outlines run counter-clockwise and holes clockwise so every surface faces out of the material.
+    const isHole = containers[index].length % 2 === 1;
+    const oriented = signedArea(loop) > 0 === isHole ? [...loop].reverse() : loop;
+    const points = [...oriented, oriented[0]].map(([u, v]) => new THREE.Vector2(Math.max(0, u), v));
+    const lathe = new THREE.LatheGeometry(points, steps, 0, sweep);
+    lathe.deleteAttribute('uv');
+    return lathe;
+  });
+
+  if (sweep < 2 * Math.PI - TOLERANCE) {
+    const shapes = profileShapes(loops);
+    [capGeometry(shapes, 0, false), capGeometry(shapes, sweep, true)].forEach((cap) => {
+      cap.deleteAttribute('uv');
+      parts.push(cap);
+    });
+  }
+
+  const geometry = mergeGeometries(parts);
+  parts.forEach((part) => part.dispose());
+  geometry.applyMatrix4(LATHE_TO_SKETCH);
+  return geometry;
+}
+
+/** Bounding rectangle of the sketch as `{ min: [u, v], max: [u, v] }`. */
+export function sketchBounds(sketch, segments = 24) {
+  const points = sketch.entities.flatMap((entity) => entityPoints(entity, segments));
+  return {
+    min: [Math.min(...points.map(([u]) => u)), Math.min(...points.map(([, v]) => v))],
+    max: [Math.max(...points.map(([u]) => u)), Math.max(...points.map(([, v]) => v))],
+  };
+}
+
+const scalePoint = ([u, v], factor) => [roundValue(u * factor, 6), roundValue(v * factor, 6)];
+
+/** Multiplies every coordinate and radius in a sketch, for unit changes. */
+export function scaleSketch(sketch, factor) {
+  return {
+    ...sketch,
+    entities: sketch.entities.map((entity) =>
+      Object.fromEntries(
+        Object.entries(entity).map(([key, value]) => {
+          if (Array.isArray(value)) return [key, scalePoint(value, factor)];
+          if (key === 'radius') return [key, roundValue(value * factor, 6)];
+          return [key, value];
+        })
+      )
+    ),
+  };
+}
+
+const ENTITY_POINTS = {
+  line: ['from', 'to'],
+  arc: ['from', 'via', 'to'],
+  circle: ['center'],
+  rectangle: ['from', 'to'],
+};
+
+const isPoint = (value) => Array.isArray(value) && value.length === 2 && value.every(Number.isFinite);
+
+/**
+ * Validates sketch data read from a file for the item described by `where`. Throws with a
+ * user-facing message; returns a clean copy.
+ */
+export function parseSketch(value, where) {
+  if (!value || typeof value !== 'object' || !Array.isArray(value.entities)) throw new Error(`${where} has no sketch.`);
+  const plane = Object.hasOwn(SKETCH_PLANES, value.plane) ? value.plane : 'xy';
+  const entities = value.entities.map((entity, index) => {
+    const keys = ENTITY_POINTS[entity?.type];
+    if (!keys || !keys.every((key) => isPoint(entity[key]))) {
+      throw new Error(`${where} has a malformed sketch entity #${index + 1}.`);
+    }
+    if (entity.type === 'circle' && !(entity.radius > 0)) {
+      throw new Error(`${where} has a circle without a radius (sketch entity #${index + 1}).`);
+    }
+    return {
+      type: entity.type,
+      ...Object.fromEntries(keys.map((key) => [key, [...entity[key]]])),
+      ...(entity.type === 'circle' ? { radius: entity.radius } : {}),
+    };
+  });
+  return { plane, entities };
+}
@@ -0,0 +1,109 @@
+import * as THREE from 'three';
+import { describe, expect, it } from 'vitest';
+import {
+  arcThroughPoints,
+  createExtrudeGeometry,
+  createRevolveGeometry,
+  parseSketch,
+  scaleSketch,
+  sketchBounds,
+  sketchLoops,
+} from './sketches.js';
+
+const sketch = (...entities) => ({ plane: 'xy', entities });
+const line = (from, to) => ({ type: 'line', from, to });
+
+const boundsOf = (geometry) => {
+  geometry.computeBoundingBox();
+  const round = (vector) => vector.toArray().map((value) => Math.round(value * 1e6) / 1e6 + 0);
+  return { min: round(geometry.boundingBox.min), max: round(geometry.boundingBox.max) };
+};
+
+describe('arcThroughPoints', () => {
+  it('finds the circle and the signed sweep through the middle point', () => {
+    const arc = arcThroughPoints([1, 0], [0, 1], [-1, 0]);
+    expect(arc.center[0]).toBeCloseTo(0);
+    expect(arc.center[1]).toBeCloseTo(0);
+    expect(arc.radius).toBeCloseTo(1);
+    expect(arc.sweep).toBeCloseTo(Math.PI);
+    expect(arcThroughPoints([1, 0], [0, -1], [-1, 0]).sweep).toBeCloseTo(-Math.PI);
+    expect(arcThroughPoints([0, 0], [1, 1], [2, 2])).toBeNull();
+  });
+});
+
+describe('sketchLoops', () => {
+  it('chains lines drawn in any order and direction into one outline', () => {
+    const loops = sketchLoops(sketch(line([0, 0], [2, 0]), line([0, 1], [0, 0]), line([2, 0], [0, 1])));
+    expect(loops).toHaveLength(1);
+    expect(loops[0]).toHaveLength(3);
+  });
+
+  it('reports empty sketches, open outlines and outlines without area', () => {
+    expect(() => sketchLoops(sketch())).toThrow('The sketch is empty.');
+    expect(() => sketchLoops(sketch(line([0, 0], [2, 0]), line([2, 0], [2, 1])))).toThrow(
+      'The outline is open at (2, 1). Lines and arcs must meet end to end.'
+    );
+    expect(() => sketchLoops(sketch(line([0, 0], [2, 0]), line([2, 0], [0, 0])))).toThrow('encloses no area.');
+  });
+});
+
+describe('createExtrudeGeometry', () => {
+  it('extrudes along Y from the sketch plane and cuts nested outlines as holes', () => {
+    const plate = sketch(
+      { type: 'rectangle', from: [0, 0], to: [4, 2] },
+      { type: 'circle', center: [2, 1], radius: 0.5 }
+    );
+    const geometry = createExtrudeGeometry(plate, 3, 24);
+    expect(boundsOf(geometry)).toEqual({ min: [0, 0, 0], max: [4, 3, 2] });
+
+    const solid = createExtrudeGeometry(sketch(plate.entities[0]), 3, 24);
+    const volume = (mesh) => {
+      const positions = mesh.toNonIndexed().getAttribute('position');
+      const [a, b, c] = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+      let total = 0;
+      for (let i = 0; i < positions.count; i += 3) {
+        a.fromBufferAttribute(positions, i);
+        b.fromBufferAttribute(positions, i + 1);
+        c.fromBufferAttribute(positions, i + 2);
+        total += a.dot(b.clone().cross(c)) / 6;
+      }
+      return Math.abs(total);
+    };
+    expect(volume(solid)).toBeCloseTo(24);
+    expect(volume(geometry)).toBeCloseTo(24 - Math.PI * 0.25 * 3, 1);
+  });
+});
+
+describe('createRevolveGeometry', () => {
+  it('revolves about the v axis and refuses outlines that cross it', () => {
+    const ring = sketch({ type: 'rectangle', from: [1, 0], to: [2, 1] });
+    expect(boundsOf(createRevolveGeometry(ring, 360, 64))).toEqual({ min: [-2, -2, 0], max: [2, 2, 1] });
+    const crossing = sketch({ type: 'rectangle', from: [-1, 0], to: [2, 1] });
+    expect(() => createRevolveGeometry(crossing, 360, 32)).toThrow('A revolved outline must stay on the positive side');
+  });
+});
+
+describe('sketchBounds / scaleSketch', () => {
+  it('bounds every entity and scales points and radii', () => {
+    const drawn = sketch({ type: 'circle', center: [1, 1], radius: 2 }, line([0, 0], [5, 0]));
+    expect(sketchBounds(drawn)).toEqual({ min: [-1, -1], max: [5, 3] });
+    expect(scaleSketch(drawn, 10).entities).toEqual([
+      { type: 'circle', center: [10, 10], radius: 20 },
+      { type: 'line', from: [0, 0], to: [50, 0] },
+    ]);
+  });
+});
+
+describe('parseSketch', () => {
+  it('returns a clean copy and reports malformed entities', () => {
+    const parsed = parseSketch({ plane: 'up', entities: [{ ...line([0, 0], [1, 0]), extra: true }] }, 'Item #1');
+    expect(parsed).toEqual({ plane: 'xy', entities: [line([0, 0], [1, 0])] });
+    expect(() => parseSketch({ entities: [{ type: 'line', from: [0, 0] }] }, 'Item #1')).toThrow(
+      'Item #1 has a malformed sketch entity #1.'
+    );
+    expect(() => parseSketch({ entities: [{ type: 'circle', center: [0, 0] }] }, 'Item #1')).toThrow(
+      'Item #1 has a circle without a radius (sketch entity #1).'
+    );
+    expect(() => parseSketch(null, 'Item #1')).toThrow('Item #1 has no sketch.');
+  });
+});
@@ -0,0 +1,145 @@
+/*
+ * Helpers for the model tree. The document is a list of nodes; a node is either a primitive or a
+ * group (`type: 'group'`) with its own `children` list and `operation`. All helpers are immutable:
+ * they return new arrays and leave untouched branches shared with the input.
+ */
+
+export const GROUP_TYPE = 'group';
+
+export const isGroup = (node) => node?.type === GROUP_TYPE;
+
+export function findNode(nodes, id) {
+  for (const node of nodes) {
+    if (node.id === id) return node;
+    if (isGroup(node)) {
+      const found = findNode(node.children, id);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns `{ parentId, index, siblings }` for the node with `id`, or null. `parentId` is null for
+ * top-level nodes.
+ */
+export function locateNode(nodes, id, parentId = null) {
+  const index = nodes.findIndex((node) => node.id === id);
+  if (index !== -1) return { parentId, index, siblings: nodes };
+
+  for (const node of nodes) {
+    if (isGroup(node)) {
+      const found = locateNode(node.children, id, node.id);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+export function flattenPrimitives(nodes) {
+  return nodes.flatMap((node) => (isGroup(node) ? flattenPrimitives(node.children) : [node]));
+}
+
+export function containsNode(node, id) {
+  if (node.id === id) return true;
+  return isGroup(node) && node.children.some((child) => containsNode(child, id));
+}
+
+export function updateNode(nodes, id, updater) {
+  let changed = false;
+  const next = nodes.map((node) => {
+    if (node.id === id) {
+      const updated = updater(node);
+      if (updated !== node) changed = true;
+      return updated;
+    }
+    if (isGroup(node)) {
+      const children = updateNode(node.children, id, updater);
+      if (children !== node.children) {
+        changed = true;
+        return { ...node, children };
+      }
+    }
+    return node;
+  });
+  return changed ? next : nodes;
+}
+
+/**
+ * Applies `updater` to the sibling list that contains `parentId`'s children (the top level when
+ * `parentId` is null).
+ */
+export function updateChildren(nodes, parentId, updater) {
+  if (parentId === null) return updater(nodes);
+  return updateNode(nodes, parentId, (group) => ({ ...group, children: updater(group.children) }));
+}
+
+export function removeNode(nodes, id) {
+  const location = locateNode(nodes, id);
+  if (!location) return nodes;
+  return updateChildren(nodes, location.parentId, (siblings) => siblings.filter((node) => node.id !== id));
+}
+
+export function insertNode(nodes, node, parentId = null, index = Infinity) {
+  return updateChildren(nodes, parentId, (siblings) => {
+    const next = [...siblings];
+    next.splice(Math.min(index, next.length), 0, node);
+    return next;
+  });
+}
+
+/**
+ * Moves a node to `index` within `parentId`'s children. Moving a group into itself or one of its
+ * descendants is rejected and returns the input unchanged.
+ */
+export function moveNode(nodes, id, parentId, index) {
+  const node = findNode(nodes, id);
+  if (!node) return nodes;
+  if (parentId !== null && containsNode(node, parentId)) return nodes;
+
+  const location = locateNode(nodes, id);
+  const adjustedIndex = location.parentId === parentId && location.index < index ? index - 1 : index;
+  return insertNode(removeNode(nodes, id), node, parentId, adjustedIndex);
+}
+
+/**
+ * Returns the nodes named by `ids` in document order, leaving out any that sit inside another
+ * selected group so each selected subtree is counted once.
+ */
+export function selectionRoots(nodes, ids) {
+  const wanted = new Set(ids);
+  const roots = [];
+  const visit = (items) => {
+    items.forEach((node) => {
+      if (wanted.has(node.id)) {
+        roots.push(node);
+      } else if (isGroup(node)) {
+        visit(node.children);
+      }
+    });
+  };
+  visit(nodes);
+  return roots;
+}
+
+/**
+ * Moves every primitive below a node by a model-frame `offset`. Position bindings are dropped, since
+ * they would pull the moved shapes straight back.
+ */
+export function offsetNode(node, offset) {
+  if (isGroup(node)) return { ...node, children: node.children.map((child) => offsetNode(child, offset)) };
+
+  const { position, bindings, ...rest } = node;
+  const kept = Object.entries(bindings ?? {}).filter(([path]) => !path.startsWith('position.'));
+  return {
+    ...rest,
+    position: { x: position.x + offset.x, y: position.y + offset.y, z: position.z + offset.z },
+    ...(kept.length ? { bindings: Object.fromEntries(kept) } : {}),
+  };
+}
+
+/** Copies a node and everything below it, giving every copy a fresh id from `createId(prefix)`. */
+export function cloneNode(node, createId) {
+  if (!isGroup(node)) return { ...node, id: createId('prim') };
+  return { ...node, id: createId('group'), children: node.children.map((child) => cloneNode(child, createId)) };
+}
@@ -0,0 +1,81 @@
+import { describe, expect, it } from 'vitest';
+import {
+  cloneNode,
+  containsNode,
+  findNode,
+  flattenPrimitives,
+  insertNode,
+  locateNode,
+  moveNode,
+  removeNode,
+  selectionRoots,
+  updateNode,
+} from './tree.js';
+
+const leaf = (id) => ({ id, type: 'box' });
+const group = (id, children) => ({ id, type: 'group', operation: 'add', children });
+
+const tree = () => [leaf('a'), group('g', [leaf('b'), group('h', [leaf('c')])]), leaf('d')];
+
+const ids = (nodes) => nodes.map((node) => (node.children ? [node.id, ids(node.children)] : node.id));
+
+describe('tree lookups', () => {
+  it('finds and locates nested nodes', () => {
+    const nodes = tree();
+    expect(findNode(nodes, 'c')).toEqual(leaf('c'));
+    expect(findNode(nodes, 'x')).toBeNull();
+    expect(locateNode(nodes, 'b')).toMatchObject({ parentId: 'g', index: 0 });
+    expect(locateNode(nodes, 'd')).toMatchObject({ parentId: null, index: 2 });
+  });
+
+  it('flattens primitives in fold order and checks containment', () => {
+    const nodes = tree();
+    expect(flattenPrimitives(nodes).map((node) => node.id)).toEqual(['a', 'b', 'c', 'd']);
+    expect(containsNode(nodes[1], 'c')).toBe(true);
+    expect(containsNode(nodes[1], 'd')).toBe(false);
+  });
+});
+
+describe('tree edits', () => {
+  it('updates a nested node and shares untouched branches', () => {
+    const nodes = tree();
+    const next = updateNode(nodes, 'c', (node) => ({ ...node, name: 'C' }));
+    expect(findNode(next, 'c').name).toBe('C');
+    expect(next[0]).toBe(nodes[0]);
+    expect(next[1].children[0]).toBe(nodes[1].children[0]);
+    expect(updateNode(nodes, 'x', (node) => node)).toBe(nodes);
+    expect(updateNode(nodes, 'c', (node) => node)).toBe(nodes);
+  });
+
+  it('inserts and removes nodes at any depth', () => {
+    const nodes = insertNode(tree(), leaf('e'), 'h', 0);
+    expect(ids(nodes)).toEqual(['a', ['g', ['b', ['h', ['e', 'c']]]], 'd']);
+    expect(ids(removeNode(nodes, 'g'))).toEqual(['a', 'd']);
+    expect(ids(insertNode(tree(), leaf('e')))).toEqual(['a', ['g', ['b', ['h', ['c']]]], 'd', 'e']);
+  });
+
+  it('moves nodes between lists, counting the gap the node leaves behind', () => {
+    expect(ids(moveNode(tree(), 'a', null, 2))).toEqual([['g', ['b', ['h', ['c']]]], 'a', 'd']);
+    expect(ids(moveNode(tree(), 'd', 'h', 1))).toEqual(['a', ['g', ['b', ['h', ['c', 'd']]]]]);
+  });
+
+  it('refuses to move a group into itself', () => {
+    const nodes = tree();
+    expect(moveNode(nodes, 'g', 'h', 0)).toBe(nodes);
+    expect(moveNode(nodes, 'g', 'g', 0)).toBe(nodes);
+  });
+});
+
+describe('selection helpers', () => {
+  it('keeps selected nodes in document order, without those inside a selected group', () => {
+    const roots = selectionRoots(tree(), ['d', 'c', 'g', 'a']);
+    expect(roots.map((node) => node.id)).toEqual(['a', 'g', 'd']);
+  });
+
+  it('clones a subtree with fresh ids for every node', () => {
+    let count = 0;
+    const copy = cloneNode(tree()[1], (prefix) => `${prefix}-${(count += 1)}`);
+    expect(ids([copy])).toEqual([['group-1', ['prim-2', ['group-3', ['prim-4']]]]]);
+    expect(copy.operation).toBe('add');
+  });
+});
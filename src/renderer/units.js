@@ -0,0 +1,115 @@
+import { roundValue } from './numbers.js';
+import { clampField, getPrimitiveType, isLengthField } from './primitiveTypes.js';
+import { scaleSketch } from './sketches.js';
+import { isGroup } from './tree.js';
+
+/**
+ * Length units a document can be modelled in. Every stored length is in the document unit;
+ * `millimeters` converts it for formats that expect millimetres, and `precision` is the number of
+ * decimals shown in labels.
+ */
+export const UNITS = {
+  mm: { label: 'Millimetres', millimeters: 1, precision: 2 },
+  cm: { label: 'Centimetres', millimeters: 10, precision: 3 },
+  m: { label: 'Metres', millimeters: 1000, precision: 4 },
+  in: { label: 'Inches', millimeters: 25.4, precision: 3 },
+};
+
+export const UNIT_KEYS = Object.keys(UNITS);
+
+// Files saved before units existed were exported as-is, which slicers read as millimetres.
+export const DEFAULT_UNIT = 'mm';
+
+export const convertLength = (value, from, to) => (value * UNITS[from].millimeters) / UNITS[to].millimeters;
+
+/**
+ * The length of one millimetre in `unit`. Sizes and increments that do not come from the document
+ * (field minimums, snapping defaults, gaps around viewport annotations) are defined in millimetres
+ * and scaled by this, so a model keeps its proportions and handles in any unit.
+ */
+export const millimeterIn = (unit) => 1 / UNITS[unit].millimeters;
+
+export const roundLength = (value, unit) => roundValue(value, UNITS[unit].precision);
+
+export const formatLength = (value, unit) => `${roundValue(value, UNITS[unit].precision)} ${unit}`;
+
+export const formatArea = (value, unit) => `${roundValue(value, UNITS[unit].precision)} ${unit}²`;
+
+export const formatVolume = (value, unit) => `${roundValue(value, UNITS[unit].precision)} ${unit}³`;
+
+const scaleVector = ({ x, y, z }, factor) => ({
+  x: roundValue(x * factor, 6),
+  y: roundValue(y * factor, 6),
+  z: roundValue(z * factor, 6),
+});
+
+/**
+ * Multiplies every length in the tree by `factor`: positions, sketches and all dimensions except
+ * counts (such as a prism's sides) and angles.
+ */
+export function scaleLengths(nodes, factor) {
+  return nodes.map((node) => {
+    if (isGroup(node)) return { ...node, children: scaleLengths(node.children, factor) };
+
+    const fixedKeys = new Set(
+      getPrimitiveType(node.type)
+        .fields.filter((field) => !isLengthField(field))
+        .map((field) => field.key)
+    );
+    const dimensions = Object.fromEntries(
+      Object.entries(node.dimensions).map(([key, value]) => [
+        key,
+        fixedKeys.has(key) ? value : roundValue(value * factor, 6),
+      ])
+    );
+    return {
+      ...node,
+      position: scaleVector(node.position, factor),
+      dimensions,
+      ...(node.sketch ? { sketch: scaleSketch(node.sketch, factor) } : {}),
+    };
+  });
+}
+
+/**
+ * A primitive field with its `min` and `step` in `unit`. The registry gives those of length fields
+ * in millimetres.
+ */
+export function fieldInUnit(field, unit) {
+  if (!isLengthField(field)) return field;
+  const scale = millimeterIn(unit);
+  return {
+    ...field,
+    ...(field.min !== undefined ? { min: field.min * scale } : {}),
+    ...(field.step !== undefined ? { step: field.step * scale } : {}),
+  };
+}
+
+/** A type's starting dimensions, which the registry gives in millimetres, in `unit`. */
+export function defaultDimensions(type, unit) {
+  const { fields, dimensions } = getPrimitiveType(type);
+  const scale = millimeterIn(unit);
+  return Object.fromEntries(
+    Object.entries(dimensions).map(([key, value]) => {
+      const field = fields.find((entry) => entry.key === key);
+      return [key, field && isLengthField(field) ? roundValue(value * scale, 6) : value];
+    })
+  );
+}
+
+/**
+ * Clamps dimensions from a resize or a dimension arrow to their fields' ranges in `unit` and
+ * rounds the lengths to the unit's precision. Only the keys present are touched, and `limit` is
+ * left to the geometry, which caps it without losing the typed value.
+ */
+export function clampDimensions(type, dimensions, unit) {
+  const { fields } = getPrimitiveType(type);
+  return Object.fromEntries(
+    Object.entries(dimensions).map(([key, value]) => {
+      const field = fields.find((entry) => entry.key === key);
+      if (!field) return [key, value];
+      const clamped = clampField(fieldInUnit(field, unit), value);
+      return [key, isLengthField(field) ? roundLength(clamped, unit) : clamped];
+    })
+  );
+}
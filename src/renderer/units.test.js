@@ -0,0 +1,82 @@
+import { describe, expect, it } from 'vitest';
+import {
+  clampDimensions,
+  convertLength,
+  defaultDimensions,
+  fieldInUnit,
+  formatLength,
+  millimeterIn,
+  scaleLengths,
+} from './units.js';
+
+describe('convertLength', () => {
+  it('converts between any two units', () => {
+    expect(convertLength(1, 'in', 'mm')).toBeCloseTo(25.4);
+    expect(convertLength(250, 'mm', 'm')).toBeCloseTo(0.25);
+    expect(convertLength(3, 'cm', 'cm')).toBe(3);
+    expect(millimeterIn('cm')).toBe(0.1);
+  });
+
+  it('formats lengths at the precision of the unit', () => {
+    expect(formatLength(12.3456, 'mm')).toBe('12.35 mm');
+    expect(formatLength(1.23456, 'in')).toBe('1.235 in');
+  });
+});
+
+describe('scaleLengths', () => {
+  it('scales positions and length dimensions through groups but leaves counts alone', () => {
+    const prism = {
+      id: 'prism-1',
+      name: 'Nut',
+      type: 'prism',
+      operation: 'add',
+      position: { x: 10, y: 0, z: 2.5 },
+      rotation: { x: 0, y: 0, z: 45 },
+      dimensions: { radius: 5, height: 4, sides: 6 },
+    };
+    const group = { id: 'group-1', name: 'Parts', type: 'group', operation: 'add', children: [prism] };
+    const [scaled] = scaleLengths([group], 0.1);
+    expect(scaled.children[0]).toEqual({
+      ...prism,
+      position: { x: 1, y: 0, z: 0.25 },
+      dimensions: { radius: 0.5, height: 0.4, sides: 6 },
+    });
+  });
+
+  it('scales sketches but not revolution angles', () => {
+    const revolution = {
+      id: 'revolve-1',
+      name: 'Vase',
+      type: 'revolve',
+      operation: 'add',
+      position: { x: 0, y: 0, z: 0 },
+      rotation: { x: 0, y: 0, z: 0 },
+      dimensions: { angle: 180 },
+      sketch: { plane: 'xy', entities: [{ type: 'circle', center: [3, 0], radius: 1 }] },
+    };
+    const [scaled] = scaleLengths([revolution], 2);
+    expect(scaled.dimensions).toEqual({ angle: 180 });
+    expect(scaled.sketch.entities).toEqual([{ type: 'circle', center: [6, 0], radius: 2 }]);
+  });
+});
+
+describe('fieldInUnit / defaultDimensions / clampDimensions', () => {
+  it('converts the millimetre limits and steps of length fields', () => {
+    const { min, step } = fieldInUnit({ key: 'width', min: 0.1, step: 0.5 }, 'cm');
+    expect(min).toBeCloseTo(0.01);
+    expect(step).toBeCloseTo(0.05);
+    const count = { key: 'sides', min: 3, step: 1, integer: true };
+    expect(fieldInUnit(count, 'cm')).toBe(count);
+  });
+
+  it('gives new shapes their millimetre sizes in the document unit', () => {
+    expect(defaultDimensions('sphere', 'mm')).toEqual({ radius: 1.5 });
+    expect(defaultDimensions('sphere', 'cm')).toEqual({ radius: 0.15 });
+    expect(defaultDimensions('prism', 'm').sides).toBe(defaultDimensions('prism', 'mm').sides);
+  });
+
+  it('clamps to the minimum in the unit and rounds lengths to its precision', () => {
+    expect(clampDimensions('box', { width: 0.0001, depth: 1.23456 }, 'cm')).toEqual({ width: 0.01, depth: 1.235 });
+    expect(clampDimensions('prism', { sides: 2.6 }, 'mm')).toEqual({ sides: 3 });
+  });
+});
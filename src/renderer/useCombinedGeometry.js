@@ -0,0 +1,158 @@
+import { useEffect, useRef, useState } from 'react';
+import { deserializeGeometry, packNodes } from './geometry.js';
+import { meshPositions } from './meshes.js';
+import { flattenPrimitives } from './tree.js';
+
+const createCsgWorker = () => new Worker(new URL('./csg.worker.js', import.meta.url), { type: 'module' });
+
+/**
+ * Builds the message for a fold job and the buffers it transfers. Imported meshes cross once, as
+ * decoded triangles keyed by hash: `sentMeshes` lists the hashes the worker already holds and is
+ * updated to the ones this job uses, and the worker forgets the rest.
+ */
+function createJob({ primitives, features, segments }, sentMeshes = new Set()) {
+  const sources = new Map();
+  flattenPrimitives(primitives).forEach(({ mesh }) => {
+    if (mesh) sources.set(mesh.hash, mesh);
+  });
+  const meshes = [...sources]
+    .filter(([hash]) => !sentMeshes.has(hash))
+    .map(([hash, source]) => [hash, meshPositions(source).slice()]);
+  const dropped = [...sentMeshes].filter((hash) => !sources.has(hash));
+  sentMeshes.clear();
+  sources.forEach((_, hash) => sentMeshes.add(hash));
+  return {
+    message: { primitives: packNodes(primitives), features, segments, meshes, dropped },
+    transfer: meshes.map(([, floats]) => floats.buffer),
+  };
+}
+
+/**
+ * Owns the CSG worker. At most one job runs at a time; requests made while it is busy replace
+ * each other, and the running job's result is discarded if a newer request is waiting. A worker
+ * that crashes is replaced, and its job is reported as failed.
+ */
+class CsgWorkerClient {
+  constructor(onResult) {
+    this.onResult = onResult;
+    this.nextJobId = 1;
+    this.activeJobId = null;
+    this.pending = null;
+    this.start();
+  }
+
+  start() {
+    this.worker = createCsgWorker();
+    this.sentMeshes = new Set();
+    this.worker.onmessage = (event) => this.handleMessage(event.data);
+    this.worker.onerror = (event) => this.handleFailure(event.message || 'The CSG worker stopped unexpectedly.');
+    this.worker.onmessageerror = () => this.handleFailure('The CSG worker sent a result that could not be read.');
+  }
+
+  // `model` is `{ primitives, features }`, the parts of the document the fold reads.
+  request(model) {
+    if (this.activeJobId !== null) {
+      this.pending = model;
+      return;
+    }
+    this.post(model);
+  }
+
+  post(model) {
+    this.activeJobId = this.nextJobId;
+    this.nextJobId += 1;
+    const { message, transfer } = createJob(model, this.sentMeshes);
+    this.worker.postMessage({ jobId: this.activeJobId, ...message }, transfer);
+  }
+
+  handleMessage(message) {
+    if (message.jobId !== this.activeJobId) return;
+    this.activeJobId = null;
+
+    if (this.pending) {
+      const next = this.pending;
+      this.pending = null;
+      this.post(next);
+      return;
+    }
+
+    this.onResult(message);
+  }
+
+  handleFailure(error) {
+    this.worker.terminate();
+    this.start();
+    this.handleMessage({ jobId: this.activeJobId, error });
+  }
+
+  dispose() {
+    this.worker.terminate();
+    this.onResult = () => {};
+  }
+}
+
+/**
+ * Evaluates the combined solid off the UI thread, along with its printability report (see
+ * `meshAnalysis.js`). The last good geometry stays in place while a rebuild is running or after a
+ * rebuild fails, so the viewport never flashes empty mid-edit.
+ */
+export function useCombinedGeometry(primitives, features) {
+  const clientRef = useRef(null);
+  const [geometry, setGeometry] = useState(null);
+  const [report, setReport] = useState(null);
+  const [isRebuilding, setRebuilding] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const client = new CsgWorkerClient((message) => {
+      setRebuilding(false);
+      if (message.error) {
+        setError(message.error);
+        return;
+      }
+      setError(null);
+      setGeometry(message.geometry ? deserializeGeometry(message.geometry) : null);
+      setReport(message.report ?? null);
+    });
+    clientRef.current = client;
+    return () => {
+      client.dispose();
+      clientRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!clientRef.current) return;
+    setRebuilding(true);
+    clientRef.current.request({ primitives, features });
+  }, [primitives, features]);
+
+  useEffect(() => () => geometry?.dispose(), [geometry]);
+
+  return { geometry, report, isRebuilding, error };
+}
+
+/**
+ * Builds the solid once in a dedicated worker at the given resolution, for exports. Resolves to
+ * `{ geometry, report }`, or null when there is nothing to build. The worker is discarded
+ * afterwards so a high-resolution build never crowds the viewport's fold cache.
+ */
+export function buildGeometryInWorker(primitives, { segments, features }) {
+  return new Promise((resolve, reject) => {
+    const worker = createCsgWorker();
+    worker.onmessage = ({ data }) => {
+      worker.terminate();
+      if (data.error) {
+        reject(new Error(data.error));
+      } else {
+        resolve(data.geometry ? { geometry: deserializeGeometry(data.geometry), report: data.report } : null);
+      }
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || 'The CSG worker stopped unexpectedly.'));
+    };
+    const { message, transfer } = createJob({ primitives, features, segments });
+    worker.postMessage({ jobId: 1, ...message }, transfer);
+  });
+}
@@ -0,0 +1,23 @@
+const path = require('path');
+const { defineConfig } = require('vite');
+
+// The command-line exporter runs under plain Node, so it is bundled with its dependencies into a
+// single CommonJS script.
+module.exports = defineConfig({
+  ssr: {
+    noExternal: true
+  },
+  build: {
+    ssr: path.resolve(__dirname, 'src', 'cli', 'cad3d.js'),
+    outDir: path.resolve(__dirname, 'dist', 'cli'),
+    emptyOutDir: true,
+    target: 'node18',
+    rollupOptions: {
+      output: {
+        format: 'cjs',
+        entryFileNames: 'cad3d.cjs',
+        banner: '#!/usr/bin/env node'
+      }
+    }
+  }
+});
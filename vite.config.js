@@ -12,5 +12,9 @@ module.exports = defineConfig({
   build: {
     outDir: path.resolve(__dirname, 'dist', 'renderer'),
     emptyOutDir: true
+  },
+  // Tests sit next to their modules, in the renderer and the command-line exporter alike.
+  test: {
+    dir: path.resolve(__dirname, 'src')
   }
 });